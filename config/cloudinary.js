@@ -1,6 +1,8 @@
 const cloudinary = require('cloudinary').v2;
 const { CloudinaryStorage } = require('multer-storage-cloudinary');
 const multer = require('multer');
+const fs = require('fs');
+const path = require('path');
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
@@ -8,15 +10,91 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'bm_security/staff_photos',
-    allowed_formats: ['jpg', 'jpeg', 'png'],
-    transformation: [{ width: 500, height: 500, crop: 'limit' }]
+const isCloudinaryConfigured = Boolean(
+  process.env.CLOUDINARY_CLOUD_NAME &&
+  process.env.CLOUDINARY_API_KEY &&
+  process.env.CLOUDINARY_API_SECRET
+);
+
+// Local fallback directory, served under /uploads by the entry points
+const LOCAL_UPLOAD_DIR = process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '..', 'uploads');
+
+const createStorage = (folder, transformation) => {
+  if (isCloudinaryConfigured) {
+    return new CloudinaryStorage({
+      cloudinary: cloudinary,
+      params: {
+        folder,
+        allowed_formats: ['jpg', 'jpeg', 'png'],
+        ...(transformation ? { transformation } : {})
+      }
+    });
+  }
+
+  return multer.diskStorage({
+    destination: (req, file, callback) => {
+      const directory = path.join(LOCAL_UPLOAD_DIR, folder);
+      fs.mkdir(directory, { recursive: true }, (err) => callback(err, directory));
+    },
+    filename: (req, file, callback) => {
+      const extension = path.extname(file.originalname || '').toLowerCase() || '.jpg';
+      callback(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${extension}`);
+    }
+  });
+};
+
+const imageFileFilter = (req, file, callback) => {
+  if (!/^image\/(jpe?g|png)$/.test(file.mimetype)) {
+    const error = new Error('Only JPG and PNG images are allowed');
+    error.statusCode = 400;
+    return callback(error);
   }
+  callback(null, true);
+};
+
+const createUpload = (folder, transformation) => multer({
+  storage: createStorage(folder, transformation),
+  fileFilter: imageFileFilter,
+  limits: { fileSize: 5 * 1024 * 1024 }
 });
 
-const upload = multer({ storage: storage });
+// Public URL of an uploaded file for either storage backend
+const getFileUrl = (file) => {
+  if (isCloudinaryConfigured) {
+    return file.path;
+  }
+  const relativePath = path.relative(LOCAL_UPLOAD_DIR, file.path).split(path.sep).join('/');
+  return `/uploads/${relativePath}`;
+};
+
+// Delete the files multer stored for a request that was then rejected
+const removeUploadedFiles = async (files) => {
+  const list = Array.isArray(files) ? files : Object.values(files || {}).flat();
+  await Promise.all(list.map(async (file) => {
+    try {
+      if (isCloudinaryConfigured) {
+        await cloudinary.uploader.destroy(file.filename);
+      } else {
+        await fs.promises.unlink(file.path);
+      }
+    } catch (error) {
+      console.error(`Error removing uploaded file ${file.path}:`, error);
+    }
+  }));
+};
+
+const upload = createUpload('bm_security/staff_photos', [{ width: 500, height: 500, crop: 'limit' }]);
+const proofUpload = createUpload('bm_security/proof_of_delivery');
+const attendanceUpload = createUpload('bm_security/attendance', [{ width: 800, height: 800, crop: 'limit' }]);
 
-module.exports = { cloudinary, upload }; 
\ No newline at end of file
+module.exports = {
+  cloudinary,
+  upload,
+  proofUpload,
+  attendanceUpload,
+  createUpload,
+  getFileUrl,
+  removeUploadedFiles,
+  isCloudinaryConfigured,
+  LOCAL_UPLOAD_DIR
+};
@@ -0,0 +1,24 @@
+/**
+ * Express 'trust proxy' setting. req.ip (and so every per-IP limit and
+ * lockout) only honours X-Forwarded-For entries added by proxies trusted
+ * here, so a client cannot pick its own address by sending the header.
+ *
+ * TRUST_PROXY may be a number of proxy hops in front of the app, true/false,
+ * or a comma separated list of proxy addresses or subnets. Each entry point
+ * passes the default that fits where it runs.
+ */
+const trustProxy = (fallback) => {
+  const value = process.env.TRUST_PROXY;
+  if (value === undefined || value.trim() === '') {
+    return fallback;
+  }
+  if (/^\d+$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (['true', 'false'].includes(value.trim().toLowerCase())) {
+    return value.trim().toLowerCase() === 'true';
+  }
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+module.exports = { trustProxy };
@@ -0,0 +1,279 @@
+const { executeQuery } = require('../database/query');
+const { getFileUrl } = require('../config/cloudinary');
+const { isValidCoordinate } = require('../services/geo');
+const { isInsideZone } = require('../services/geofenceMonitor');
+const { isValidDate } = require('../services/fleet');
+const { findShiftForStaff } = require('../services/roster');
+
+// How early before a shift staff may clock in, and how late before they count as late
+const EARLY_CLOCK_IN_MINUTES = Number(process.env.ATTENDANCE_EARLY_MINUTES) || 60;
+const LATE_GRACE_MINUTES = Number(process.env.ATTENDANCE_GRACE_MINUTES) || 5;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+// First active zone geofence containing the point (depots, branches, reporting points)
+const findReportingZone = async (point) => {
+  const zones = await executeQuery("SELECT * FROM geofences WHERE active = 1 AND type = 'zone'");
+  return zones.find(zone => isInsideZone(point, zone)) || null;
+};
+
+const readClockBody = (req) => {
+  const { staff_id, latitude, longitude } = req.body;
+  if (!staff_id) {
+    return { error: 'Staff member is required' };
+  }
+  if (!isValidCoordinate(latitude, longitude)) {
+    return { error: 'A valid latitude and longitude are required' };
+  }
+  return {
+    staffId: staff_id,
+    point: { latitude: Number(latitude), longitude: Number(longitude) },
+    photoUrl: req.file ? getFileUrl(req.file) : null
+  };
+};
+
+// Attendance of everyone rostered on a date; absent once the shift has ended without a clock-in
+const ROSTERED_ATTENDANCE = `
+  SELECT rs.id as shift_id, rs.date, rs.starts_at, rs.ends_at,
+         rs.team_id, t.name as team_name,
+         s.id as staff_id, s.name as staff_name,
+         a.id as attendance_id, a.clock_in_at, a.clock_out_at,
+         a.late_minutes, a.location_verified,
+         CASE
+           WHEN a.id IS NOT NULL AND a.late_minutes > 0 THEN 'late'
+           WHEN a.id IS NOT NULL THEN 'present'
+           WHEN rs.ends_at <= NOW() THEN 'absent'
+           ELSE 'scheduled'
+         END as attendance_status
+  FROM roster_shifts rs
+  JOIN roster_shift_members rsm ON rsm.shift_id = rs.id
+  JOIN staff s ON rsm.staff_id = s.id
+  JOIN teams t ON rs.team_id = t.id
+  LEFT JOIN attendance a ON a.shift_id = rs.id AND a.staff_id = s.id
+`;
+
+const attendanceController = {
+  clockIn: async (req, res) => {
+    const input = readClockBody(req);
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    try {
+      const staff = await executeQuery('SELECT id, name, status FROM staff WHERE id = ?', [input.staffId]);
+      if (staff.length === 0) {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+      if (Number(staff[0].status) === 0) {
+        return res.status(409).json({ message: 'Inactive staff cannot clock in' });
+      }
+
+      const open = await executeQuery(
+        'SELECT id FROM attendance WHERE staff_id = ? AND clock_out_at IS NULL',
+        [input.staffId]
+      );
+      if (open.length > 0) {
+        return res.status(409).json({ message: 'Staff member is already clocked in' });
+      }
+
+      const now = new Date();
+      const shift = await findShiftForStaff(input.staffId, now, EARLY_CLOCK_IN_MINUTES);
+      if (shift) {
+        const attended = await executeQuery(
+          'SELECT id FROM attendance WHERE staff_id = ? AND shift_id = ?',
+          [input.staffId, shift.id]
+        );
+        if (attended.length > 0) {
+          return res.status(409).json({ message: 'Staff member has already clocked out of this shift' });
+        }
+      }
+
+      const lateBy = shift ? minutesBetween(shift.starts_at, now) : 0;
+      const zone = await findReportingZone(input.point);
+
+      const result = await executeQuery(
+        `INSERT INTO attendance (
+          staff_id, shift_id, team_id, clock_in_at, clock_in_latitude, clock_in_longitude,
+          clock_in_photo_url, clock_in_geofence_id, location_verified, late_minutes
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          input.staffId,
+          shift ? shift.id : null,
+          shift ? shift.team_id : null,
+          now,
+          input.point.latitude,
+          input.point.longitude,
+          input.photoUrl,
+          zone ? zone.id : null,
+          zone ? 1 : 0,
+          lateBy > LATE_GRACE_MINUTES ? lateBy : 0
+        ]
+      );
+
+      const attendance = await executeQuery('SELECT * FROM attendance WHERE id = ?', [result.insertId]);
+      res.status(201).json({
+        ...attendance[0],
+        rostered: Boolean(shift),
+        reporting_point: zone ? zone.name : null
+      });
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      res.status(500).json({ message: 'Error clocking in', error: error.message });
+    }
+  },
+
+  clockOut: async (req, res) => {
+    const input = readClockBody(req);
+    if (input.error) {
+      return res.status(400).json({ message: input.error });
+    }
+
+    try {
+      const open = await executeQuery(
+        `SELECT a.*, rs.ends_at
+         FROM attendance a
+         LEFT JOIN roster_shifts rs ON a.shift_id = rs.id
+         WHERE a.staff_id = ? AND a.clock_out_at IS NULL
+         ORDER BY a.clock_in_at DESC
+         LIMIT 1`,
+        [input.staffId]
+      );
+      if (open.length === 0) {
+        return res.status(409).json({ message: 'Staff member is not clocked in' });
+      }
+
+      const now = new Date();
+      const leftEarlyBy = open[0].ends_at ? minutesBetween(now, open[0].ends_at) : 0;
+      const zone = await findReportingZone(input.point);
+
+      await executeQuery(
+        `UPDATE attendance
+         SET clock_out_at = ?, clock_out_latitude = ?, clock_out_longitude = ?,
+             clock_out_photo_url = ?, clock_out_geofence_id = ?, early_leave_minutes = ?
+         WHERE id = ?`,
+        [
+          now,
+          input.point.latitude,
+          input.point.longitude,
+          input.photoUrl,
+          zone ? zone.id : null,
+          leftEarlyBy > 0 ? leftEarlyBy : 0,
+          open[0].id
+        ]
+      );
+
+      const attendance = await executeQuery('SELECT * FROM attendance WHERE id = ?', [open[0].id]);
+      res.json({ ...attendance[0], reporting_point: zone ? zone.name : null });
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      res.status(500).json({ message: 'Error clocking out', error: error.message });
+    }
+  },
+
+  // Everyone rostered on a day with their attendance status, plus unrostered clock-ins
+  getDailyAttendance: async (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const rostered = await executeQuery(
+        `${ROSTERED_ATTENDANCE} WHERE rs.date = ? ORDER BY t.name, s.name`,
+        [date]
+      );
+
+      const unrostered = await executeQuery(
+        `SELECT a.*, s.name as staff_name
+         FROM attendance a
+         JOIN staff s ON a.staff_id = s.id
+         WHERE a.shift_id IS NULL AND DATE(a.clock_in_at) = ?
+         ORDER BY a.clock_in_at`,
+        [date]
+      );
+
+      const count = (status) => rostered.filter(row => row.attendance_status === status).length;
+
+      res.json({
+        date,
+        summary: {
+          rostered: rostered.length,
+          present: count('present'),
+          late: count('late'),
+          absent: count('absent'),
+          scheduled: count('scheduled'),
+          unrostered: unrostered.length
+        },
+        rostered,
+        unrostered
+      });
+    } catch (error) {
+      console.error('Error fetching daily attendance:', error);
+      res.status(500).json({ message: 'Error fetching daily attendance', error: error.message });
+    }
+  },
+
+  // Attendance, lateness and absence totals per staff member and per team over a date range
+  getAttendanceReport: async (req, res) => {
+    const { from, to, staffId, teamId } = req.query;
+    if (!isValidDate(from) || !isValidDate(to)) {
+      return res.status(400).json({ message: 'from and to dates (YYYY-MM-DD) are required' });
+    }
+
+    try {
+      const filters = ['rs.date BETWEEN ? AND ?'];
+      const params = [from, to];
+
+      if (staffId) {
+        filters.push('s.id = ?');
+        params.push(staffId);
+      }
+      if (teamId) {
+        filters.push('rs.team_id = ?');
+        params.push(teamId);
+      }
+
+      const rows = await executeQuery(
+        `${ROSTERED_ATTENDANCE} WHERE ${filters.join(' AND ')} ORDER BY rs.date, t.name, s.name`,
+        params
+      );
+
+      const totals = (key, name) => {
+        const groups = new Map();
+        rows.forEach(row => {
+          if (!groups.has(row[key])) {
+            groups.set(row[key], {
+              [key]: row[key],
+              [name]: row[name],
+              shifts: 0,
+              present: 0,
+              late: 0,
+              absent: 0,
+              late_minutes: 0
+            });
+          }
+          const group = groups.get(row[key]);
+          group.shifts += 1;
+          if (row.attendance_status === 'present') group.present += 1;
+          if (row.attendance_status === 'late') group.late += 1;
+          if (row.attendance_status === 'absent') group.absent += 1;
+          group.late_minutes += Number(row.late_minutes) || 0;
+        });
+        return [...groups.values()];
+      };
+
+      res.json({
+        from,
+        to,
+        by_staff: totals('staff_id', 'staff_name'),
+        by_team: totals('team_id', 'team_name'),
+        absences: rows.filter(row => row.attendance_status === 'absent')
+      });
+    } catch (error) {
+      console.error('Error building attendance report:', error);
+      res.status(500).json({ message: 'Error building attendance report', error: error.message });
+    }
+  }
+};
+
+module.exports = attendanceController;
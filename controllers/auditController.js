@@ -0,0 +1,34 @@
+const { isAdmin } = require('../middleware/auth');
+const { isValidDate } = require('../services/fleet');
+const { AUDIT_ACTIONS, queryAudit } = require('../services/audit');
+
+const MAX_PAGE_SIZE = 500;
+
+const auditController = {
+  // Audit entries filtered by entity, actor, action and date range; administrators only
+  getAuditLog: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can read the audit log' });
+    }
+
+    const { entity, entityId, actorId, actorRole, action, from, to } = req.query;
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `Action must be one of ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+      return res.status(400).json({ message: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    try {
+      res.json(await queryAudit({ entity, entityId, actorId, actorRole, action, from, to, limit, offset }));
+    } catch (error) {
+      console.error('Error fetching audit log:', error);
+      res.status(500).json({ message: 'Error fetching audit log', error: error.message });
+    }
+  }
+};
+
+module.exports = auditController;
@@ -1,57 +1,69 @@
-const db = require('../config/database');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { startSignIn } = require('../services/twoFactor');
+const { clientIp } = require('../services/sessions');
+const { findLoginUser, getUser } = require('../services/users');
+const {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('../services/loginProtection');
 
-const login = async (req, res) => {
-  try {
-    const { username, password } = req.body;
+// Compared against when there is no usable account, so every failed login costs one bcrypt compare
+const DUMMY_PASSWORD_HASH = '$2a$12$r4m7iA7U2OgnLKnpaKWazuuuArc1KdqN/qKPjGKjQLKeWRIZPin72';
 
-    // Get branch from database using name instead of username
-    const [branches] = await db.query(
-      'SELECT * FROM branches WHERE name = ?',
-      [username]
-    );
+const authController = {
+  login: async (req, res) => {
+    try {
+      const { username, password } = req.body;
 
-    if (branches.length === 0) {
-      return res.status(401).json({ message: 'Invalid credentials' });
-    }
+      if (!username || !password) {
+        return res.status(400).json({ message: 'Username and password are required' });
+      }
+
+      const user = await findLoginUser(username);
+
+      // Progressive delay and lockout per account and per IP
+      const ip = clientIp(req);
+      const account = accountKey(user, username);
+      const attempt = await checkLoginAllowed(account, ip);
+      if (!attempt.allowed) {
+        res.set('Retry-After', String(attempt.retryAfter));
+        return res.status(429).json({ message: attempt.message, retry_after: attempt.retryAfter });
+      }
 
-    const branch = branches[0];
+      // Disabled users, and users created without a password, cannot sign in
+      const canSignIn = Boolean(user && user.status === 'active' && user.password);
+      const passwordMatches = await bcrypt.compare(String(password), canSignIn ? user.password : DUMMY_PASSWORD_HASH);
+      const isValidPassword = canSignIn && passwordMatches;
+      if (!isValidPassword) {
+        await recordLoginFailure(account, ip);
+        return res.status(401).json({ message: 'Invalid credentials' });
+      }
+      await recordLoginSuccess(account);
 
-    // Compare password
-    const isValidPassword = await bcrypt.compare(password, branch.password);
-    if (!isValidPassword) {
-      return res.status(401).json({ message: 'Invalid credentials' });
+      // Accounts with 2FA get a challenge to complete at /api/auth/2fa/verify
+      res.json(await startSignIn(user, req));
+    } catch (error) {
+      console.error('Login error:', error);
+      res.status(500).json({ message: 'Internal server error' });
     }
+  },
 
-    // Create JWT token
-    const token = jwt.sign(
-      {
-        branchId: branch.id,
-        name: branch.name,
-        role: branch.role,
-        clientId: branch.client_id
-      },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
-
-    res.json({
-      token,
-      user: {
-        id: branch.id,
-        name: branch.name,
-        email: branch.email,
-        role: branch.role,
-        client_id: branch.client_id
+  getProfile: async (req, res) => {
+    try {
+      if (!req.user?.userId) {
+        return res.status(401).json({ message: 'Invalid token' });
       }
-    });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ message: 'Internal server error' });
+      res.json(await getUser(req.user.userId));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Profile fetch error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
   }
 };
 
-module.exports = {
-  login
-}; 
\ No newline at end of file
+module.exports = authController;
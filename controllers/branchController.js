@@ -1,15 +1,19 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
+const { createUser } = require('../services/users');
+
+// Branch sign-in now lives on users; the legacy password column is never sent out
+const withoutSecrets = ({ password, ...branch }) => branch;
 
 const branchController = {
   getAllBranchesWithoutClient: async (req, res) => {
     try {
-      const [branches] = await db.query(`
+      const branches = await executeQuery(`
         SELECT b.*, c.name as client_name 
         FROM branches b
         LEFT JOIN clients c ON b.client_id = c.id
         ORDER BY b.name
       `);
-      res.json(branches);
+      res.json(branches.map(withoutSecrets));
     } catch (error) {
       console.error('Error fetching all branches:', error);
       res.status(500).json({ message: 'Error fetching all branches', error: error.message });
@@ -18,14 +22,14 @@ const branchController = {
 
   getAllBranches: async (req, res) => {
     try {
-      const [branches] = await db.query(`
+      const branches = await executeQuery(`
         SELECT b.*, c.name as client_name 
         FROM branches b
         LEFT JOIN clients c ON b.client_id = c.id
         WHERE b.client_id = ?
         ORDER BY b.name
       `, [req.params.clientId]);
-      res.json(branches);
+      res.json(branches.map(withoutSecrets));
     } catch (error) {
       console.error('Error fetching branches:', error);
       res.status(500).json({ message: 'Error fetching branches', error: error.message });
@@ -34,7 +38,7 @@ const branchController = {
 
   getBranch: async (req, res) => {
     try {
-      const [branches] = await db.query(
+      const branches = await executeQuery(
         'SELECT * FROM branches WHERE id = ?',
         [req.params.id]
       );
@@ -43,30 +47,51 @@ const branchController = {
         return res.status(404).json({ message: 'Branch not found' });
       }
       
-      res.json(branches[0]);
+      res.json(withoutSecrets(branches[0]));
     } catch (error) {
       console.error('Error fetching branch:', error);
       res.status(500).json({ message: 'Error fetching branch', error: error.message });
     }
   },
 
+  // With a username the branch also gets its first user; more can be added through /api/users
   createBranch: async (req, res) => {
-    const { client_id, name, address, contact_person, contact_number, email } = req.body;
+    const { client_id, name, address, contact_person, contact_number, email, username, password } = req.body;
     
     try {
-      const [result] = await db.query(
+      const result = await executeQuery(
         `INSERT INTO branches (client_id, name, address, contact_person, contact_number, email)
          VALUES (?, ?, ?, ?, ?, ?)`,
         [client_id, name, address, contact_person, contact_number, email]
       );
+
+      let user = null;
+      if (username) {
+        try {
+          user = await createUser({
+            username,
+            name: contact_person || name,
+            email,
+            password,
+            role: 'branch',
+            branch_id: result.insertId
+          });
+        } catch (error) {
+          await executeQuery('DELETE FROM branches WHERE id = ?', [result.insertId]);
+          throw error;
+        }
+      }
       
-      const [newBranch] = await db.query(
+      const newBranch = await executeQuery(
         'SELECT * FROM branches WHERE id = ?',
         [result.insertId]
       );
       
-      res.status(201).json(newBranch[0]);
+      res.status(201).json({ ...withoutSecrets(newBranch[0]), user });
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Error creating branch:', error);
       res.status(500).json({ message: 'Error creating branch', error: error.message });
     }
@@ -76,14 +101,14 @@ const branchController = {
     const { name, address, contact_person, contact_number, email } = req.body;
     
     try {
-      await db.query(
+      await executeQuery(
         `UPDATE branches 
          SET name = ?, address = ?, contact_person = ?, contact_number = ?, email = ?
          WHERE id = ?`,
         [name, address, contact_person, contact_number, email, req.params.id]
       );
       
-      const [updatedBranch] = await db.query(
+      const updatedBranch = await executeQuery(
         'SELECT * FROM branches WHERE id = ?',
         [req.params.id]
       );
@@ -92,7 +117,7 @@ const branchController = {
         return res.status(404).json({ message: 'Branch not found' });
       }
       
-      res.json(updatedBranch[0]);
+      res.json(withoutSecrets(updatedBranch[0]));
     } catch (error) {
       console.error('Error updating branch:', error);
       res.status(500).json({ message: 'Error updating branch', error: error.message });
@@ -101,7 +126,7 @@ const branchController = {
 
   deleteBranch: async (req, res) => {
     try {
-      const [result] = await db.query(
+      const result = await executeQuery(
         'DELETE FROM branches WHERE id = ?',
         [req.params.id]
       );
@@ -0,0 +1,158 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope, isBranchInScope, isAdmin } = require('../middleware/auth');
+const {
+  REASON_CODES,
+  getPolicy,
+  cancelRequest,
+  rescheduleRequest
+} = require('../services/cancellations');
+
+// Branch and head-office users may only change requests within their scope
+const canAccessRequest = async (requestId, user) => {
+  const requests = await executeQuery('SELECT id, branch_id FROM requests WHERE id = ?', [requestId]);
+  if (requests.length === 0) {
+    return false;
+  }
+  return isBranchInScope(getBranchScope(user), requests[0].branch_id);
+};
+
+// Administrators and operator staff work for us rather than for a client
+const isOperator = (user) => getBranchScope(user) === null;
+
+const cancellationController = {
+  // The reasons the caller may give; fee-waiving reasons are for operator staff
+  getReasonCodes: (req, res) => {
+    const operator = isOperator(req.user);
+    res.json(Object.entries(REASON_CODES)
+      .filter(([, reason]) => operator || !reason.waivesFee)
+      .map(([code, reason]) => ({
+        code,
+        label: reason.label,
+        waives_fee: reason.waivesFee
+      })));
+  },
+
+  cancelRequest: async (req, res) => {
+    const { id } = req.params;
+    const { reason_code, note, waive_fee } = req.body;
+
+    try {
+      if (!(await canAccessRequest(id, req.user))) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const { charge } = await cancelRequest(id, {
+        reasonCode: reason_code,
+        note: note || null,
+        waiveFee: Boolean(waive_fee) && isAdmin(req.user),
+        byOperator: isOperator(req.user)
+      }, req.user);
+
+      const requests = await executeQuery('SELECT * FROM requests WHERE id = ?', [id]);
+      res.json({ request: requests[0], charge });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error cancelling request:', error);
+      res.status(500).json({ message: 'Error cancelling request', error: error.message });
+    }
+  },
+
+  rescheduleRequest: async (req, res) => {
+    const { id } = req.params;
+    const { pickup_date, reason_code, note, waive_fee } = req.body;
+
+    try {
+      if (!(await canAccessRequest(id, req.user))) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const result = await rescheduleRequest(id, {
+        pickupDate: pickup_date,
+        reasonCode: reason_code,
+        note: note || null,
+        waiveFee: Boolean(waive_fee) && isAdmin(req.user),
+        byOperator: isOperator(req.user)
+      }, req.user);
+
+      const requests = await executeQuery('SELECT * FROM requests WHERE id = ?', [id]);
+      res.json({ request: requests[0], ...result });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error rescheduling request:', error);
+      res.status(500).json({ message: 'Error rescheduling request', error: error.message });
+    }
+  },
+
+  // Fees charged on a request and its reschedules
+  getRequestCharges: async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      if (!(await canAccessRequest(id, req.user))) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const charges = await executeQuery(
+        'SELECT * FROM request_charges WHERE request_id = ? ORDER BY created_at, id',
+        [id]
+      );
+      const reschedules = await executeQuery(
+        'SELECT * FROM request_reschedules WHERE request_id = ? ORDER BY created_at, id',
+        [id]
+      );
+      res.json({ charges, reschedules });
+    } catch (error) {
+      console.error('Error fetching request charges:', error);
+      res.status(500).json({ message: 'Error fetching request charges', error: error.message });
+    }
+  },
+
+  getPolicy: async (req, res) => {
+    try {
+      const clients = await executeQuery('SELECT id FROM clients WHERE id = ?', [req.params.clientId]);
+      if (clients.length === 0) {
+        return res.status(404).json({ message: 'Client not found' });
+      }
+      res.json(await getPolicy(req.params.clientId));
+    } catch (error) {
+      console.error('Error fetching cancellation policy:', error);
+      res.status(500).json({ message: 'Error fetching cancellation policy', error: error.message });
+    }
+  },
+
+  // Create or replace the client's policy; fee amounts live on its service charges
+  setPolicy: async (req, res) => {
+    const { clientId } = req.params;
+    const { cutoff_hours, charge_late_reschedule } = req.body;
+
+    if (!(Number(cutoff_hours) >= 0) || cutoff_hours === null || cutoff_hours === '') {
+      return res.status(400).json({ message: 'Cutoff hours must be zero or more' });
+    }
+
+    try {
+      const clients = await executeQuery('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        return res.status(404).json({ message: 'Client not found' });
+      }
+
+      await executeQuery(
+        `INSERT INTO cancellation_policies (client_id, cutoff_hours, charge_late_reschedule)
+         VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE cutoff_hours = VALUES(cutoff_hours),
+                                 charge_late_reschedule = VALUES(charge_late_reschedule)`,
+        [clientId, Number(cutoff_hours), charge_late_reschedule === false || charge_late_reschedule === 0 ? 0 : 1]
+      );
+
+      res.json(await getPolicy(clientId));
+    } catch (error) {
+      console.error('Error saving cancellation policy:', error);
+      res.status(500).json({ message: 'Error saving cancellation policy', error: error.message });
+    }
+  }
+};
+
+module.exports = cancellationController;
@@ -0,0 +1,133 @@
+const { executeQuery } = require('../database/query');
+const { VEHICLE_TYPES } = require('../services/fleet');
+const { LIMIT_SCOPES } = require('../services/cashLimits');
+
+const LIMIT_SELECT = `
+  SELECT cl.*, t.name as team_name, c.name as client_name
+  FROM carrying_limits cl
+  LEFT JOIN teams t ON cl.team_id = t.id
+  LEFT JOIN clients c ON cl.client_id = c.id
+`;
+
+// Returns an error message, or null when the limit definition is usable
+const validateLimit = (body) => {
+  if (!LIMIT_SCOPES.includes(body.scope)) {
+    return `Scope must be one of ${LIMIT_SCOPES.join(', ')}`;
+  }
+  if (!(Number(body.max_value) >= 0) || body.max_value === null || body.max_value === '') {
+    return 'Maximum value must be a non-negative amount';
+  }
+  if (body.scope === 'vehicle_type' && !VEHICLE_TYPES.includes(body.vehicle_type)) {
+    return `Vehicle type must be ${VEHICLE_TYPES.join(' or ')}`;
+  }
+  if (body.scope === 'team' && !body.team_id) {
+    return 'Team is required for a team limit';
+  }
+  if (body.scope === 'client' && !body.client_id) {
+    return 'Client is required for a client limit';
+  }
+  return null;
+};
+
+// Only the target matching the scope is stored
+const limitValues = (body) => [
+  body.scope,
+  body.scope === 'vehicle_type' ? body.vehicle_type : null,
+  body.scope === 'team' ? body.team_id : null,
+  body.scope === 'client' ? body.client_id : null,
+  body.max_value
+];
+
+const duplicateMessage = 'A limit already exists for this vehicle type, team or client';
+
+const carryingLimitController = {
+  getLimits: async (req, res) => {
+    try {
+      const params = [];
+      let where = '';
+      if (req.query.scope) {
+        where = 'WHERE cl.scope = ?';
+        params.push(req.query.scope);
+      }
+
+      const limits = await executeQuery(`${LIMIT_SELECT} ${where} ORDER BY cl.scope, cl.id`, params);
+      res.json(limits);
+    } catch (error) {
+      console.error('Error fetching carrying limits:', error);
+      res.status(500).json({ message: 'Error fetching carrying limits', error: error.message });
+    }
+  },
+
+  createLimit: async (req, res) => {
+    const validationError = validateLimit(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const result = await executeQuery(
+        'INSERT INTO carrying_limits (scope, vehicle_type, team_id, client_id, max_value) VALUES (?, ?, ?, ?, ?)',
+        limitValues(req.body)
+      );
+
+      const limits = await executeQuery(`${LIMIT_SELECT} WHERE cl.id = ?`, [result.insertId]);
+      res.status(201).json(limits[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: duplicateMessage });
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({ message: 'Team or client not found' });
+      }
+      console.error('Error creating carrying limit:', error);
+      res.status(500).json({ message: 'Error creating carrying limit', error: error.message });
+    }
+  },
+
+  updateLimit: async (req, res) => {
+    const validationError = validateLimit(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE carrying_limits
+         SET scope = ?, vehicle_type = ?, team_id = ?, client_id = ?, max_value = ?
+         WHERE id = ?`,
+        [...limitValues(req.body), req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Carrying limit not found' });
+      }
+
+      const limits = await executeQuery(`${LIMIT_SELECT} WHERE cl.id = ?`, [req.params.id]);
+      res.json(limits[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: duplicateMessage });
+      }
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({ message: 'Team or client not found' });
+      }
+      console.error('Error updating carrying limit:', error);
+      res.status(500).json({ message: 'Error updating carrying limit', error: error.message });
+    }
+  },
+
+  deleteLimit: async (req, res) => {
+    try {
+      const result = await executeQuery('DELETE FROM carrying_limits WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Carrying limit not found' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting carrying limit:', error);
+      res.status(500).json({ message: 'Error deleting carrying limit', error: error.message });
+    }
+  }
+};
+
+module.exports = carryingLimitController;
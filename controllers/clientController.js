@@ -1,36 +1,10 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
 
 const clientController = {
   // Get all clients
   getAllClients: async (req, res) => {
     try {
-      console.log('Attempting to fetch all clients...');
-      
-      // Test database connection
-      try {
-        const [test] = await db.query('SELECT 1');
-        console.log('Database connection test successful:', test);
-      } catch (dbError) {
-        console.error('Database connection test failed:', dbError);
-        throw dbError;
-      }
-
-      // Check if clients table exists
-      try {
-        const [tables] = await db.query('SHOW TABLES LIKE "clients"');
-        console.log('Tables check result:', tables);
-        if (tables.length === 0) {
-          throw new Error('Clients table does not exist');
-        }
-      } catch (tableError) {
-        console.error('Table check failed:', tableError);
-        throw tableError;
-      }
-
-      // Fetch all clients
-      const [clients] = await db.query('SELECT * FROM clients ORDER BY created_at DESC');
-      console.log('Clients fetched successfully:', clients);
-      
+      const clients = await executeQuery('SELECT * FROM clients ORDER BY created_at DESC');
       res.json(clients);
     } catch (error) {
       console.error('Error in getAllClients:', error);
@@ -53,7 +27,7 @@ const clientController = {
       const { id } = req.params;
       console.log('Fetching client with ID:', id);
       
-      const [clients] = await db.query(
+      const clients = await executeQuery(
         'SELECT * FROM clients WHERE id = ?',
         [id]
       );
@@ -95,7 +69,7 @@ const clientController = {
       }
 
       // Check for duplicate account number
-      const [existingClients] = await db.query(
+      const existingClients = await executeQuery(
         'SELECT * FROM clients WHERE account_number = ?',
         [account_number]
       );
@@ -105,13 +79,13 @@ const clientController = {
       }
 
       // Insert new client
-      const [result] = await db.query(
+      const result = await executeQuery(
         'INSERT INTO clients (name, account_number, email, phone, address) VALUES (?, ?, ?, ?, ?)',
         [name, account_number, email, phone, address]
       );
 
       // Fetch the newly created client
-      const [newClient] = await db.query(
+      const newClient = await executeQuery(
         'SELECT * FROM clients WHERE id = ?',
         [result.insertId]
       );
@@ -141,7 +115,7 @@ const clientController = {
       }
 
       // Check for duplicate account number (excluding current client)
-      const [existingClients] = await db.query(
+      const existingClients = await executeQuery(
         'SELECT * FROM clients WHERE account_number = ? AND id != ?',
         [account_number, id]
       );
@@ -151,13 +125,13 @@ const clientController = {
       }
 
       // Update client
-      await db.query(
+      await executeQuery(
         'UPDATE clients SET name = ?, account_number = ?, email = ?, phone = ?, address = ? WHERE id = ?',
         [name, account_number, email, phone, address, id]
       );
 
       // Fetch the updated client
-      const [updatedClient] = await db.query(
+      const updatedClient = await executeQuery(
         'SELECT * FROM clients WHERE id = ?',
         [id]
       );
@@ -183,7 +157,7 @@ const clientController = {
       console.log('Deleting client with ID:', id);
 
       // Check if client exists
-      const [client] = await db.query(
+      const client = await executeQuery(
         'SELECT * FROM clients WHERE id = ?',
         [id]
       );
@@ -193,7 +167,7 @@ const clientController = {
       }
 
       // Delete client
-      await db.query('DELETE FROM clients WHERE id = ?', [id]);
+      await executeQuery('DELETE FROM clients WHERE id = ?', [id]);
       console.log('Client deleted successfully');
       res.status(204).send();
     } catch (error) {
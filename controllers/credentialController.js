@@ -0,0 +1,105 @@
+const {
+  setCredentials,
+  changePassword,
+  requestPasswordReset,
+  sendPasswordReset,
+  resetPassword
+} = require('../services/credentials');
+const { getBranchScope } = require('../middleware/auth');
+const { findUserInScope } = require('../services/users');
+
+// Minimum time a forgot-password request takes, whether or not the account exists
+const RESET_RESPONSE_MS = 2000;
+
+// Errors thrown with a statusCode are the caller's fault; anything else is ours
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message, error: error.message });
+};
+
+const credentialController = {
+  // Administrator sets a user's username and/or password
+  setCredentials: async (req, res) => {
+    const { username, password } = req.body;
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      await setCredentials(req.params.userId, { username, password });
+      res.json({ message: 'Credentials updated' });
+    } catch (error) {
+      sendError(res, error, 'Error updating credentials');
+    }
+  },
+
+  // Administrator emails a reset token to the user
+  sendPasswordReset: async (req, res) => {
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      await sendPasswordReset(req.params.userId);
+      res.status(202).json({ message: 'Password reset email sent' });
+    } catch (error) {
+      sendError(res, error, 'Error sending password reset');
+    }
+  },
+
+  // Signed-in user changes their own password; their other sessions are signed out
+  changePassword: async (req, res) => {
+    const { current_password, new_password } = req.body;
+    if (!current_password || !new_password) {
+      return res.status(400).json({ message: 'Current and new password are required' });
+    }
+
+    try {
+      await changePassword(req.user.userId, current_password, new_password, req.user.sid || null);
+      res.json({ message: 'Password changed' });
+    } catch (error) {
+      sendError(res, error, 'Error changing password');
+    }
+  },
+
+  // Always answers the same way so account names cannot be discovered
+  forgotPassword: async (req, res) => {
+    const identifier = req.body.username || req.body.email;
+    if (!identifier) {
+      return res.status(400).json({ message: 'Username or email is required' });
+    }
+
+    // The work finishes before answering (a serverless function may be frozen once it has
+    // responded), and the answer is held to a fixed minimum time so its timing does not
+    // reveal whether the account exists
+    const startedAt = Date.now();
+    try {
+      await requestPasswordReset(String(identifier));
+    } catch (error) {
+      console.error('Error requesting password reset:', error);
+    }
+    const remaining = RESET_RESPONSE_MS - (Date.now() - startedAt);
+    if (remaining > 0) {
+      await new Promise(resolve => setTimeout(resolve, remaining));
+    }
+
+    res.status(202).json({ message: 'If the account exists, a reset email has been sent' });
+  },
+
+  resetPassword: async (req, res) => {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    try {
+      await resetPassword(token, password);
+      res.json({ message: 'Password has been reset' });
+    } catch (error) {
+      sendError(res, error, 'Error resetting password');
+    }
+  }
+};
+
+module.exports = credentialController;
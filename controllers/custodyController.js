@@ -0,0 +1,239 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope, isBranchInScope } = require('../middleware/auth');
+
+// Handover stages in the order a consignment must pass through them
+const HANDOVER_STAGES = ['branch_to_crew', 'crew_to_vault', 'vault_to_destination'];
+
+const findRequest = async (requestId, user) => {
+  const requests = await executeQuery(
+    'SELECT id, branch_id, status FROM requests WHERE id = ?',
+    [requestId]
+  );
+
+  if (requests.length === 0) {
+    return null;
+  }
+
+  if (!(await isBranchInScope(getBranchScope(user), requests[0].branch_id))) {
+    return null;
+  }
+
+  return requests[0];
+};
+
+const fetchHandovers = (column, value) => executeQuery(
+  `SELECT h.*, c.seal_number,
+     fs.name as from_staff_name, ts.name as to_staff_name
+   FROM custody_handovers h
+   JOIN consignments c ON h.consignment_id = c.id
+   LEFT JOIN staff fs ON h.from_staff_id = fs.id
+   LEFT JOIN staff ts ON h.to_staff_id = ts.id
+   WHERE ${column} = ?
+   ORDER BY h.handed_at ASC, h.id ASC`,
+  [value]
+);
+
+const custodyController = {
+  getConsignments: async (req, res) => {
+    try {
+      const request = await findRequest(req.params.id, req.user);
+      if (!request) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const consignments = await executeQuery(
+        'SELECT * FROM consignments WHERE request_id = ? ORDER BY id',
+        [request.id]
+      );
+      res.json(consignments);
+    } catch (error) {
+      console.error('Error fetching consignments:', error);
+      res.status(500).json({ message: 'Error fetching consignments', error: error.message });
+    }
+  },
+
+  createConsignment: async (req, res) => {
+    const { seal_number, bag_count, declared_value, currency, notes } = req.body;
+
+    if (!seal_number || !bag_count || declared_value === undefined || !currency) {
+      return res.status(400).json({
+        message: 'Seal number, bag count, declared value and currency are required'
+      });
+    }
+
+    if (!Number.isInteger(Number(bag_count)) || Number(bag_count) <= 0) {
+      return res.status(400).json({ message: 'Bag count must be a positive whole number' });
+    }
+
+    if (Number.isNaN(Number(declared_value)) || Number(declared_value) < 0) {
+      return res.status(400).json({ message: 'Declared value must be a non-negative amount' });
+    }
+
+    try {
+      const request = await findRequest(req.params.id, req.user);
+      if (!request) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const existingSeals = await executeQuery(
+        'SELECT id, request_id FROM consignments WHERE seal_number = ?',
+        [seal_number]
+      );
+
+      if (existingSeals.length > 0) {
+        return res.status(409).json({
+          message: `Seal number ${seal_number} is already recorded on request ${existingSeals[0].request_id}`
+        });
+      }
+
+      const result = await executeQuery(
+        `INSERT INTO consignments (request_id, seal_number, bag_count, declared_value, currency, notes)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [request.id, seal_number, bag_count, declared_value, currency.toUpperCase(), notes || null]
+      );
+
+      const consignment = await executeQuery('SELECT * FROM consignments WHERE id = ?', [result.insertId]);
+      res.status(201).json(consignment[0]);
+    } catch (error) {
+      console.error('Error creating consignment:', error);
+      res.status(500).json({ message: 'Error creating consignment', error: error.message });
+    }
+  },
+
+  // Full custody record for a request: consignments and every handover
+  getCustody: async (req, res) => {
+    try {
+      const request = await findRequest(req.params.id, req.user);
+      if (!request) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const consignments = await executeQuery(
+        'SELECT * FROM consignments WHERE request_id = ? ORDER BY id',
+        [request.id]
+      );
+      const handovers = await fetchHandovers('h.request_id', request.id);
+
+      res.json({ request_id: request.id, consignments, handovers });
+    } catch (error) {
+      console.error('Error fetching custody record:', error);
+      res.status(500).json({ message: 'Error fetching custody record', error: error.message });
+    }
+  },
+
+  // Record a handover for some or all of a request's consignments
+  createHandover: async (req, res) => {
+    const {
+      stage,
+      from_party,
+      to_party,
+      from_staff_id,
+      to_staff_id,
+      seal_numbers,
+      handed_at,
+      notes
+    } = req.body;
+
+    if (!HANDOVER_STAGES.includes(stage)) {
+      return res.status(400).json({
+        message: `Stage must be one of: ${HANDOVER_STAGES.join(', ')}`
+      });
+    }
+
+    if (!from_party || !to_party) {
+      return res.status(400).json({ message: 'Handing and receiving parties are required' });
+    }
+
+    try {
+      const request = await findRequest(req.params.id, req.user);
+      if (!request) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      let consignments = await executeQuery(
+        'SELECT * FROM consignments WHERE request_id = ? ORDER BY id',
+        [request.id]
+      );
+
+      if (Array.isArray(seal_numbers) && seal_numbers.length > 0) {
+        const unknownSeals = seal_numbers.filter(
+          seal => !consignments.some(c => c.seal_number === seal)
+        );
+        if (unknownSeals.length > 0) {
+          return res.status(400).json({
+            message: 'Some seal numbers are not recorded on this request',
+            unknownSeals
+          });
+        }
+        consignments = consignments.filter(c => seal_numbers.includes(c.seal_number));
+      }
+
+      if (consignments.length === 0) {
+        return res.status(400).json({ message: 'No consignments recorded on this request' });
+      }
+
+      // Each consignment must move through the stages in order, once each
+      const previousHandovers = await fetchHandovers('h.request_id', request.id);
+      const expectedIndex = HANDOVER_STAGES.indexOf(stage);
+      for (const consignment of consignments) {
+        const handled = previousHandovers.filter(h => h.consignment_id === consignment.id);
+        if (handled.length !== expectedIndex) {
+          const nextStage = HANDOVER_STAGES[handled.length] || 'none (custody complete)';
+          return res.status(409).json({
+            message: `Seal ${consignment.seal_number} cannot be handed over at ${stage}; next stage is ${nextStage}`
+          });
+        }
+      }
+
+      const handedAt = handed_at ? new Date(handed_at) : new Date();
+      if (Number.isNaN(handedAt.getTime())) {
+        return res.status(400).json({ message: 'Invalid handover time' });
+      }
+
+      for (const consignment of consignments) {
+        await executeQuery(
+          `INSERT INTO custody_handovers (
+            request_id, consignment_id, stage, from_party, to_party,
+            from_staff_id, to_staff_id, handed_at, recorded_by, notes
+          ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [
+            request.id, consignment.id, stage, from_party, to_party,
+            from_staff_id || null, to_staff_id || null, handedAt,
+            req.user?.name || null, notes || null
+          ]
+        );
+      }
+
+      const handovers = await fetchHandovers('h.request_id', request.id);
+      res.status(201).json(handovers.filter(h => h.stage === stage));
+    } catch (error) {
+      console.error('Error recording handover:', error);
+      res.status(500).json({ message: 'Error recording handover', error: error.message });
+    }
+  },
+
+  getCustodyBySeal: async (req, res) => {
+    try {
+      const consignments = await executeQuery(
+        `SELECT c.*, r.branch_id, r.pickup_location, r.delivery_location, r.pickup_date, r.status as request_status
+         FROM consignments c
+         JOIN requests r ON c.request_id = r.id
+         WHERE c.seal_number = ?`,
+        [req.params.sealNumber]
+      );
+
+      const scope = getBranchScope(req.user);
+      if (consignments.length === 0 || !(await isBranchInScope(scope, consignments[0].branch_id))) {
+        return res.status(404).json({ message: 'Seal number not found' });
+      }
+
+      const handovers = await fetchHandovers('h.consignment_id', consignments[0].id);
+      res.json({ ...consignments[0], handovers });
+    } catch (error) {
+      console.error('Error fetching custody by seal:', error);
+      res.status(500).json({ message: 'Error fetching custody by seal', error: error.message });
+    }
+  }
+};
+
+module.exports = custodyController;
@@ -1,12 +1,71 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
+const {
+  isValidDate,
+  getRoadworthyVehicle,
+  assertVehicleAvailable,
+  getActiveDriver,
+  getTeamAssignment
+} = require('../services/fleet');
+const { isValidTime } = require('../services/roster');
+const { sequenceRun } = require('../services/routeSequencing');
+const { getTeamLimits, loadRunRequests, describeBreach } = require('../services/cashLimits');
+
+const parseItinerary = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const RUN_SELECT = `
+  SELECT dr.*,
+         COALESCE(v.registration_number, dr.vehicle_number) as vehicle_number,
+         v.type as vehicle_type,
+         COALESCE(d.name, dr.driver_name) as driver_name,
+         t.name as team_name
+  FROM daily_runs dr
+  LEFT JOIN vehicles v ON dr.vehicle_id = v.id
+  LEFT JOIN staff d ON dr.driver_id = d.id
+  LEFT JOIN teams t ON dr.team_id = t.id
+`;
+
+/**
+ * Resolve the vehicle and driver for a run. When only a team is given the
+ * team's vehicle assignment for the day supplies both. Either way the
+ * vehicle must be roadworthy and free of other teams' assignments, and the
+ * driver active. Throws an error with a `statusCode` when the run cannot
+ * use them.
+ */
+const resolveCrew = async ({ date, team_id, vehicle_id, driver_id }) => {
+  let vehicleId = vehicle_id;
+  let driverId = driver_id;
+
+  if (team_id && (!vehicleId || !driverId)) {
+    const assignment = await getTeamAssignment(team_id, date);
+    if (assignment) {
+      vehicleId = vehicleId || assignment.vehicle_id;
+      driverId = driverId || assignment.driver_id;
+    }
+  }
+
+  if (!vehicleId || !driverId) {
+    const error = new Error('A vehicle and driver are required (directly or via the team\'s vehicle assignment)');
+    error.statusCode = 400;
+    throw error;
+  }
+
+  await getRoadworthyVehicle(vehicleId, date);
+  await assertVehicleAvailable(vehicleId, team_id, date);
+  await getActiveDriver(driverId);
+
+  return { vehicleId, driverId };
+};
+
+// Whether a field in an update names a different value from the stored one
+const isChanged = (value, current) => value !== undefined && String(value ?? '') !== String(current ?? '');
 
 const dailyRunController = {
   getDailyRuns: async (req, res) => {
     const { date } = req.query;
 
     try {
-      const [runs] = await db.query(
-        'SELECT * FROM daily_runs WHERE date = ? ORDER BY start_time ASC',
+      const runs = await executeQuery(
+        `${RUN_SELECT} WHERE dr.date = ? ORDER BY dr.start_time ASC`,
         [date]
       );
       res.json(runs);
@@ -19,28 +78,38 @@ const dailyRunController = {
   createDailyRun: async (req, res) => {
     const {
       date,
-      driver_name,
-      vehicle_number,
+      team_id,
+      vehicle_id,
+      driver_id,
       route,
       start_time,
       notes
     } = req.body;
 
+    if (!isValidDate(date) || !route || !start_time) {
+      return res.status(400).json({ message: 'Date (YYYY-MM-DD), route and start time are required' });
+    }
+
     try {
-      const [result] = await db.query(
+      const { vehicleId, driverId } = await resolveCrew({ date, team_id, vehicle_id, driver_id });
+
+      const result = await executeQuery(
         `INSERT INTO daily_runs 
-        (date, driver_name, vehicle_number, route, start_time, notes) 
-        VALUES (?, ?, ?, ?, ?, ?)`,
-        [date, driver_name, vehicle_number, route, start_time, notes]
+        (date, team_id, vehicle_id, driver_id, route, start_time, notes) 
+        VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [date, team_id || null, vehicleId, driverId, route, start_time, notes]
       );
 
-      const [newRun] = await db.query(
-        'SELECT * FROM daily_runs WHERE id = ?',
+      const newRun = await executeQuery(
+        `${RUN_SELECT} WHERE dr.id = ?`,
         [result.insertId]
       );
 
       res.status(201).json(newRun[0]);
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Error creating daily run:', error);
       res.status(500).json({ message: 'Error creating daily run', error: error.message });
     }
@@ -49,8 +118,9 @@ const dailyRunController = {
   updateDailyRun: async (req, res) => {
     const { id } = req.params;
     const {
-      driver_name,
-      vehicle_number,
+      team_id,
+      vehicle_id,
+      driver_id,
       route,
       status,
       start_time,
@@ -59,30 +129,55 @@ const dailyRunController = {
     } = req.body;
 
     try {
-      await db.query(
+      const existing = await executeQuery(
+        `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, team_id, vehicle_id, driver_id
+         FROM daily_runs WHERE id = ?`,
+        [id]
+      );
+      if (existing.length === 0) {
+        return res.status(404).json({ message: 'Daily run not found' });
+      }
+      const run = existing[0];
+
+      // The crew is only resolved and checked again when the team, vehicle or driver changes
+      const teamId = team_id !== undefined ? team_id || null : run.team_id;
+      let vehicleId = run.vehicle_id;
+      let driverId = run.driver_id;
+      const teamChanged = isChanged(team_id, run.team_id);
+      if (teamChanged || isChanged(vehicle_id, run.vehicle_id) || isChanged(driver_id, run.driver_id)) {
+        // A new team brings its own assigned crew unless one is given
+        ({ vehicleId, driverId } = await resolveCrew({
+          date: run.date,
+          team_id: teamId,
+          vehicle_id: vehicle_id !== undefined ? vehicle_id : (teamChanged ? null : run.vehicle_id),
+          driver_id: driver_id !== undefined ? driver_id : (teamChanged ? null : run.driver_id)
+        }));
+      }
+
+      await executeQuery(
         `UPDATE daily_runs 
-        SET driver_name = ?, 
-            vehicle_number = ?, 
+        SET team_id = ?,
+            vehicle_id = ?, 
+            driver_id = ?, 
             route = ?, 
             status = ?, 
             start_time = ?, 
             end_time = ?, 
             notes = ? 
         WHERE id = ?`,
-        [driver_name, vehicle_number, route, status, start_time, end_time, notes, id]
+        [teamId, vehicleId, driverId, route, status, start_time, end_time, notes, id]
       );
 
-      const [updatedRun] = await db.query(
-        'SELECT * FROM daily_runs WHERE id = ?',
+      const updatedRun = await executeQuery(
+        `${RUN_SELECT} WHERE dr.id = ?`,
         [id]
       );
 
-      if (updatedRun.length === 0) {
-        return res.status(404).json({ message: 'Daily run not found' });
-      }
-
       res.json(updatedRun[0]);
     } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
       console.error('Error updating daily run:', error);
       res.status(500).json({ message: 'Error updating daily run', error: error.message });
     }
@@ -92,7 +187,7 @@ const dailyRunController = {
     const { id } = req.params;
 
     try {
-      const [result] = await db.query('DELETE FROM daily_runs WHERE id = ?', [id]);
+      const result = await executeQuery('DELETE FROM daily_runs WHERE id = ?', [id]);
       
       if (result.affectedRows === 0) {
         return res.status(404).json({ message: 'Daily run not found' });
@@ -110,13 +205,13 @@ const dailyRunController = {
     const { status, end_time } = req.body;
 
     try {
-      await db.query(
+      await executeQuery(
         'UPDATE daily_runs SET status = ?, end_time = ? WHERE id = ?',
         [status, end_time, id]
       );
 
-      const [updatedRun] = await db.query(
-        'SELECT * FROM daily_runs WHERE id = ?',
+      const updatedRun = await executeQuery(
+        `${RUN_SELECT} WHERE dr.id = ?`,
         [id]
       );
 
@@ -129,6 +224,137 @@ const dailyRunController = {
       console.error('Error updating daily run status:', error);
       res.status(500).json({ message: 'Error updating daily run status', error: error.message });
     }
+  },
+
+  /**
+   * Sequence a team's stops for a day and store the itinerary on the team's
+   * daily run (created when the team has none yet). The run starts at
+   * `start_time` (HH:MM or a date-time), the run's own start time, the team's
+   * rostered shift start, or the earliest pickup, in that order. Sheets that
+   * would put the team over its carrying limit are refused.
+   */
+  generateRunSheet: async (req, res) => {
+    const { teamId } = req.params;
+    const { date, start_time } = req.body;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+    if (start_time && !isValidTime(start_time) && Number.isNaN(new Date(start_time).getTime())) {
+      return res.status(400).json({ message: 'Invalid start time' });
+    }
+
+    try {
+      const teams = await executeQuery('SELECT id FROM teams WHERE id = ?', [teamId]);
+      if (teams.length === 0) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      const requests = await loadRunRequests(teamId, date);
+      if (requests.length === 0) {
+        return res.status(404).json({ message: 'The team has no open requests on this date' });
+      }
+
+      const runs = await executeQuery(
+        'SELECT id, start_time FROM daily_runs WHERE team_id = ? AND date = ? ORDER BY id LIMIT 1',
+        [teamId, date]
+      );
+      const shifts = await executeQuery(
+        'SELECT starts_at FROM roster_shifts WHERE team_id = ? AND date = ? ORDER BY starts_at LIMIT 1',
+        [teamId, date]
+      );
+
+      let startTime;
+      if (start_time) {
+        startTime = isValidTime(start_time) ? new Date(`${date}T${start_time}`) : new Date(start_time);
+      } else if (runs.length > 0) {
+        startTime = new Date(runs[0].start_time);
+      } else if (shifts.length > 0) {
+        startTime = new Date(shifts[0].starts_at);
+      } else {
+        startTime = new Date(Math.min(...requests.map(request => new Date(request.pickup_date).getTime())));
+      }
+
+      const positions = await executeQuery(
+        `SELECT latitude, longitude FROM crew_positions
+         WHERE team_id = ? ORDER BY recorded_at DESC LIMIT 1`,
+        [teamId]
+      );
+
+      // Refuse a run sheet that would put the team over its carrying limit
+      const limits = await getTeamLimits(teamId, date);
+      const sheet = sequenceRun(requests, positions[0] || null, startTime, limits);
+      if (sheet.breach) {
+        return res.status(409).json({ message: describeBreach(sheet.breach), breach: sheet.breach });
+      }
+      const route = sheet.stops.map(stop => stop.location).join(' -> ').slice(0, 255);
+
+      let runId;
+      if (runs.length > 0) {
+        runId = runs[0].id;
+        await executeQuery(
+          'UPDATE daily_runs SET route = ?, itinerary = ?, itinerary_generated_at = NOW() WHERE id = ?',
+          [route, JSON.stringify(sheet), runId]
+        );
+      } else {
+        const assignment = await getTeamAssignment(teamId, date);
+        const result = await executeQuery(
+          `INSERT INTO daily_runs
+          (date, team_id, vehicle_id, driver_id, route, start_time, itinerary, itinerary_generated_at)
+          VALUES (?, ?, ?, ?, ?, ?, ?, NOW())`,
+          [
+            date,
+            teamId,
+            assignment ? assignment.vehicle_id : null,
+            assignment ? assignment.driver_id : null,
+            route,
+            startTime,
+            JSON.stringify(sheet)
+          ]
+        );
+        runId = result.insertId;
+      }
+
+      res.json({ daily_run_id: runId, team_id: Number(teamId), date, ...sheet });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error generating run sheet:', error);
+      res.status(500).json({ message: 'Error generating run sheet', error: error.message });
+    }
+  },
+
+  getRunSheet: async (req, res) => {
+    const { teamId } = req.params;
+    const { date } = req.query;
+
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const runs = await executeQuery(
+        `SELECT id, itinerary, itinerary_generated_at FROM daily_runs
+         WHERE team_id = ? AND date = ? AND itinerary IS NOT NULL
+         ORDER BY id LIMIT 1`,
+        [teamId, date]
+      );
+      if (runs.length === 0) {
+        return res.status(404).json({ message: 'No run sheet has been generated for this team and date' });
+      }
+
+      res.json({
+        daily_run_id: runs[0].id,
+        team_id: Number(teamId),
+        date,
+        generated_at: runs[0].itinerary_generated_at,
+        ...parseItinerary(runs[0].itinerary)
+      });
+    } catch (error) {
+      console.error('Error fetching run sheet:', error);
+      res.status(500).json({ message: 'Error fetching run sheet', error: error.message });
+    }
   }
 };
 
@@ -0,0 +1,163 @@
+const { executeQuery } = require('../database/query');
+const { isValidDate } = require('../services/fleet');
+const { recommendAssignments } = require('../services/dispatch');
+const { normalizeStatus, transitionRequest } = require('../services/requestLifecycle');
+const { publish } = require('../services/eventBus');
+const { assertAssignmentWithinLimits } = require('../services/cashLimits');
+
+// Most proposals a dispatcher can accept in one call
+const MAX_ASSIGNMENTS_PER_CALL = 200;
+
+// Assign one request to a team; returns the per-item result instead of throwing
+const assignRequest = async ({ request_id, team_id }, actor) => {
+  try {
+    const requests = await executeQuery('SELECT id, status, branch_id FROM requests WHERE id = ?', [request_id]);
+    if (requests.length === 0) {
+      return { request_id, status: 'error', message: 'Request not found' };
+    }
+
+    const currentStatus = normalizeStatus(requests[0].status);
+    if (!['pending', 'assigned'].includes(currentStatus)) {
+      return { request_id, status: 'error', message: `Request is already ${currentStatus}` };
+    }
+
+    const teams = await executeQuery('SELECT id, crew_commander_id FROM teams WHERE id = ?', [team_id]);
+    if (teams.length === 0) {
+      return { request_id, status: 'error', message: 'Team not found' };
+    }
+
+    await assertAssignmentWithinLimits(request_id, team_id);
+
+    if (currentStatus === 'pending') {
+      await transitionRequest(request_id, 'assigned', actor, 'Dispatched');
+    }
+
+    await executeQuery(
+      'UPDATE requests SET team_id = ?, staff_id = COALESCE(?, staff_id) WHERE id = ?',
+      [team_id, teams[0].crew_commander_id, request_id]
+    );
+
+    await publish('request.team_assigned', {
+      id: Number(request_id),
+      branch_id: requests[0].branch_id,
+      team_id: Number(team_id),
+      status: 'assigned'
+    }, { branchId: requests[0].branch_id });
+
+    return { request_id, team_id, status: 'assigned' };
+  } catch (error) {
+    if (error.statusCode) {
+      return { request_id, status: 'error', message: error.message };
+    }
+    throw error;
+  }
+};
+
+const dispatchController = {
+  // Proposed team for each pending request on a date (defaults to today)
+  getRecommendations: async (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      res.json(await recommendAssignments(date));
+    } catch (error) {
+      console.error('Error building dispatch recommendations:', error);
+      res.status(500).json({ message: 'Error building dispatch recommendations', error: error.message });
+    }
+  },
+
+  // Accept proposals (as returned or edited) in bulk: [{ request_id, team_id }]
+  acceptAssignments: async (req, res) => {
+    const { assignments } = req.body;
+
+    if (!Array.isArray(assignments) || assignments.length === 0 ||
+        assignments.length > MAX_ASSIGNMENTS_PER_CALL) {
+      return res.status(400).json({
+        message: `Between 1 and ${MAX_ASSIGNMENTS_PER_CALL} assignments are required`
+      });
+    }
+    if (assignments.some(item => !item || !item.request_id || !item.team_id)) {
+      return res.status(400).json({ message: 'Each assignment needs a request_id and team_id' });
+    }
+
+    try {
+      const results = [];
+      for (const assignment of assignments) {
+        results.push(await assignRequest(assignment, req.user));
+      }
+
+      res.json({
+        assigned: results.filter(result => result.status === 'assigned').length,
+        failed: results.filter(result => result.status === 'error').length,
+        results
+      });
+    } catch (error) {
+      console.error('Error accepting dispatch assignments:', error);
+      res.status(500).json({ message: 'Error accepting dispatch assignments', error: error.message });
+    }
+  },
+
+  getTeamServiceTypes: async (req, res) => {
+    try {
+      const serviceTypes = await executeQuery(
+        `SELECT st.id, st.name
+         FROM team_service_types tst
+         JOIN service_types st ON tst.service_type_id = st.id
+         WHERE tst.team_id = ?
+         ORDER BY st.name`,
+        [req.params.teamId]
+      );
+      res.json(serviceTypes);
+    } catch (error) {
+      console.error('Error fetching team service types:', error);
+      res.status(500).json({ message: 'Error fetching team service types', error: error.message });
+    }
+  },
+
+  // Replace the service types a team is qualified for; an empty list means any
+  setTeamServiceTypes: async (req, res) => {
+    const { teamId } = req.params;
+    const { service_type_ids } = req.body;
+
+    if (!Array.isArray(service_type_ids) || service_type_ids.some(id => !Number(id))) {
+      return res.status(400).json({ message: 'service_type_ids must be a list of service type ids' });
+    }
+    const serviceTypeIds = [...new Set(service_type_ids.map(Number))];
+
+    try {
+      const teams = await executeQuery('SELECT id FROM teams WHERE id = ?', [teamId]);
+      if (teams.length === 0) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      if (serviceTypeIds.length > 0) {
+        const serviceTypes = await executeQuery(
+          `SELECT id FROM service_types WHERE id IN (${serviceTypeIds.map(() => '?').join(', ')})`,
+          serviceTypeIds
+        );
+        const missing = serviceTypeIds.filter(id => !serviceTypes.some(st => st.id === id));
+        if (missing.length > 0) {
+          return res.status(400).json({ message: 'Unknown service types', missingServiceTypeIds: missing });
+        }
+      }
+
+      await executeQuery('DELETE FROM team_service_types WHERE team_id = ?', [teamId]);
+      for (const serviceTypeId of serviceTypeIds) {
+        await executeQuery(
+          'INSERT INTO team_service_types (team_id, service_type_id) VALUES (?, ?)',
+          [teamId, serviceTypeId]
+        );
+      }
+
+      return dispatchController.getTeamServiceTypes(req, res);
+    } catch (error) {
+      console.error('Error updating team service types:', error);
+      res.status(500).json({ message: 'Error updating team service types', error: error.message });
+    }
+  }
+};
+
+module.exports = dispatchController;
@@ -0,0 +1,136 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope, userHasPermission } = require('../middleware/auth');
+const { EVENT_PERMISSIONS, getLatestEventId, getEventsSince } = require('../services/eventBus');
+const { isSessionActive } = require('../services/sessions');
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+// How often an open stream reads new events from the events table
+const POLL_INTERVAL = 2 * 1000;
+
+// Branch ids a scope covers: the user's branch, or every branch of a head office's client
+const loadScopeBranches = async (scope) => {
+  if (scope.branchId) {
+    return new Set([String(scope.branchId)]);
+  }
+  const branches = await executeQuery('SELECT id FROM branches WHERE client_id = ?', [scope.clientId]);
+  return new Set(branches.map(branch => String(branch.id)));
+};
+
+const matchesScope = (event, scope, branchIds) => {
+  if (!scope) {
+    return true;
+  }
+  return (event.branchId === null || branchIds.has(String(event.branchId))) &&
+    (event.clientId === null || String(event.clientId) === String(scope.clientId));
+};
+
+// Whether the token that opened a stream still grants access: not expired, session not revoked
+const isStillAuthorized = async (user) => {
+  if (user.exp && user.exp * 1000 <= Date.now()) {
+    return false;
+  }
+  return !user.sid || isSessionActive(user.sid);
+};
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ type: event.type, data: event.data, occurredAt: event.occurredAt })}\n\n`);
+};
+
+const eventController = {
+  // Server-sent event stream of domain events the user may see. Streams poll
+  // the events table, so they see events from every instance; a client that
+  // reconnects (e.g. when a serverless function times out) sends
+  // Last-Event-ID and carries on from there.
+  streamEvents: async (req, res) => {
+    try {
+      const requested = req.query.types ? String(req.query.types).split(',') : Object.keys(EVENT_PERMISSIONS);
+      const allowedTypes = new Set();
+      for (const type of requested) {
+        if (EVENT_PERMISSIONS[type] && await userHasPermission(req.user, EVENT_PERMISSIONS[type])) {
+          allowedTypes.add(type);
+        }
+      }
+
+      if (allowedTypes.size === 0) {
+        return res.status(403).json({ message: 'You do not have permission to receive these events' });
+      }
+
+      const scope = getBranchScope(req.user);
+      const branchIds = scope ? await loadScopeBranches(scope) : null;
+      const isVisible = (event) => allowedTypes.has(event.type) && matchesScope(event, scope, branchIds);
+
+      const lastEventId = req.headers['last-event-id'] || req.query.lastEventId;
+      let cursor = lastEventId ? Number(lastEventId) || 0 : await getLatestEventId();
+
+      res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+      });
+      res.flushHeaders();
+      res.write('retry: 5000\n\n');
+
+      let closed = false;
+      let pollTimer = null;
+      const close = () => {
+        if (!closed) {
+          closed = true;
+          clearInterval(heartbeat);
+          clearTimeout(pollTimer);
+        }
+      };
+
+      const poll = async () => {
+        try {
+          for (const event of await getEventsSince(cursor)) {
+            if (closed) {
+              return;
+            }
+            cursor = event.id;
+            if (isVisible(event)) {
+              writeEvent(res, event);
+            }
+          }
+        } catch (error) {
+          console.error('Error reading events:', error);
+        }
+        if (!closed) {
+          pollTimer = setTimeout(poll, POLL_INTERVAL);
+        }
+      };
+
+      // The stream outlives the request that authenticated it; end it once the token would no longer be accepted
+      const heartbeat = setInterval(async () => {
+        let authorized = false;
+        try {
+          authorized = await isStillAuthorized(req.user);
+        } catch (error) {
+          console.error('Error checking event stream session:', error);
+        }
+        if (closed) {
+          return;
+        }
+        if (!authorized) {
+          close();
+          return res.end();
+        }
+        res.write(': heartbeat\n\n');
+      }, HEARTBEAT_INTERVAL);
+
+      req.on('close', close);
+      poll();
+    } catch (error) {
+      console.error('Error opening event stream:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ message: 'Error opening event stream', error: error.message });
+      }
+    }
+  }
+};
+
+module.exports = eventController;
@@ -0,0 +1,183 @@
+const { executeQuery } = require('../database/query');
+const { isValidCoordinate } = require('../services/geo');
+
+const GEOFENCE_TYPES = ['zone', 'corridor'];
+
+const formatGeofence = (geofence) => ({
+  ...geofence,
+  path: typeof geofence.path === 'string' ? JSON.parse(geofence.path) : geofence.path
+});
+
+// Returns an error message, or null when the geofence definition is usable
+const validateGeofence = (body) => {
+  const { name, type, branch_id, request_id } = body;
+
+  if (!name || !GEOFENCE_TYPES.includes(type)) {
+    return `Name and a type of ${GEOFENCE_TYPES.join(' or ')} are required`;
+  }
+  if (!branch_id && !request_id) {
+    return 'A geofence must belong to a branch or a request';
+  }
+
+  if (type === 'zone') {
+    if (!isValidCoordinate(body.center_latitude, body.center_longitude)) {
+      return 'Zones need a valid center latitude and longitude';
+    }
+    if (!(Number(body.radius_meters) > 0)) {
+      return 'Zones need a positive radius in meters';
+    }
+  }
+
+  if (type === 'corridor') {
+    if (!request_id) {
+      return 'Route corridors must belong to a request';
+    }
+    if (!Array.isArray(body.path) || body.path.length < 2 ||
+        body.path.some(point => !isValidCoordinate(point.latitude, point.longitude))) {
+      return 'Corridors need a path of at least two valid points';
+    }
+    if (!(Number(body.width_meters) > 0)) {
+      return 'Corridors need a positive width in meters';
+    }
+  }
+
+  if (body.arrive_by && Number.isNaN(new Date(body.arrive_by).getTime())) {
+    return 'Invalid arrival deadline';
+  }
+
+  return null;
+};
+
+const geofenceController = {
+  getGeofences: async (req, res) => {
+    try {
+      const { branchId, requestId, type } = req.query;
+      const filters = ['active = 1'];
+      const params = [];
+
+      if (branchId) {
+        filters.push('branch_id = ?');
+        params.push(branchId);
+      }
+      if (requestId) {
+        filters.push('request_id = ?');
+        params.push(requestId);
+      }
+      if (type) {
+        filters.push('type = ?');
+        params.push(type);
+      }
+
+      const geofences = await executeQuery(
+        `SELECT * FROM geofences WHERE ${filters.join(' AND ')} ORDER BY name`,
+        params
+      );
+      res.json(geofences.map(formatGeofence));
+    } catch (error) {
+      console.error('Error fetching geofences:', error);
+      res.status(500).json({ message: 'Error fetching geofences', error: error.message });
+    }
+  },
+
+  createGeofence: async (req, res) => {
+    const validationError = validateGeofence(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const {
+      name, type, branch_id, request_id,
+      center_latitude, center_longitude, radius_meters,
+      path, width_meters, arrive_by
+    } = req.body;
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO geofences (
+          name, type, branch_id, request_id,
+          center_latitude, center_longitude, radius_meters,
+          path, width_meters, arrive_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          name, type, branch_id || null, request_id || null,
+          type === 'zone' ? center_latitude : null,
+          type === 'zone' ? center_longitude : null,
+          type === 'zone' ? radius_meters : null,
+          type === 'corridor' ? JSON.stringify(path) : null,
+          type === 'corridor' ? width_meters : null,
+          arrive_by ? new Date(arrive_by) : null
+        ]
+      );
+
+      const geofence = await executeQuery('SELECT * FROM geofences WHERE id = ?', [result.insertId]);
+      res.status(201).json(formatGeofence(geofence[0]));
+    } catch (error) {
+      console.error('Error creating geofence:', error);
+      res.status(500).json({ message: 'Error creating geofence', error: error.message });
+    }
+  },
+
+  updateGeofence: async (req, res) => {
+    const validationError = validateGeofence(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    const {
+      name, type, branch_id, request_id,
+      center_latitude, center_longitude, radius_meters,
+      path, width_meters, arrive_by
+    } = req.body;
+
+    try {
+      const result = await executeQuery(
+        `UPDATE geofences
+         SET name = ?, type = ?, branch_id = ?, request_id = ?,
+             center_latitude = ?, center_longitude = ?, radius_meters = ?,
+             path = ?, width_meters = ?, arrive_by = ?
+         WHERE id = ? AND active = 1`,
+        [
+          name, type, branch_id || null, request_id || null,
+          type === 'zone' ? center_latitude : null,
+          type === 'zone' ? center_longitude : null,
+          type === 'zone' ? radius_meters : null,
+          type === 'corridor' ? JSON.stringify(path) : null,
+          type === 'corridor' ? width_meters : null,
+          arrive_by ? new Date(arrive_by) : null,
+          req.params.id
+        ]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Geofence not found' });
+      }
+
+      const geofence = await executeQuery('SELECT * FROM geofences WHERE id = ?', [req.params.id]);
+      res.json(formatGeofence(geofence[0]));
+    } catch (error) {
+      console.error('Error updating geofence:', error);
+      res.status(500).json({ message: 'Error updating geofence', error: error.message });
+    }
+  },
+
+  // Geofences are deactivated rather than deleted so past alerts keep their reference
+  deleteGeofence: async (req, res) => {
+    try {
+      const result = await executeQuery(
+        'UPDATE geofences SET active = 0 WHERE id = ? AND active = 1',
+        [req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Geofence not found' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting geofence:', error);
+      res.status(500).json({ message: 'Error deleting geofence', error: error.message });
+    }
+  }
+};
+
+module.exports = geofenceController;
@@ -0,0 +1,366 @@
+const { executeQuery, withTransaction } = require('../database/query');
+const { isValidDate } = require('../services/fleet');
+
+// Allowed invoice status transitions
+const STATUS_TRANSITIONS = {
+  draft: ['issued', 'void'],
+  issued: ['paid', 'void'],
+  paid: [],
+  void: []
+};
+
+const invoiceError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const roundMoney = (value) => Math.round(Number(value) * 100) / 100;
+
+const CHARGE_DESCRIPTIONS = {
+  late_cancellation: 'Late cancellation fee',
+  wasted_trip: 'Wasted trip fee',
+  late_reschedule: 'Late reschedule fee'
+};
+
+const fetchInvoice = async (clientId, invoiceId) => {
+  const invoices = await executeQuery(
+    `SELECT i.*, c.name as client_name
+     FROM invoices i
+     LEFT JOIN clients c ON i.client_id = c.id
+     WHERE i.id = ? AND i.client_id = ?`,
+    [invoiceId, clientId]
+  );
+
+  if (invoices.length === 0) {
+    return null;
+  }
+
+  const items = await executeQuery(
+    `SELECT ii.*, b.name as branch_name, st.name as service_type_name
+     FROM invoice_items ii
+     LEFT JOIN branches b ON ii.branch_id = b.id
+     LEFT JOIN service_types st ON ii.service_type_id = st.id
+     WHERE ii.invoice_id = ?
+     ORDER BY b.name, st.name`,
+    [invoiceId]
+  );
+
+  return { ...invoices[0], items };
+};
+
+const invoiceController = {
+  getInvoices: async (req, res) => {
+    try {
+      const { clientId } = req.params;
+      const { status } = req.query;
+
+      let query = `
+        SELECT i.*, c.name as client_name
+        FROM invoices i
+        LEFT JOIN clients c ON i.client_id = c.id
+        WHERE i.client_id = ?
+      `;
+      const params = [clientId];
+
+      if (status) {
+        query += ' AND i.status = ?';
+        params.push(status);
+      }
+
+      query += ' ORDER BY i.period_start DESC, i.id DESC';
+
+      const invoices = await executeQuery(query, params);
+      res.json(invoices);
+    } catch (error) {
+      console.error('Error fetching invoices:', error);
+      res.status(500).json({ message: 'Error fetching invoices', error: error.message });
+    }
+  },
+
+  getInvoice: async (req, res) => {
+    try {
+      const { clientId, invoiceId } = req.params;
+      const invoice = await fetchInvoice(clientId, invoiceId);
+
+      if (!invoice) {
+        return res.status(404).json({ message: 'Invoice not found' });
+      }
+
+      res.json(invoice);
+    } catch (error) {
+      console.error('Error fetching invoice:', error);
+      res.status(500).json({ message: 'Error fetching invoice', error: error.message });
+    }
+  },
+
+  // Generate a draft invoice from delivered requests and cancellation charges in the billing period
+  generateInvoice: async (req, res) => {
+    const { clientId } = req.params;
+    const { period_start, period_end, notes } = req.body;
+
+    if (!period_start || !period_end) {
+      return res.status(400).json({ message: 'Billing period start and end are required' });
+    }
+
+    if (!isValidDate(period_start) || !isValidDate(period_end)) {
+      return res.status(400).json({ message: 'Billing period start and end must be dates (YYYY-MM-DD)' });
+    }
+
+    if (period_start > period_end) {
+      return res.status(400).json({ message: 'Billing period start must be before its end' });
+    }
+
+    try {
+      const clients = await executeQuery('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        return res.status(404).json({ message: 'Client not found' });
+      }
+
+      // The candidates stay locked until their links are written, so a concurrent run waits and then skips them
+      const invoiceId = await withTransaction(async (query) => {
+        // Delivered requests in the period that are not on a live invoice yet
+        const requests = await query(
+          `SELECT r.id, r.branch_id, r.service_type_id
+           FROM requests r
+           JOIN branches b ON r.branch_id = b.id
+           WHERE b.client_id = ?
+             AND r.status = 'delivered'
+             AND DATE(r.pickup_date) BETWEEN ? AND ?
+             AND NOT EXISTS (
+               SELECT 1 FROM invoice_requests ir WHERE ir.request_id = r.id AND ir.live = 1
+             )
+           ORDER BY r.branch_id, r.service_type_id, r.pickup_date
+           FOR UPDATE`,
+          [clientId, period_start, period_end]
+        );
+
+        // Cancellation and reschedule fees raised in the period that are not on a live invoice yet
+        const fees = await query(
+          `SELECT rc.id, rc.branch_id, rc.service_type_id, rc.charge_type, rc.amount
+           FROM request_charges rc
+           WHERE rc.client_id = ?
+             AND DATE(rc.created_at) BETWEEN ? AND ?
+             AND NOT EXISTS (
+               SELECT 1 FROM invoice_charges ic WHERE ic.charge_id = rc.id AND ic.live = 1
+             )
+           ORDER BY rc.branch_id, rc.charge_type, rc.created_at
+           FOR UPDATE`,
+          [clientId, period_start, period_end]
+        );
+
+        if (requests.length === 0 && fees.length === 0) {
+          throw invoiceError(400, 'No uninvoiced delivered requests or charges in this period');
+        }
+
+        const charges = await query(
+          `SELECT sc.service_type_id, sc.price, st.name as service_type_name
+           FROM service_charges sc
+           JOIN service_types st ON sc.service_type_id = st.id
+           WHERE sc.client_id = ?`,
+          [clientId]
+        );
+        const rates = new Map(charges.map(charge => [charge.service_type_id, charge]));
+
+        const missingRates = [...new Set(requests.map(r => r.service_type_id))]
+          .filter(serviceTypeId => !rates.has(serviceTypeId));
+
+        if (missingRates.length > 0) {
+          throw invoiceError(400, 'No service charge configured for some service types used in this period', {
+            missingServiceTypeIds: missingRates
+          });
+        }
+
+        // Group requests into one line item per branch and service type
+        const groups = new Map();
+        requests.forEach(request => {
+          const key = `${request.branch_id}:${request.service_type_id}`;
+          if (!groups.has(key)) {
+            groups.set(key, {
+              branch_id: request.branch_id,
+              service_type_id: request.service_type_id,
+              requestIds: []
+            });
+          }
+          groups.get(key).requestIds.push(request.id);
+        });
+
+        const items = [...groups.values()].map(group => {
+          const unitPrice = roundMoney(rates.get(group.service_type_id).price);
+          return {
+            ...group,
+            description: rates.get(group.service_type_id).service_type_name,
+            quantity: group.requestIds.length,
+            unit_price: unitPrice,
+            amount: roundMoney(unitPrice * group.requestIds.length)
+          };
+        });
+
+        // One line per branch, charge type and fee amount
+        const feeGroups = new Map();
+        fees.forEach(fee => {
+          const key = `${fee.branch_id}:${fee.charge_type}:${fee.amount}`;
+          if (!feeGroups.has(key)) {
+            feeGroups.set(key, {
+              branch_id: fee.branch_id,
+              service_type_id: fee.service_type_id,
+              description: CHARGE_DESCRIPTIONS[fee.charge_type],
+              unit_price: roundMoney(fee.amount),
+              requestIds: [],
+              chargeIds: []
+            });
+          }
+          feeGroups.get(key).chargeIds.push(fee.id);
+        });
+        [...feeGroups.values()].forEach(group => items.push({
+          ...group,
+          quantity: group.chargeIds.length,
+          amount: roundMoney(group.unit_price * group.chargeIds.length)
+        }));
+
+        const subtotal = roundMoney(items.reduce((sum, item) => sum + item.amount, 0));
+
+        const invoiceResult = await query(
+          `INSERT INTO invoices (client_id, period_start, period_end, status, subtotal, total, notes)
+           VALUES (?, ?, ?, 'draft', ?, ?, ?)`,
+          [clientId, period_start, period_end, subtotal, subtotal, notes || null]
+        );
+        const id = invoiceResult.insertId;
+
+        await query(
+          'UPDATE invoices SET invoice_number = ? WHERE id = ?',
+          [`INV-${String(id).padStart(6, '0')}`, id]
+        );
+
+        for (const item of items) {
+          const itemResult = await query(
+            `INSERT INTO invoice_items (
+              invoice_id, branch_id, service_type_id, description, quantity, unit_price, amount
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [id, item.branch_id, item.service_type_id, item.description, item.quantity, item.unit_price, item.amount]
+          );
+
+          for (const requestId of item.requestIds) {
+            await query(
+              'INSERT INTO invoice_requests (invoice_id, invoice_item_id, request_id) VALUES (?, ?, ?)',
+              [id, itemResult.insertId, requestId]
+            );
+          }
+
+          for (const chargeId of item.chargeIds || []) {
+            await query(
+              'INSERT INTO invoice_charges (invoice_id, invoice_item_id, charge_id) VALUES (?, ?, ?)',
+              [id, itemResult.insertId, chargeId]
+            );
+          }
+        }
+
+        return id;
+      });
+
+      const invoice = await fetchInvoice(clientId, invoiceId);
+      res.status(201).json(invoice);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
+      }
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'Some of these requests or charges were invoiced at the same time; try again' });
+      }
+      console.error('Error generating invoice:', error);
+      res.status(500).json({ message: 'Error generating invoice', error: error.message });
+    }
+  },
+
+  updateInvoiceStatus: async (req, res) => {
+    try {
+      const { clientId, invoiceId } = req.params;
+      const { status } = req.body;
+
+      if (!Object.prototype.hasOwnProperty.call(STATUS_TRANSITIONS, status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+
+      // Stamp the matching timestamp column for the new status
+      const timestampColumn = {
+        issued: 'issued_at',
+        paid: 'paid_at',
+        void: 'voided_at'
+      }[status];
+
+      await withTransaction(async (query) => {
+        const invoices = await query(
+          'SELECT id, status FROM invoices WHERE id = ? AND client_id = ? FOR UPDATE',
+          [invoiceId, clientId]
+        );
+
+        if (invoices.length === 0) {
+          throw invoiceError(404, 'Invoice not found');
+        }
+
+        const currentStatus = invoices[0].status;
+        if (!STATUS_TRANSITIONS[currentStatus].includes(status)) {
+          throw invoiceError(409, `Cannot change invoice from ${currentStatus} to ${status}`);
+        }
+
+        await query(
+          `UPDATE invoices SET status = ?, ${timestampColumn} = NOW() WHERE id = ?`,
+          [status, invoiceId]
+        );
+
+        // A voided invoice releases its requests and charges for the next one
+        if (status === 'void') {
+          await query('UPDATE invoice_requests SET live = NULL WHERE invoice_id = ?', [invoiceId]);
+          await query('UPDATE invoice_charges SET live = NULL WHERE invoice_id = ?', [invoiceId]);
+        }
+      });
+
+      const invoice = await fetchInvoice(clientId, invoiceId);
+      res.json(invoice);
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error updating invoice status:', error);
+      res.status(500).json({ message: 'Error updating invoice status', error: error.message });
+    }
+  },
+
+  // Only drafts can be deleted; issued invoices must be voided instead
+  deleteInvoice: async (req, res) => {
+    try {
+      const { clientId, invoiceId } = req.params;
+
+      await withTransaction(async (query) => {
+        const invoices = await query(
+          'SELECT id, status FROM invoices WHERE id = ? AND client_id = ? FOR UPDATE',
+          [invoiceId, clientId]
+        );
+
+        if (invoices.length === 0) {
+          throw invoiceError(404, 'Invoice not found');
+        }
+
+        if (invoices[0].status !== 'draft') {
+          throw invoiceError(409, 'Only draft invoices can be deleted');
+        }
+
+        await query('DELETE FROM invoice_requests WHERE invoice_id = ?', [invoiceId]);
+        await query('DELETE FROM invoice_charges WHERE invoice_id = ?', [invoiceId]);
+        await query('DELETE FROM invoice_items WHERE invoice_id = ?', [invoiceId]);
+        await query('DELETE FROM invoices WHERE id = ?', [invoiceId]);
+      });
+
+      res.status(204).send();
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error deleting invoice:', error);
+      res.status(500).json({ message: 'Error deleting invoice', error: error.message });
+    }
+  }
+};
+
+module.exports = invoiceController;
@@ -0,0 +1,40 @@
+const { isAdmin } = require('../middleware/auth');
+const { ATTEMPT_SCOPES, listLockouts, clearLockout } = require('../services/loginProtection');
+
+const lockoutController = {
+  // Accounts and IPs with recent failed sign-ins, locked ones first
+  getLockouts: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can view lockouts' });
+    }
+
+    try {
+      res.json(await listLockouts());
+    } catch (error) {
+      console.error('Error fetching lockouts:', error);
+      res.status(500).json({ message: 'Error fetching lockouts', error: error.message });
+    }
+  },
+
+  clearLockout: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can clear lockouts' });
+    }
+    const { scope, identifier } = req.params;
+    if (!ATTEMPT_SCOPES.includes(scope)) {
+      return res.status(400).json({ message: `Scope must be one of ${ATTEMPT_SCOPES.join(', ')}` });
+    }
+
+    try {
+      if (!(await clearLockout(scope, identifier))) {
+        return res.status(404).json({ message: 'No failed attempts recorded' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error clearing lockout:', error);
+      res.status(500).json({ message: 'Error clearing lockout', error: error.message });
+    }
+  }
+};
+
+module.exports = lockoutController;
@@ -1,14 +1,21 @@
-const { executeQuery } = require('../database/serverless-db');
+const { executeQuery } = require('../database/query');
+const { getBranchScope, scopeCondition } = require('../middleware/auth');
+const { publish } = require('../services/eventBus');
 
 const noticeController = {
   getNotices: async (req, res) => {
     try {
+      // Scoped users see notices addressed to everyone, their client or their branches
+      const scope = getBranchScope(req.user);
+      const condition = scope ? scopeCondition(scope, 'n.branch_id') : null;
       const notices = await executeQuery(`
         SELECT n.*, s.name as created_by_name
         FROM notices n
         LEFT JOIN staff s ON n.created_by = s.id
+        ${condition ? `WHERE (n.branch_id IS NULL OR ${condition.sql})
+          AND (n.client_id IS NULL OR n.client_id = ?)` : ''}
         ORDER BY n.created_at DESC
-      `);
+      `, condition ? [...condition.params, scope.clientId] : []);
       res.json(notices);
     } catch (error) {
       console.error('Error fetching notices:', error);
@@ -17,13 +24,13 @@ const noticeController = {
   },
 
   createNotice: async (req, res) => {
-    const { title, content } = req.body;
+    const { title, content, branch_id, client_id } = req.body;
     const created_by = req.user?.id; // Assuming you have user info in req.user from auth middleware
 
     try {
       const result = await executeQuery(
-        'INSERT INTO notices (title, content, created_by) VALUES (?, ?, ?)',
-        [title, content, created_by]
+        'INSERT INTO notices (title, content, created_by, branch_id, client_id) VALUES (?, ?, ?, ?, ?)',
+        [title, content, created_by || null, branch_id || null, client_id || null]
       );
 
       const newNotice = await executeQuery(`
@@ -33,6 +40,11 @@ const noticeController = {
         WHERE n.id = ?
       `, [result.insertId]);
 
+      await publish('notice.published', newNotice[0], {
+        branchId: newNotice[0].branch_id,
+        clientId: newNotice[0].client_id
+      });
+
       res.status(201).json(newNotice[0]);
     } catch (error) {
       console.error('Error creating notice:', error);
@@ -61,6 +73,14 @@ const noticeController = {
         return res.status(404).json({ message: 'Notice not found' });
       }
 
+      // Re-activating a notice publishes it again
+      if (Number(updatedNotice[0].status) === 1) {
+        await publish('notice.published', updatedNotice[0], {
+          branchId: updatedNotice[0].branch_id,
+          clientId: updatedNotice[0].client_id
+        });
+      }
+
       res.json(updatedNotice[0]);
     } catch (error) {
       console.error('Error updating notice:', error);
@@ -106,6 +126,14 @@ const noticeController = {
         return res.status(404).json({ message: 'Notice not found' });
       }
 
+      // Re-activating a notice publishes it again
+      if (Number(updatedNotice[0].status) === 1) {
+        await publish('notice.published', updatedNotice[0], {
+          branchId: updatedNotice[0].branch_id,
+          clientId: updatedNotice[0].client_id
+        });
+      }
+
       res.json(updatedNotice[0]);
     } catch (error) {
       console.error('Error updating notice status:', error);
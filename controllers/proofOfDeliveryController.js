@@ -0,0 +1,132 @@
+const { executeQuery } = require('../database/query');
+const { getFileUrl, removeUploadedFiles } = require('../config/cloudinary');
+const { getBranchScope, isBranchInScope } = require('../middleware/auth');
+const {
+  getProofRequirements,
+  findMissingProof,
+  getProof
+} = require('../services/proofOfDelivery');
+const { canTransition, normalizeStatus, transitionRequest } = require('../services/requestLifecycle');
+
+const parseCoordinate = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const number = Number(value);
+  return Number.isNaN(number) ? NaN : number;
+};
+
+const proofOfDeliveryController = {
+  getProof: async (req, res) => {
+    try {
+      const requests = await executeQuery('SELECT id, branch_id FROM requests WHERE id = ?', [req.params.id]);
+      const scope = getBranchScope(req.user);
+
+      if (requests.length === 0 || !(await isBranchInScope(scope, requests[0].branch_id))) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      const proof = await getProof(req.params.id);
+      if (!proof) {
+        return res.status(404).json({ message: 'No proof of delivery recorded for this request' });
+      }
+
+      res.json(proof);
+    } catch (error) {
+      console.error('Error fetching proof of delivery:', error);
+      res.status(500).json({ message: 'Error fetching proof of delivery', error: error.message });
+    }
+  },
+
+  // Complete a request with receiver name, signature, photos and GPS position. Uploads are
+  // stored before this runs, so every rejection below deletes them again.
+  completeRequest: async (req, res) => {
+    const { id } = req.params;
+    const { receiver_name } = req.body;
+    const latitude = parseCoordinate(req.body.latitude);
+    const longitude = parseCoordinate(req.body.longitude);
+    const files = req.files || {};
+    let recorded = false;
+
+    const reject = async (status, body) => {
+      await removeUploadedFiles(files);
+      return res.status(status).json(body);
+    };
+
+    try {
+      if (Number.isNaN(latitude) || Number.isNaN(longitude) ||
+          (latitude !== null && Math.abs(latitude) > 90) ||
+          (longitude !== null && Math.abs(longitude) > 180)) {
+        return reject(400, { message: 'Invalid GPS coordinates' });
+      }
+
+      const requests = await executeQuery(
+        'SELECT id, branch_id, status, service_type_id FROM requests WHERE id = ?',
+        [id]
+      );
+      const scope = getBranchScope(req.user);
+
+      if (requests.length === 0 || !(await isBranchInScope(scope, requests[0].branch_id))) {
+        return reject(404, { message: 'Request not found' });
+      }
+
+      const request = requests[0];
+      if (!canTransition(request.status, 'delivered')) {
+        return reject(409, {
+          message: `Cannot deliver a request that is ${normalizeStatus(request.status) || request.status}`
+        });
+      }
+
+      const signatureUrl = files.signature && files.signature[0] ? getFileUrl(files.signature[0]) : null;
+      const photoUrls = (files.photos || []).map(getFileUrl);
+
+      const requirements = await getProofRequirements(request.service_type_id);
+      const missing = findMissingProof(requirements, {
+        receiverName: receiver_name,
+        signatureUrl,
+        photoUrls,
+        latitude,
+        longitude
+      });
+
+      if (missing.length > 0) {
+        return reject(400, {
+          message: 'Proof of delivery is incomplete for this service type',
+          missing
+        });
+      }
+
+      await executeQuery(
+        `INSERT INTO proof_of_delivery (
+          request_id, receiver_name, signature_url, photo_urls, latitude, longitude, captured_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE
+          receiver_name = VALUES(receiver_name),
+          signature_url = VALUES(signature_url),
+          photo_urls = VALUES(photo_urls),
+          latitude = VALUES(latitude),
+          longitude = VALUES(longitude),
+          captured_by = VALUES(captured_by)`,
+        [id, receiver_name, signatureUrl, JSON.stringify(photoUrls), latitude, longitude, req.user?.name || null]
+      );
+      recorded = true;
+
+      await transitionRequest(id, 'delivered', req.user, 'Proof of delivery captured');
+
+      const proof = await getProof(id);
+      res.status(201).json(proof);
+    } catch (error) {
+      // Once the proof row is saved its files are referenced and must stay
+      if (!recorded) {
+        await removeUploadedFiles(files);
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error completing request:', error);
+      res.status(500).json({ message: 'Error completing request', error: error.message });
+    }
+  }
+};
+
+module.exports = proofOfDeliveryController;
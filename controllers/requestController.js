@@ -1,65 +1,163 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
+const { getBranchScope, scopeCondition, isBranchInScope } = require('../middleware/auth');
+const {
+  normalizeStatus,
+  fromLegacyMyStatus,
+  toLegacyMyStatus,
+  transitionRequest,
+  recordHistory,
+  getHistory,
+  mapRequestFields
+} = require('../services/requestLifecycle');
+const { publish } = require('../services/eventBus');
+const { assertAssignmentWithinLimits } = require('../services/cashLimits');
+const { cancelRequest } = require('../services/cancellations');
+
+const REQUEST_SELECT = `
+  SELECT r.*, b.name as branch_name, c.name as client_name, st.name as service_type_name
+  FROM requests r
+  LEFT JOIN branches b ON r.branch_id = b.id
+  LEFT JOIN clients c ON b.client_id = c.id
+  LEFT JOIN service_types st ON r.service_type_id = st.id
+`;
+
+// Statuses in which a request can still be given to another team: nothing has been collected yet
+const TEAM_ASSIGNABLE_STATUSES = ['pending', 'assigned', 'en_route_pickup'];
+
+// Columns a PATCH may change, with the camelCase body key also accepted for each.
+// Pickup date and place change through the reschedule endpoint so fees apply.
+const EDITABLE_FIELDS = {
+  priority: 'priority',
+  description: 'description',
+  team_id: 'teamId',
+  staff_id: 'staffId',
+  delivery_latitude: 'deliveryLatitude',
+  delivery_longitude: 'deliveryLongitude',
+  declared_value: 'declaredValue'
+};
+
+const fetchRequest = async (id) => {
+  const requests = await executeQuery(`${REQUEST_SELECT} WHERE r.id = ?`, [id]);
+  return requests[0] || null;
+};
 
 const requestController = {
   getRequests: async (req, res) => {
-    const { date } = req.query;
-
     try {
-      const [requests] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE DATE(r.pickup_date) = ?
-         ORDER BY r.pickup_date ASC`,
-        [date]
-      );
-      res.json(requests);
+      const { status, myStatus, branchId, pickupDate } = req.query;
+      const params = [];
+      const filters = [];
+
+      if (status) {
+        filters.push('r.status = ?');
+        params.push(normalizeStatus(status) || status);
+      }
+      if (myStatus !== undefined) {
+        filters.push('r.my_status = ?');
+        params.push(myStatus);
+      }
+      if (branchId) {
+        filters.push('r.branch_id = ?');
+        params.push(branchId);
+      }
+      if (pickupDate) {
+        filters.push('DATE(r.pickup_date) = ?');
+        params.push(pickupDate);
+      }
+
+      // Branch and head-office users only see requests within their scope
+      const scope = getBranchScope(req.user);
+      if (scope) {
+        const condition = scopeCondition(scope, 'r.branch_id');
+        filters.push(condition.sql);
+        params.push(...condition.params);
+      }
+
+      const where = filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : '';
+      const requests = await executeQuery(`${REQUEST_SELECT} ${where} ORDER BY r.created_at DESC`, params);
+      res.json(requests.map(mapRequestFields));
     } catch (error) {
       console.error('Error fetching requests:', error);
-      res.status(500).json({ message: 'Error fetching requests', error: error.message });
+      res.status(500).json({ message: 'Internal server error' });
     }
   },
 
-  createRequest: async (req, res) => {
-    const {
-      branch_id,
-      branch_name,
-      service_type_id,
-      pickup_location,
-      delivery_location,
-      pickup_date,
-      description,
-      price,
-      priority,
-      latitude,
-      longitude
-    } = req.body;
+  getInTransit: async (req, res) => {
+    try {
+      const scope = getBranchScope(req.user);
+      const condition = scope ? scopeCondition(scope, 'r.branch_id') : null;
+      const requests = await executeQuery(`
+        ${REQUEST_SELECT}
+        WHERE r.status IN ('picked_up', 'in_transit')
+        ${condition ? `AND ${condition.sql}` : ''}
+        ORDER BY r.created_at DESC
+      `, condition ? condition.params : []);
 
+      res.json(requests.map(mapRequestFields));
+    } catch (error) {
+      console.error('Error fetching in-transit requests:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  },
+
+  createRequest: async (req, res) => {
     try {
-      const [result] = await db.query(
+      // Branch users always order for their own branch; everyone else names one
+      const scope = getBranchScope(req.user);
+      const branchId = scope && scope.branchId ? scope.branchId : req.body.branchId;
+
+      const {
+        serviceTypeId,
+        pickupLocation,
+        deliveryLocation,
+        pickupDate,
+        description,
+        priority,
+        price,
+        latitude,
+        longitude,
+        deliveryLatitude,
+        deliveryLongitude,
+        declaredValue
+      } = req.body;
+
+      // Validate required fields
+      if (!branchId || !serviceTypeId || !pickupLocation || !deliveryLocation || !pickupDate || !price) {
+        return res.status(400).json({ message: 'Missing required fields' });
+      }
+
+      const serviceTypes = await executeQuery('SELECT id FROM service_types WHERE id = ?', [serviceTypeId]);
+      if (serviceTypes.length === 0) {
+        return res.status(400).json({ message: 'Invalid service type' });
+      }
+
+      const branches = await executeQuery('SELECT id FROM branches WHERE id = ?', [branchId]);
+      if (branches.length === 0 || !(await isBranchInScope(scope, branchId))) {
+        return res.status(400).json({ message: 'Invalid branch' });
+      }
+
+      const result = await executeQuery(
         `INSERT INTO requests (
-          branch_id, branch_name, service_type_id,
+          user_id, user_name, branch_id, service_type_id,
           pickup_location, delivery_location, pickup_date,
-          description, price, priority, latitude, longitude
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          description, priority, status, my_status, price,
+          latitude, longitude, delivery_latitude, delivery_longitude, declared_value
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
         [
-          branch_id, branch_name, service_type_id,
-          pickup_location, delivery_location, pickup_date,
-          description, price, priority, latitude, longitude
+          req.user.userId || null, req.user.name || null, branchId, serviceTypeId,
+          pickupLocation, deliveryLocation, pickupDate,
+          description || null, priority || 'medium', 'pending', toLegacyMyStatus('pending'), price,
+          latitude || null, longitude || null, deliveryLatitude || null, deliveryLongitude || null,
+          declaredValue || null
         ]
       );
 
-      const [newRequest] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [result.insertId]
-      );
+      await recordHistory(result.insertId, null, 'pending', req.user, 'Request created');
 
-      res.status(201).json(newRequest[0]);
+      const request = mapRequestFields(await fetchRequest(result.insertId));
+      await publish('request.created', request, { branchId: request.branchId });
+
+      res.status(201).json(request);
     } catch (error) {
       console.error('Error creating request:', error);
       res.status(500).json({ message: 'Error creating request', error: error.message });
@@ -67,121 +165,117 @@ const requestController = {
   },
 
   updateRequest: async (req, res) => {
-    const { id } = req.params;
-    const {
-      service_type_id,
-      branch_id,
-      pickup_location,
-      delivery_location,
-      pickup_date,
-      description,
-      price,
-      priority,
-      status,
-      latitude,
-      longitude,
-      staff_id
-    } = req.body;
-
     try {
-      await db.query(
-        `UPDATE requests 
-         SET service_type_id = ?,
-             branch_id = ?,
-             pickup_location = ?,
-             delivery_location = ?,
-             pickup_date = ?,
-             description = ?,
-             price = ?,
-             priority = ?,
-             status = ?,
-             latitude = ?,
-             longitude = ?,
-             staff_id = COALESCE(?, staff_id)
-         WHERE id = ?`,
-        [
-          service_type_id,
-          branch_id,
-          pickup_location,
-          delivery_location,
-          pickup_date,
-          description,
-          price,
-          priority,
-          status,
-          latitude,
-          longitude,
-          staff_id || null,
-          id
-        ]
-      );
-
-      const [updatedRequest] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [id]
-      );
+      const { id } = req.params;
+      const updates = req.body;
 
-      if (updatedRequest.length === 0) {
+      // Requests outside the caller's scope do not exist as far as they are concerned
+      const existing = await executeQuery('SELECT id, status, branch_id FROM requests WHERE id = ?', [id]);
+      if (existing.length === 0 || !(await isBranchInScope(getBranchScope(req.user), existing[0].branch_id))) {
         return res.status(404).json({ message: 'Request not found' });
       }
 
-      res.json(updatedRequest[0]);
-    } catch (error) {
-      console.error('Error updating request:', error);
-      res.status(500).json({ message: 'Error updating request', error: error.message });
-    }
-  },
+      const dbUpdates = {};
+      Object.entries(EDITABLE_FIELDS).forEach(([column, alias]) => {
+        const value = updates[column] !== undefined ? updates[column] : updates[alias];
+        if (value !== undefined) {
+          dbUpdates[column] = value;
+        }
+      });
 
-  deleteRequest: async (req, res) => {
-    const { id } = req.params;
+      if (dbUpdates.team_id !== undefined && !TEAM_ASSIGNABLE_STATUSES.includes(normalizeStatus(existing[0].status))) {
+        return res.status(409).json({ message: `Cannot change the team of a ${existing[0].status} request` });
+      }
 
-    try {
-      const [result] = await db.query('DELETE FROM requests WHERE id = ?', [id]);
-      
-      if (result.affectedRows === 0) {
+      // A team's crew commander becomes the responsible staff member unless one is named
+      if (dbUpdates.team_id && dbUpdates.staff_id === undefined) {
+        const teams = await executeQuery('SELECT crew_commander_id FROM teams WHERE id = ?', [dbUpdates.team_id]);
+        if (teams.length > 0 && teams[0].crew_commander_id) {
+          dbUpdates.staff_id = teams[0].crew_commander_id;
+        }
+      }
+
+      // Status changes go through the request lifecycle; my_status is the legacy numeric form
+      const myStatus = updates.my_status !== undefined ? updates.my_status : updates.myStatus;
+      let targetStatus = updates.status;
+      if (targetStatus === undefined && myStatus !== undefined) {
+        targetStatus = fromLegacyMyStatus(myStatus);
+        if (!targetStatus) {
+          return res.status(400).json({ message: `Invalid my_status: ${myStatus}` });
+        }
+      }
+
+      if (Object.keys(dbUpdates).length === 0 && targetStatus === undefined) {
+        return res.status(400).json({ message: 'No valid fields to update' });
+      }
+
+      // Refuse a team whose run for the day would go over its carrying limit
+      if (dbUpdates.team_id) {
+        await assertAssignmentWithinLimits(id, dbUpdates.team_id);
+      }
+
+      // Assigning a team to a pending request moves it to assigned
+      if (targetStatus === undefined && dbUpdates.team_id && normalizeStatus(existing[0].status) === 'pending') {
+        targetStatus = 'assigned';
+      }
+
+      // Cancellations need a reason code and may carry a fee
+      if (normalizeStatus(targetStatus) === 'cancelled') {
+        await cancelRequest(id, {
+          reasonCode: updates.reason_code || updates.reasonCode,
+          note: updates.reason || null,
+          byOperator: getBranchScope(req.user) === null
+        }, req.user);
+      } else if (targetStatus !== undefined) {
+        await transitionRequest(id, targetStatus, req.user, updates.reason || null);
+      }
+
+      if (Object.keys(dbUpdates).length > 0) {
+        const setClause = Object.keys(dbUpdates)
+          .map(key => `${key} = ?`)
+          .join(', ');
+
+        await executeQuery(
+          `UPDATE requests SET ${setClause} WHERE id = ?`,
+          [...Object.values(dbUpdates), id]
+        );
+      }
+
+      const request = await fetchRequest(id);
+      if (!request) {
         return res.status(404).json({ message: 'Request not found' });
       }
 
-      res.status(204).send();
+      if (dbUpdates.team_id) {
+        await publish('request.team_assigned', mapRequestFields(request), { branchId: request.branch_id });
+      }
+
+      res.json(mapRequestFields(request));
     } catch (error) {
-      console.error('Error deleting request:', error);
-      res.status(500).json({ message: 'Error deleting request', error: error.message });
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
+      }
+      console.error('Error updating request:', error);
+      res.status(500).json({ message: 'Internal server error' });
     }
   },
 
-  updateStatus: async (req, res) => {
-    const { id } = req.params;
-    const { status } = req.body;
-
+  getHistory: async (req, res) => {
     try {
-      await db.query(
-        'UPDATE requests SET status = ? WHERE id = ?',
-        [status, id]
-      );
-
-      const [updatedRequest] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [id]
-      );
+      const { id } = req.params;
+      const requests = await executeQuery('SELECT id, branch_id FROM requests WHERE id = ?', [id]);
+      const scope = getBranchScope(req.user);
 
-      if (updatedRequest.length === 0) {
+      if (requests.length === 0 || !(await isBranchInScope(scope, requests[0].branch_id))) {
         return res.status(404).json({ message: 'Request not found' });
       }
 
-      res.json(updatedRequest[0]);
+      res.json(await getHistory(id));
     } catch (error) {
-      console.error('Error updating request status:', error);
-      res.status(500).json({ message: 'Error updating request status', error: error.message });
+      console.error('Error fetching request history:', error);
+      res.status(500).json({ message: 'Internal server error' });
     }
   }
 };
 
-module.exports = requestController; 
\ No newline at end of file
+module.exports = requestController;
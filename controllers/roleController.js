@@ -1,36 +1,9 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
 
 const roleController = {
   getAllRoles: async (req, res) => {
     try {
-      console.log('Starting to fetch roles...');
-      
-      // First, check if the roles table exists
-      const [tables] = await db.query('SHOW TABLES LIKE "roles"');
-      console.log('Tables check result:', tables);
-      
-      if (tables.length === 0) {
-        console.error('Roles table does not exist!');
-        return res.status(500).json({ 
-          message: 'Roles table does not exist',
-          error: 'Database table missing'
-        });
-      }
-
-      // Check the table structure
-      const [columns] = await db.query('DESCRIBE roles');
-      console.log('Roles table structure:', columns);
-
-      // Try to fetch the data
-      console.log('Executing SELECT query...');
-      const [roles] = await db.query('SELECT * FROM roles ORDER BY name');
-      console.log('Query result:', roles);
-
-      if (!roles || roles.length === 0) {
-        console.log('No roles found');
-        return res.json([]);
-      }
-
+      const roles = await executeQuery('SELECT * FROM roles ORDER BY name');
       res.json(roles);
     } catch (error) {
       console.error('Error in getAllRoles:', error);
@@ -0,0 +1,181 @@
+const { executeQuery, withTransaction } = require('../database/query');
+const { isValidDate } = require('../services/fleet');
+const { validateShift } = require('../services/roster');
+
+const SHIFT_SELECT = `
+  SELECT rs.*,
+         t.name as team_name,
+         cc.name as crew_commander_name,
+         v.registration_number as vehicle_registration
+  FROM roster_shifts rs
+  JOIN teams t ON rs.team_id = t.id
+  LEFT JOIN staff cc ON rs.crew_commander_id = cc.id
+  LEFT JOIN vehicles v ON rs.vehicle_id = v.id
+`;
+
+// Attach each shift's members in one query
+const withMembers = async (shifts) => {
+  if (shifts.length === 0) {
+    return shifts;
+  }
+
+  const members = await executeQuery(
+    `SELECT rsm.shift_id, s.id, s.name, s.role, s.photo_url, s.empl_no
+     FROM roster_shift_members rsm
+     JOIN staff s ON rsm.staff_id = s.id
+     WHERE rsm.shift_id IN (${shifts.map(() => '?').join(', ')})
+     ORDER BY s.name`,
+    shifts.map(shift => shift.id)
+  );
+
+  return shifts.map(shift => ({
+    ...shift,
+    members: members
+      .filter(member => member.shift_id === shift.id)
+      .map(({ shift_id, ...member }) => member)
+  }));
+};
+
+const fetchShift = async (id) => {
+  const shifts = await executeQuery(`${SHIFT_SELECT} WHERE rs.id = ?`, [id]);
+  const [shift] = await withMembers(shifts);
+  return shift || null;
+};
+
+// Write the shift row and replace its members in one transaction
+const saveShift = (shift, shiftId = null) => withTransaction(async (query) => {
+  let id = shiftId;
+  if (id) {
+    await query(
+      `UPDATE roster_shifts
+       SET team_id = ?, date = ?, starts_at = ?, ends_at = ?, crew_commander_id = ?, vehicle_id = ?, notes = ?
+       WHERE id = ?`,
+      [shift.team_id, shift.date, shift.startsAt, shift.endsAt, shift.crew_commander_id, shift.vehicle_id, shift.notes, id]
+    );
+    await query('DELETE FROM roster_shift_members WHERE shift_id = ?', [id]);
+  } else {
+    const result = await query(
+      `INSERT INTO roster_shifts (team_id, date, starts_at, ends_at, crew_commander_id, vehicle_id, notes)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [shift.team_id, shift.date, shift.startsAt, shift.endsAt, shift.crew_commander_id, shift.vehicle_id, shift.notes]
+    );
+    id = result.insertId;
+  }
+
+  for (const staffId of shift.memberIds) {
+    await query(
+      'INSERT INTO roster_shift_members (shift_id, staff_id) VALUES (?, ?)',
+      [id, staffId]
+    );
+  }
+
+  return id;
+});
+
+const rosterController = {
+  // Shifts for a day (defaults to today) or a date range, optionally for one team
+  getRoster: async (req, res) => {
+    const { from, to, teamId } = req.query;
+    const date = req.query.date || (!from && !to ? new Date().toISOString().slice(0, 10) : null);
+
+    if ([date, from, to].some(value => value && !isValidDate(value))) {
+      return res.status(400).json({ message: 'Dates must be YYYY-MM-DD' });
+    }
+
+    try {
+      const filters = [];
+      const params = [];
+
+      if (date) {
+        filters.push('rs.date = ?');
+        params.push(date);
+      }
+      if (from) {
+        filters.push('rs.date >= ?');
+        params.push(from);
+      }
+      if (to) {
+        filters.push('rs.date <= ?');
+        params.push(to);
+      }
+      if (teamId) {
+        filters.push('rs.team_id = ?');
+        params.push(teamId);
+      }
+
+      const shifts = await executeQuery(
+        `${SHIFT_SELECT} WHERE ${filters.join(' AND ')} ORDER BY rs.starts_at, t.name`,
+        params
+      );
+      res.json(await withMembers(shifts));
+    } catch (error) {
+      console.error('Error fetching roster:', error);
+      res.status(500).json({ message: 'Error fetching roster', error: error.message });
+    }
+  },
+
+  getShift: async (req, res) => {
+    try {
+      const shift = await fetchShift(req.params.id);
+      if (!shift) {
+        return res.status(404).json({ message: 'Shift not found' });
+      }
+      res.json(shift);
+    } catch (error) {
+      console.error('Error fetching shift:', error);
+      res.status(500).json({ message: 'Error fetching shift', error: error.message });
+    }
+  },
+
+  createShift: async (req, res) => {
+    try {
+      const shift = await validateShift(req.body);
+      const id = await saveShift({ ...shift, notes: req.body.notes || null });
+      res.status(201).json(await fetchShift(id));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
+      }
+      console.error('Error creating shift:', error);
+      res.status(500).json({ message: 'Error creating shift', error: error.message });
+    }
+  },
+
+  updateShift: async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const existing = await executeQuery('SELECT id FROM roster_shifts WHERE id = ?', [id]);
+      if (existing.length === 0) {
+        return res.status(404).json({ message: 'Shift not found' });
+      }
+
+      const shift = await validateShift(req.body, id);
+      await saveShift({ ...shift, notes: req.body.notes || null }, id);
+      res.json(await fetchShift(id));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message, ...error.details });
+      }
+      console.error('Error updating shift:', error);
+      res.status(500).json({ message: 'Error updating shift', error: error.message });
+    }
+  },
+
+  deleteShift: async (req, res) => {
+    try {
+      const result = await executeQuery('DELETE FROM roster_shifts WHERE id = ?', [req.params.id]);
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Shift not found' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting shift:', error);
+      res.status(500).json({ message: 'Error deleting shift', error: error.message });
+    }
+  }
+};
+
+module.exports = rosterController;
@@ -1,203 +1,116 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
+const { getBranchScope, scopeCondition } = require('../middleware/auth');
+const { mapRequestFields } = require('../services/requestLifecycle');
 
+// Runs are requests viewed by pickup date
 const runController = {
   getRuns: async (req, res) => {
-    const { date } = req.query;
-
     try {
-      const [runs] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE DATE(r.pickup_date) = ?
-         ORDER BY r.pickup_date ASC`,
-        [date]
-      );
-      res.json(runs);
-    } catch (error) {
-      console.error('Error fetching runs:', error);
-      res.status(500).json({ message: 'Error fetching runs', error: error.message });
-    }
-  },
+      const { date, clientId, branchId } = req.query;
+      const params = [];
+      const filters = [];
 
-  createRun: async (req, res) => {
-    const {
-      branch_id,
-      branch_name,
-      service_type_id,
-      pickup_location,
-      delivery_location,
-      pickup_date,
-      description,
-      price,
-      priority,
-      latitude,
-      longitude
-    } = req.body;
+      if (date) {
+        filters.push('DATE(r.pickup_date) = ?');
+        params.push(date);
+      }
+      if (clientId) {
+        filters.push('c.id = ?');
+        params.push(clientId);
+      }
+      if (branchId) {
+        filters.push('r.branch_id = ?');
+        params.push(branchId);
+      }
 
-    try {
-      const [result] = await db.query(
-        `INSERT INTO requests (
-          branch_id, branch_name, service_type_id,
-          pickup_location, delivery_location, pickup_date,
-          description, price, priority, latitude, longitude
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-        [
-          branch_id, branch_name, service_type_id,
-          pickup_location, delivery_location, pickup_date,
-          description, price, priority, latitude, longitude
-        ]
-      );
+      // Branch and head-office users only see runs within their scope
+      const scope = getBranchScope(req.user);
+      if (scope) {
+        const condition = scopeCondition(scope, 'r.branch_id');
+        filters.push(condition.sql);
+        params.push(...condition.params);
+      }
 
-      const [newRun] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
+      const runs = await executeQuery(
+        `SELECT r.*, b.name as branch_name, c.name as client_name, st.name as service_type_name
          FROM requests r
          LEFT JOIN branches b ON r.branch_id = b.id
+         LEFT JOIN clients c ON b.client_id = c.id
          LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [result.insertId]
+         ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+         ORDER BY r.pickup_date DESC`,
+        params
       );
-
-      res.status(201).json(newRun[0]);
+      res.json(runs.map(mapRequestFields));
     } catch (error) {
-      console.error('Error creating run:', error);
-      res.status(500).json({ message: 'Error creating run', error: error.message });
+      console.error('Error fetching runs:', error);
+      res.status(500).json({ message: 'Error fetching runs' });
     }
   },
 
-  updateRun: async (req, res) => {
-    const { id } = req.params;
-    const {
-      service_type_id,
-      branch_id,
-      pickup_location,
-      delivery_location,
-      pickup_date,
-      description,
-      price,
-      priority,
-      status,
-      latitude,
-      longitude
-    } = req.body;
-
+  // Daily totals for the last 30 days, including cancellation and reschedule charges
+  getSummaries: async (req, res) => {
     try {
-      await db.query(
-        `UPDATE requests 
-         SET service_type_id = ?,
-             branch_id = ?,
-             pickup_location = ?,
-             delivery_location = ?,
-             pickup_date = ?,
-             description = ?,
-             price = ?,
-             priority = ?,
-             status = ?,
-             latitude = ?,
-             longitude = ?
-         WHERE id = ?`,
-        [
-          service_type_id,
-          branch_id,
-          pickup_location,
-          delivery_location,
-          pickup_date,
-          description,
-          price,
-          priority,
-          status,
-          latitude,
-          longitude,
-          id
-        ]
-      );
+      const { year, month, clientId, branchId } = req.query;
 
-      const [updatedRun] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [id]
-      );
-
-      if (updatedRun.length === 0) {
-        return res.status(404).json({ message: 'Run not found' });
+      let query = `
+        SELECT
+          DATE(pickup_date) as date,
+          COUNT(*) as totalRuns,
+          COUNT(CASE WHEN status = 'delivered' THEN 1 END) as totalRunsCompleted,
+          COALESCE(SUM(price), 0) as totalAmount,
+          COALESCE(SUM(CASE WHEN status = 'delivered' THEN price ELSE 0 END), 0) as totalAmountCompleted,
+          COALESCE(SUM(rc.amount), 0) as totalCharges
+        FROM requests r
+        LEFT JOIN branches b ON r.branch_id = b.id
+        LEFT JOIN (
+          SELECT request_id, SUM(amount) as amount FROM request_charges GROUP BY request_id
+        ) rc ON rc.request_id = r.id
+        WHERE pickup_date >= DATE_SUB(CURDATE(), INTERVAL 30 DAY)
+      `;
+      const params = [];
+
+      // Always filter to the user's branch or client unless unscoped
+      const scope = getBranchScope(req.user);
+      if (scope) {
+        const condition = scopeCondition(scope, 'r.branch_id');
+        query += ` AND ${condition.sql}`;
+        params.push(...condition.params);
       }
 
-      res.json(updatedRun[0]);
-    } catch (error) {
-      console.error('Error updating run:', error);
-      res.status(500).json({ message: 'Error updating run', error: error.message });
-    }
-  },
-
-  deleteRun: async (req, res) => {
-    const { id } = req.params;
-
-    try {
-      const [result] = await db.query('DELETE FROM requests WHERE id = ?', [id]);
-      
-      if (result.affectedRows === 0) {
-        return res.status(404).json({ message: 'Run not found' });
+      if (year) {
+        query += ' AND YEAR(r.pickup_date) = ?';
+        params.push(year);
       }
 
-      res.status(204).send();
-    } catch (error) {
-      console.error('Error deleting run:', error);
-      res.status(500).json({ message: 'Error deleting run', error: error.message });
-    }
-  },
-
-  updateStatus: async (req, res) => {
-    const { id } = req.params;
-    const { status } = req.body;
-
-    try {
-      await db.query(
-        'UPDATE requests SET status = ? WHERE id = ?',
-        [status, id]
-      );
+      if (month) {
+        query += ' AND MONTH(r.pickup_date) = ?';
+        params.push(month);
+      }
 
-      const [updatedRun] = await db.query(
-        `SELECT r.*, b.name as branch_name, st.name as service_type_name
-         FROM requests r
-         LEFT JOIN branches b ON r.branch_id = b.id
-         LEFT JOIN service_types st ON r.service_type_id = st.id
-         WHERE r.id = ?`,
-        [id]
-      );
+      if (clientId) {
+        query += ' AND b.client_id = ?';
+        params.push(clientId);
+      }
 
-      if (updatedRun.length === 0) {
-        return res.status(404).json({ message: 'Run not found' });
+      // Unscoped and head-office users may narrow to one branch
+      if (branchId && !(scope && scope.branchId)) {
+        query += ' AND r.branch_id = ?';
+        params.push(branchId);
       }
 
-      res.json(updatedRun[0]);
-    } catch (error) {
-      console.error('Error updating run status:', error);
-      res.status(500).json({ message: 'Error updating run status', error: error.message });
-    }
-  },
+      query += `
+        GROUP BY DATE(pickup_date)
+        ORDER BY date DESC
+      `;
 
-  getDateSummaries: async (req, res) => {
-    try {
-      const [summaries] = await db.query(
-        `SELECT 
-          DATE(pickup_date) as date,
-          COUNT(*) as totalRuns,
-          SUM(CASE WHEN status = 'completed' THEN price ELSE 0 END) as totalAmount
-         FROM requests
-         GROUP BY DATE(pickup_date)
-         ORDER BY date DESC
-         LIMIT 30`
-      );
+      const summaries = await executeQuery(query, params);
       res.json(summaries);
     } catch (error) {
-      console.error('Error fetching date summaries:', error);
-      res.status(500).json({ message: 'Error fetching date summaries', error: error.message });
+      console.error('Error fetching run summaries:', error);
+      res.status(500).json({ message: 'Error fetching run summaries' });
     }
   }
 };
 
-module.exports = runController; 
\ No newline at end of file
+module.exports = runController;
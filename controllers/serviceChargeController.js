@@ -1,4 +1,4 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
 
 const serviceChargeController = {
   getServiceCharges: async (req, res) => {
@@ -7,7 +7,7 @@ const serviceChargeController = {
       console.log('Fetching service charges for client:', clientId);
 
       // First, verify the client exists
-      const [client] = await db.query(
+      const client = await executeQuery(
         'SELECT id FROM clients WHERE id = ?',
         [clientId]
       );
@@ -18,7 +18,7 @@ const serviceChargeController = {
       }
 
       // Then fetch the service charges with service type names
-      const [charges] = await db.query(
+      const charges = await executeQuery(
         `SELECT sc.*, st.name as service_type_name 
          FROM service_charges sc
          JOIN service_types st ON sc.service_type_id = st.id
@@ -41,7 +41,7 @@ const serviceChargeController = {
   createServiceCharge: async (req, res) => {
     try {
       const { clientId } = req.params;
-      const { service_type_id, price } = req.body;
+      const { service_type_id, price, late_cancel_fee, wasted_trip_fee } = req.body;
       
       console.log('Create service charge request:', {
         clientId,
@@ -56,7 +56,7 @@ const serviceChargeController = {
       }
 
       // Check if client exists
-      const [client] = await db.query(
+      const client = await executeQuery(
         'SELECT id FROM clients WHERE id = ?',
         [clientId]
       );
@@ -66,7 +66,7 @@ const serviceChargeController = {
       }
 
       // Check if service type exists and get its name
-      const [serviceType] = await db.query(
+      const serviceType = await executeQuery(
         'SELECT id, name FROM service_types WHERE id = ?',
         [service_type_id]
       );
@@ -76,7 +76,7 @@ const serviceChargeController = {
       }
 
       // Check if service charge already exists for this client and service type
-      const [existingCharge] = await db.query(
+      const existingCharge = await executeQuery(
         `SELECT sc.*, st.name as service_type_name 
          FROM service_charges sc
          JOIN service_types st ON sc.service_type_id = st.id
@@ -92,13 +92,13 @@ const serviceChargeController = {
       }
 
       // Create the service charge
-      const [result] = await db.query(
-        'INSERT INTO service_charges (client_id, service_type_id, price) VALUES (?, ?, ?)',
-        [clientId, service_type_id, price]
+      const result = await executeQuery(
+        'INSERT INTO service_charges (client_id, service_type_id, price, late_cancel_fee, wasted_trip_fee) VALUES (?, ?, ?, ?, ?)',
+        [clientId, service_type_id, price, late_cancel_fee ?? null, wasted_trip_fee ?? null]
       );
 
       // Fetch the newly created service charge with service type name
-      const [newCharge] = await db.query(
+      const newCharge = await executeQuery(
         `SELECT sc.*, st.name as service_type_name 
          FROM service_charges sc
          JOIN service_types st ON sc.service_type_id = st.id
@@ -120,7 +120,7 @@ const serviceChargeController = {
   updateServiceCharge: async (req, res) => {
     try {
       const { clientId, chargeId } = req.params;
-      const { service_type_id, price } = req.body;
+      const { service_type_id, price, late_cancel_fee, wasted_trip_fee } = req.body;
       
       console.log('Update service charge request:', {
         clientId,
@@ -136,7 +136,7 @@ const serviceChargeController = {
       }
 
       // Check if service charge exists and belongs to the client
-      const [existingCharge] = await db.query(
+      const existingCharge = await executeQuery(
         'SELECT id FROM service_charges WHERE id = ? AND client_id = ?',
         [chargeId, clientId]
       );
@@ -146,7 +146,7 @@ const serviceChargeController = {
       }
 
       // Check if service type exists
-      const [serviceType] = await db.query(
+      const serviceType = await executeQuery(
         'SELECT id FROM service_types WHERE id = ?',
         [service_type_id]
       );
@@ -156,13 +156,15 @@ const serviceChargeController = {
       }
 
       // Update the service charge
-      await db.query(
-        'UPDATE service_charges SET service_type_id = ?, price = ? WHERE id = ? AND client_id = ?',
-        [service_type_id, price, chargeId, clientId]
+      await executeQuery(
+        `UPDATE service_charges
+         SET service_type_id = ?, price = ?, late_cancel_fee = ?, wasted_trip_fee = ?
+         WHERE id = ? AND client_id = ?`,
+        [service_type_id, price, late_cancel_fee ?? null, wasted_trip_fee ?? null, chargeId, clientId]
       );
 
       // Fetch the updated service charge with service type name
-      const [updatedCharge] = await db.query(
+      const updatedCharge = await executeQuery(
         `SELECT sc.*, st.name as service_type_name 
          FROM service_charges sc
          JOIN service_types st ON sc.service_type_id = st.id
@@ -187,7 +189,7 @@ const serviceChargeController = {
       console.log('Deleting service charge:', { clientId, chargeId });
 
       // Check if service charge exists and belongs to the client
-      const [existingCharge] = await db.query(
+      const existingCharge = await executeQuery(
         'SELECT id FROM service_charges WHERE id = ? AND client_id = ?',
         [chargeId, clientId]
       );
@@ -197,7 +199,7 @@ const serviceChargeController = {
       }
 
       // Delete the service charge
-      await db.query(
+      await executeQuery(
         'DELETE FROM service_charges WHERE id = ? AND client_id = ?',
         [chargeId, clientId]
       );
@@ -1,4 +1,4 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
 
 const serviceRequestController = {
   getServiceRequests: async (req, res) => {
@@ -7,7 +7,7 @@ const serviceRequestController = {
       console.log('Fetching service requests for client:', clientId);
 
       // First, verify the client exists
-      const [client] = await db.query(
+      const client = await executeQuery(
         'SELECT id FROM clients WHERE id = ?',
         [clientId]
       );
@@ -17,7 +17,7 @@ const serviceRequestController = {
       }
 
       // Fetch service requests with branch and service type names
-      const [requests] = await db.query(
+      const requests = await executeQuery(
         `SELECT sr.*, b.name as branch_name, st.name as service_type_name, sc.price
          FROM service_requests sr
          JOIN branches b ON sr.branch_id = b.id
@@ -57,7 +57,7 @@ const serviceRequestController = {
       }
 
       // Check if client exists
-      const [client] = await db.query(
+      const client = await executeQuery(
         'SELECT id FROM clients WHERE id = ?',
         [clientId]
       );
@@ -67,7 +67,7 @@ const serviceRequestController = {
       }
 
       // Check if branch exists and belongs to client
-      const [branch] = await db.query(
+      const branch = await executeQuery(
         'SELECT id FROM branches WHERE id = ? AND client_id = ?',
         [branch_id, clientId]
       );
@@ -77,7 +77,7 @@ const serviceRequestController = {
       }
 
       // Check if service type exists and has a charge for this client
-      const [serviceCharge] = await db.query(
+      const serviceCharge = await executeQuery(
         'SELECT id FROM service_charges WHERE client_id = ? AND service_type_id = ?',
         [clientId, service_type_id]
       );
@@ -89,7 +89,7 @@ const serviceRequestController = {
       }
 
       // Create the service request
-      const [result] = await db.query(
+      const result = await executeQuery(
         `INSERT INTO service_requests (
           client_id, branch_id, service_type_id, 
           pickup_location, dropoff_location, 
@@ -99,7 +99,7 @@ const serviceRequestController = {
       );
 
       // Fetch the newly created service request with branch and service type names
-      const [newRequest] = await db.query(
+      const newRequest = await executeQuery(
         `SELECT sr.*, b.name as branch_name, st.name as service_type_name, sc.price
          FROM service_requests sr
          JOIN branches b ON sr.branch_id = b.id
@@ -139,7 +139,7 @@ const serviceRequestController = {
       }
 
       // Check if service request exists and belongs to client
-      const [existingRequest] = await db.query(
+      const existingRequest = await executeQuery(
         'SELECT id FROM service_requests WHERE id = ? AND client_id = ?',
         [requestId, clientId]
       );
@@ -149,7 +149,7 @@ const serviceRequestController = {
       }
 
       // Check if branch exists and belongs to client
-      const [branch] = await db.query(
+      const branch = await executeQuery(
         'SELECT id FROM branches WHERE id = ? AND client_id = ?',
         [branch_id, clientId]
       );
@@ -159,7 +159,7 @@ const serviceRequestController = {
       }
 
       // Check if service type exists and has a charge for this client
-      const [serviceCharge] = await db.query(
+      const serviceCharge = await executeQuery(
         'SELECT id FROM service_charges WHERE client_id = ? AND service_type_id = ?',
         [clientId, service_type_id]
       );
@@ -171,7 +171,7 @@ const serviceRequestController = {
       }
 
       // Update the service request
-      await db.query(
+      await executeQuery(
         `UPDATE service_requests 
          SET branch_id = ?, service_type_id = ?, 
              pickup_location = ?, dropoff_location = ?, 
@@ -181,7 +181,7 @@ const serviceRequestController = {
       );
 
       // Fetch the updated service request with branch and service type names
-      const [updatedRequest] = await db.query(
+      const updatedRequest = await executeQuery(
         `SELECT sr.*, b.name as branch_name, st.name as service_type_name, sc.price
          FROM service_requests sr
          JOIN branches b ON sr.branch_id = b.id
@@ -208,7 +208,7 @@ const serviceRequestController = {
       console.log('Deleting service request:', { clientId, requestId });
 
       // Check if service request exists and belongs to client
-      const [existingRequest] = await db.query(
+      const existingRequest = await executeQuery(
         'SELECT id FROM service_requests WHERE id = ? AND client_id = ?',
         [requestId, clientId]
       );
@@ -218,7 +218,7 @@ const serviceRequestController = {
       }
 
       // Delete the service request
-      await db.query(
+      await executeQuery(
         'DELETE FROM service_requests WHERE id = ? AND client_id = ?',
         [requestId, clientId]
       );
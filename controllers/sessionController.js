@@ -0,0 +1,118 @@
+const { executeQuery } = require('../database/query');
+const {
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeBranchSessions,
+  listSessions
+} = require('../services/sessions');
+const { getBranchScope } = require('../middleware/auth');
+const { findUserInScope } = require('../services/users');
+
+const sessionController = {
+  // Trade a refresh token for a new access token and refresh token
+  refresh: async (req, res) => {
+    const { refresh_token } = req.body;
+    if (!refresh_token) {
+      return res.status(400).json({ message: 'Refresh token required' });
+    }
+
+    try {
+      res.json(await rotateRefreshToken(refresh_token));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Token refresh error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  },
+
+  // End the session the access token belongs to
+  logout: async (req, res) => {
+    try {
+      if (req.user.sid) {
+        await revokeSession(req.user.sid, 'logout');
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('Logout error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  },
+
+  // Sign the user out everywhere, including this session
+  revokeAll: async (req, res) => {
+    try {
+      const revoked = await revokeUserSessions(req.user.userId, 'revoke_all');
+      res.json({ revoked });
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+      res.status(500).json({ message: 'Error revoking sessions', error: error.message });
+    }
+  },
+
+  getSessions: async (req, res) => {
+    try {
+      const sessions = await listSessions(req.user.userId);
+      res.json(sessions.map(session => ({
+        ...session,
+        current: String(session.id) === String(req.user.sid)
+      })));
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+      res.status(500).json({ message: 'Error fetching sessions', error: error.message });
+    }
+  },
+
+  revokeSession: async (req, res) => {
+    try {
+      const sessions = await executeQuery(
+        'SELECT id FROM auth_sessions WHERE id = ? AND user_id = ?',
+        [req.params.id, req.user.userId]
+      );
+      if (sessions.length === 0) {
+        return res.status(404).json({ message: 'Session not found' });
+      }
+
+      await revokeSession(req.params.id, 'revoked_by_user');
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+      res.status(500).json({ message: 'Error revoking session', error: error.message });
+    }
+  },
+
+  // Force one user to sign in again everywhere
+  revokeUserSessions: async (req, res) => {
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+
+      const revoked = await revokeUserSessions(req.params.userId, 'forced_logout');
+      res.json({ revoked });
+    } catch (error) {
+      console.error('Error revoking user sessions:', error);
+      res.status(500).json({ message: 'Error revoking user sessions', error: error.message });
+    }
+  },
+
+  // Force every user of a branch to sign in again
+  revokeBranchSessions: async (req, res) => {
+    try {
+      const branches = await executeQuery('SELECT id FROM branches WHERE id = ?', [req.params.branchId]);
+      if (branches.length === 0) {
+        return res.status(404).json({ message: 'Branch not found' });
+      }
+
+      const revoked = await revokeBranchSessions(req.params.branchId, 'forced_logout');
+      res.json({ revoked });
+    } catch (error) {
+      console.error('Error revoking branch sessions:', error);
+      res.status(500).json({ message: 'Error revoking branch sessions', error: error.message });
+    }
+  }
+};
+
+module.exports = sessionController;
@@ -0,0 +1,213 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope } = require('../middleware/auth');
+const { isValidDate } = require('../services/fleet');
+const { addDays } = require('../services/roster');
+const { BREACH_CAUSES, TREND_INTERVALS, buildReport, listBreaches, buildTrends } = require('../services/sla');
+
+// Longest range a report may cover
+const MAX_REPORT_DAYS = 366;
+
+const DEFINITION_SELECT = `
+  SELECT sd.*, st.name as service_type_name
+  FROM sla_definitions sd
+  LEFT JOIN service_types st ON sd.service_type_id = st.id
+`;
+
+const isMinutes = (value) => value === null || value === undefined ||
+  (Number.isInteger(Number(value)) && Number(value) > 0);
+
+// Returns an error message, or null when the definition is usable
+const validateDefinition = (body) => {
+  const { pickup_window_minutes, max_transit_minutes } = body;
+  if ((pickup_window_minutes === undefined || pickup_window_minutes === null) &&
+      (max_transit_minutes === undefined || max_transit_minutes === null)) {
+    return 'A pickup window or maximum transit time is required';
+  }
+  if (!isMinutes(pickup_window_minutes) || !isMinutes(max_transit_minutes)) {
+    return 'Pickup window and maximum transit time must be whole minutes';
+  }
+  return null;
+};
+
+/**
+ * Report filters from the query string. Defaults to the last 30 days; branch
+ * and head-office users are always limited to their own branch or client.
+ */
+const readFilters = (req) => {
+  const to = req.query.to || new Date().toISOString().slice(0, 10);
+  const from = req.query.from || addDays(to, -29);
+  if (!isValidDate(from) || !isValidDate(to) || from > to) {
+    return { error: 'from and to must be dates (YYYY-MM-DD) with from on or before to' };
+  }
+  if (addDays(from, MAX_REPORT_DAYS) < to) {
+    return { error: `Reports can cover at most ${MAX_REPORT_DAYS} days` };
+  }
+
+  const scope = getBranchScope(req.user);
+  return {
+    from,
+    to,
+    clientId: scope ? scope.clientId : req.query.clientId || null,
+    // Head offices may narrow to one of their branches; the client filter keeps it in scope
+    branchId: (scope && scope.branchId) || req.query.branchId || null
+  };
+};
+
+const slaController = {
+  getDefinitions: async (req, res) => {
+    try {
+      const definitions = await executeQuery(
+        `${DEFINITION_SELECT} WHERE sd.client_id = ? ORDER BY sd.service_type_id IS NOT NULL, st.name`,
+        [req.params.clientId]
+      );
+      res.json(definitions);
+    } catch (error) {
+      console.error('Error fetching SLA definitions:', error);
+      res.status(500).json({ message: 'Error fetching SLA definitions', error: error.message });
+    }
+  },
+
+  // service_type_id may be left out to set the client's default SLA
+  createDefinition: async (req, res) => {
+    const { clientId } = req.params;
+    const { service_type_id, pickup_window_minutes, max_transit_minutes } = req.body;
+
+    const validationError = validateDefinition(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const clients = await executeQuery('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        return res.status(404).json({ message: 'Client not found' });
+      }
+
+      // A NULL service type does not trip the unique key, so check the default here
+      const existing = await executeQuery(
+        'SELECT id FROM sla_definitions WHERE client_id = ? AND service_type_id <=> ?',
+        [clientId, service_type_id || null]
+      );
+      if (existing.length > 0) {
+        return res.status(409).json({ message: 'An SLA already exists for this client and service type' });
+      }
+
+      const result = await executeQuery(
+        `INSERT INTO sla_definitions (client_id, service_type_id, pickup_window_minutes, max_transit_minutes)
+         VALUES (?, ?, ?, ?)`,
+        [clientId, service_type_id || null, pickup_window_minutes ?? null, max_transit_minutes ?? null]
+      );
+
+      const definitions = await executeQuery(`${DEFINITION_SELECT} WHERE sd.id = ?`, [result.insertId]);
+      res.status(201).json(definitions[0]);
+    } catch (error) {
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        return res.status(400).json({ message: 'Service type not found' });
+      }
+      console.error('Error creating SLA definition:', error);
+      res.status(500).json({ message: 'Error creating SLA definition', error: error.message });
+    }
+  },
+
+  updateDefinition: async (req, res) => {
+    const { clientId, slaId } = req.params;
+    const { pickup_window_minutes, max_transit_minutes } = req.body;
+
+    const validationError = validateDefinition(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE sla_definitions SET pickup_window_minutes = ?, max_transit_minutes = ?
+         WHERE id = ? AND client_id = ?`,
+        [pickup_window_minutes ?? null, max_transit_minutes ?? null, slaId, clientId]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'SLA definition not found' });
+      }
+
+      const definitions = await executeQuery(`${DEFINITION_SELECT} WHERE sd.id = ?`, [slaId]);
+      res.json(definitions[0]);
+    } catch (error) {
+      console.error('Error updating SLA definition:', error);
+      res.status(500).json({ message: 'Error updating SLA definition', error: error.message });
+    }
+  },
+
+  deleteDefinition: async (req, res) => {
+    try {
+      const result = await executeQuery(
+        'DELETE FROM sla_definitions WHERE id = ? AND client_id = ?',
+        [req.params.slaId, req.params.clientId]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'SLA definition not found' });
+      }
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error deleting SLA definition:', error);
+      res.status(500).json({ message: 'Error deleting SLA definition', error: error.message });
+    }
+  },
+
+  // On-time percentage and breach counts by cause, overall and per client and branch
+  getReport: async (req, res) => {
+    const filters = readFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ message: filters.error });
+    }
+
+    try {
+      res.json(await buildReport(filters));
+    } catch (error) {
+      console.error('Error building SLA report:', error);
+      res.status(500).json({ message: 'Error building SLA report', error: error.message });
+    }
+  },
+
+  getBreaches: async (req, res) => {
+    const filters = readFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ message: filters.error });
+    }
+    const { cause } = req.query;
+    if (cause && !BREACH_CAUSES.includes(cause)) {
+      return res.status(400).json({ message: `Cause must be one of ${BREACH_CAUSES.join(', ')}` });
+    }
+
+    try {
+      res.json(await listBreaches(filters, cause || null));
+    } catch (error) {
+      console.error('Error fetching SLA breaches:', error);
+      res.status(500).json({ message: 'Error fetching SLA breaches', error: error.message });
+    }
+  },
+
+  getTrends: async (req, res) => {
+    const filters = readFilters(req);
+    if (filters.error) {
+      return res.status(400).json({ message: filters.error });
+    }
+    const interval = req.query.interval || 'week';
+    if (!TREND_INTERVALS.includes(interval)) {
+      return res.status(400).json({ message: `Interval must be one of ${TREND_INTERVALS.join(', ')}` });
+    }
+    const splitBy = ['client', 'branch'].includes(req.query.splitBy) ? req.query.splitBy : null;
+
+    try {
+      res.json({
+        from: filters.from,
+        to: filters.to,
+        interval,
+        periods: await buildTrends(filters, interval, splitBy)
+      });
+    } catch (error) {
+      console.error('Error building SLA trends:', error);
+      res.status(500).json({ message: 'Error building SLA trends', error: error.message });
+    }
+  }
+};
+
+module.exports = slaController;
@@ -0,0 +1,315 @@
+const { executeQuery } = require('../database/query');
+const { ACK_MINUTES, addComment, escalateOverdue } = require('../services/sosEscalation');
+const { publish } = require('../services/eventBus');
+
+const SOS_STATUSES = ['pending', 'acknowledged', 'in_progress', 'resolved'];
+
+// Allowed moves between incident statuses; resolved incidents are closed
+const SOS_TRANSITIONS = {
+  pending: ['acknowledged', 'in_progress', 'resolved'],
+  acknowledged: ['in_progress', 'resolved'],
+  in_progress: ['resolved'],
+  resolved: []
+};
+
+const RESOLUTION_CATEGORIES = [
+  'false_alarm',
+  'resolved_on_site',
+  'police_assisted',
+  'medical_assisted',
+  'vehicle_breakdown',
+  'route_change_approved',
+  'other'
+];
+
+// Incident details with responder/supervisor names and the two response metrics in seconds
+const SOS_SELECT = `
+  SELECT s.*,
+         st.name as guard_name,
+         t.name as responder_team_name,
+         sup.name as escalated_to_name,
+         r.branch_id,
+         COALESCE(s.ack_deadline, s.created_at + INTERVAL ${ACK_MINUTES} MINUTE) as acknowledge_by,
+         TIMESTAMPDIFF(SECOND, s.created_at, s.acknowledged_at) as time_to_acknowledge_seconds,
+         TIMESTAMPDIFF(SECOND, s.created_at, s.resolved_at) as time_to_resolve_seconds
+  FROM sos s
+  LEFT JOIN staff st ON s.staff_id = st.id
+  LEFT JOIN teams t ON s.responder_team_id = t.id
+  LEFT JOIN staff sup ON s.escalated_to = sup.id
+  LEFT JOIN requests r ON s.request_id = r.id
+`;
+
+const findSos = async (id) => {
+  const rows = await executeQuery(`${SOS_SELECT} WHERE s.id = ?`, [id]);
+  return rows[0] || null;
+};
+
+// Reload the incident, notify subscribers and return it for the response
+const publishUpdate = async (id) => {
+  const sos = await findSos(id);
+  await publish('sos.updated', sos, { branchId: sos.branch_id });
+  return sos;
+};
+
+// Escalation runs opportunistically; a failure must not hide the incident list
+const runEscalations = async () => {
+  try {
+    await escalateOverdue();
+  } catch (error) {
+    console.error('Error escalating SOS incidents:', error);
+  }
+};
+
+const sosController = {
+  getSosList: async (req, res) => {
+    try {
+      await runEscalations();
+
+      const { status, teamId } = req.query;
+      const filters = [];
+      const params = [];
+
+      if (status) {
+        filters.push('s.status = ?');
+        params.push(status);
+      }
+      if (teamId) {
+        filters.push('s.responder_team_id = ?');
+        params.push(teamId);
+      }
+
+      const sosList = await executeQuery(
+        `${SOS_SELECT} ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''} ORDER BY s.created_at DESC`,
+        params
+      );
+      res.json(sosList);
+    } catch (error) {
+      console.error('Error fetching SOS list:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  },
+
+  getSos: async (req, res) => {
+    try {
+      const sos = await findSos(req.params.id);
+      if (!sos) {
+        return res.status(404).json({ message: 'SOS not found' });
+      }
+
+      const comments = await executeQuery(
+        'SELECT * FROM sos_comments WHERE sos_id = ? ORDER BY created_at ASC, id ASC',
+        [req.params.id]
+      );
+      res.json({ ...sos, comments });
+    } catch (error) {
+      console.error('Error fetching SOS:', error);
+      res.status(500).json({ message: 'Error fetching SOS', error: error.message });
+    }
+  },
+
+  assignResponder: async (req, res) => {
+    const { id } = req.params;
+    const { team_id } = req.body;
+
+    if (!team_id) {
+      return res.status(400).json({ message: 'Responder team is required' });
+    }
+
+    try {
+      const teams = await executeQuery('SELECT id, name FROM teams WHERE id = ?', [team_id]);
+      if (teams.length === 0) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      const result = await executeQuery(
+        `UPDATE sos SET responder_team_id = ?, assigned_at = NOW()
+         WHERE id = ? AND status != 'resolved'`,
+        [team_id, id]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Open SOS not found' });
+      }
+
+      await addComment(id, `Responder team ${teams[0].name} assigned`, req.user, 'assignment');
+      res.json(await publishUpdate(id));
+    } catch (error) {
+      console.error('Error assigning SOS responder:', error);
+      res.status(500).json({ message: 'Error assigning SOS responder', error: error.message });
+    }
+  },
+
+  acknowledgeSos: async (req, res) => {
+    const { id } = req.params;
+
+    try {
+      const result = await executeQuery(
+        `UPDATE sos SET status = 'acknowledged', acknowledged_at = NOW(), acknowledged_by = ?
+         WHERE id = ? AND status = 'pending'`,
+        [req.user.name || null, id]
+      );
+      if (result.affectedRows === 0) {
+        const sos = await findSos(id);
+        if (!sos) {
+          return res.status(404).json({ message: 'SOS not found' });
+        }
+        return res.status(409).json({ message: `SOS is already ${sos.status}` });
+      }
+
+      await addComment(id, req.body.comment || 'Acknowledged', req.user, 'status');
+      res.json(await publishUpdate(id));
+    } catch (error) {
+      console.error('Error acknowledging SOS:', error);
+      res.status(500).json({ message: 'Error acknowledging SOS', error: error.message });
+    }
+  },
+
+  updateSosStatus: async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { status, comment, resolution_category } = req.body;
+
+      if (!SOS_STATUSES.includes(status)) {
+        return res.status(400).json({ message: 'Invalid status' });
+      }
+      if (status === 'resolved' && !RESOLUTION_CATEGORIES.includes(resolution_category)) {
+        return res.status(400).json({
+          message: `A resolution category is required: ${RESOLUTION_CATEGORIES.join(', ')}`
+        });
+      }
+
+      const sos = await findSos(id);
+      if (!sos) {
+        return res.status(404).json({ message: 'SOS not found' });
+      }
+      if (!SOS_TRANSITIONS[sos.status].includes(status)) {
+        return res.status(409).json({ message: `Cannot move SOS from ${sos.status} to ${status}` });
+      }
+
+      // Any move off pending counts as the acknowledgement
+      const result = await executeQuery(
+        `UPDATE sos
+         SET status = ?,
+             acknowledged_at = COALESCE(acknowledged_at, NOW()),
+             acknowledged_by = COALESCE(acknowledged_by, ?),
+             resolved_at = ${status === 'resolved' ? 'NOW()' : 'resolved_at'},
+             resolution_category = ?
+         WHERE id = ? AND status = ?`,
+        [status, req.user.name || null, status === 'resolved' ? resolution_category : null, id, sos.status]
+      );
+      if (result.affectedRows === 0) {
+        return res.status(409).json({ message: 'SOS status was changed by someone else; reload and try again' });
+      }
+
+      await addComment(
+        id,
+        comment || `Status changed from ${sos.status} to ${status}`,
+        req.user,
+        'status'
+      );
+
+      res.json(await publishUpdate(id));
+    } catch (error) {
+      console.error('Error updating SOS status:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  },
+
+  getSosComments: async (req, res) => {
+    try {
+      const comments = await executeQuery(
+        'SELECT * FROM sos_comments WHERE sos_id = ? ORDER BY created_at ASC, id ASC',
+        [req.params.id]
+      );
+      res.json(comments);
+    } catch (error) {
+      console.error('Error fetching SOS comments:', error);
+      res.status(500).json({ message: 'Error fetching SOS comments', error: error.message });
+    }
+  },
+
+  addSosComment: async (req, res) => {
+    const { id } = req.params;
+    const { comment } = req.body;
+
+    if (!comment || !String(comment).trim()) {
+      return res.status(400).json({ message: 'Comment is required' });
+    }
+
+    try {
+      const sos = await executeQuery('SELECT id FROM sos WHERE id = ?', [id]);
+      if (sos.length === 0) {
+        return res.status(404).json({ message: 'SOS not found' });
+      }
+
+      const result = await addComment(id, String(comment).trim(), req.user);
+      const created = await executeQuery('SELECT * FROM sos_comments WHERE id = ?', [result.insertId]);
+      res.status(201).json(created[0]);
+    } catch (error) {
+      console.error('Error adding SOS comment:', error);
+      res.status(500).json({ message: 'Error adding SOS comment', error: error.message });
+    }
+  },
+
+  // Entry point for schedulers: Vercel Cron (see vercel.json) and manual runs
+  runEscalations: async (req, res) => {
+    try {
+      const escalated = await escalateOverdue();
+      res.json({ escalated });
+    } catch (error) {
+      console.error('Error escalating SOS incidents:', error);
+      res.status(500).json({ message: 'Error escalating SOS incidents', error: error.message });
+    }
+  },
+
+  // Per-incident response times plus averages, filtered by creation date
+  getSosMetrics: async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const filters = [];
+      const params = [];
+
+      if (from) {
+        filters.push('s.created_at >= ?');
+        params.push(new Date(from));
+      }
+      if (to) {
+        filters.push('s.created_at <= ?');
+        params.push(new Date(to));
+      }
+
+      const incidents = await executeQuery(
+        `SELECT s.id, s.sos_type, s.status, s.resolution_category, s.escalation_level,
+                s.created_at, s.acknowledged_at, s.resolved_at,
+                TIMESTAMPDIFF(SECOND, s.created_at, s.acknowledged_at) as time_to_acknowledge_seconds,
+                TIMESTAMPDIFF(SECOND, s.created_at, s.resolved_at) as time_to_resolve_seconds
+         FROM sos s
+         ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+         ORDER BY s.created_at DESC`,
+        params
+      );
+
+      const average = (values) => values.length
+        ? Math.round(values.reduce((sum, value) => sum + Number(value), 0) / values.length)
+        : null;
+      const acknowledged = incidents.filter(i => i.time_to_acknowledge_seconds !== null);
+      const resolved = incidents.filter(i => i.time_to_resolve_seconds !== null);
+
+      res.json({
+        summary: {
+          total: incidents.length,
+          acknowledged: acknowledged.length,
+          resolved: resolved.length,
+          escalated: incidents.filter(i => i.escalation_level > 0).length,
+          average_time_to_acknowledge_seconds: average(acknowledged.map(i => i.time_to_acknowledge_seconds)),
+          average_time_to_resolve_seconds: average(resolved.map(i => i.time_to_resolve_seconds))
+        },
+        incidents
+      });
+    } catch (error) {
+      console.error('Error fetching SOS metrics:', error);
+      res.status(500).json({ message: 'Error fetching SOS metrics', error: error.message });
+    }
+  }
+};
+
+module.exports = sosController;
@@ -1,67 +1,24 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
 
 const staffController = {
   getAllStaff: async (req, res) => {
     try {
-      console.log('Starting to fetch staff list...');
-      
-      // First, check if the staff table exists
-      const [tables] = await db.query('SHOW TABLES LIKE "staff"');
-      console.log('Tables check result:', tables);
-      
-      if (tables.length === 0) {
-        console.error('Staff table does not exist!');
-        return res.status(500).json({ 
-          message: 'Staff table does not exist',
-          error: 'Database table missing'
-        });
-      }
-
-      // Check the table structure
-      const [columns] = await db.query('DESCRIBE staff');
-      console.log('Staff table structure:', columns);
-
-      // Try to fetch the data
-      console.log('Executing SELECT query...');
-      const [staff] = await db.query('SELECT * FROM staff ORDER BY created_at DESC');
-      console.log('Query result:', staff);
-
-      if (!staff || staff.length === 0) {
-        console.log('No staff records found');
-        return res.json([]);
-      }
-
+      const staff = await executeQuery('SELECT * FROM staff ORDER BY created_at DESC');
       res.json(staff);
     } catch (error) {
-      console.error('Error in getAllStaff:', error);
-      console.error('Error details:', {
-        message: error.message,
-        code: error.code,
-        errno: error.errno,
-        sqlState: error.sqlState,
-        sqlMessage: error.sqlMessage
-      });
-      res.status(500).json({ 
-        message: 'Error fetching staff list',
-        error: error.message,
-        details: process.env.NODE_ENV === 'development' ? {
-          code: error.code,
-          errno: error.errno,
-          sqlState: error.sqlState,
-          sqlMessage: error.sqlMessage
-        } : undefined
-      });
+      console.error('Error fetching staff:', error);
+      res.status(500).json({ message: 'Error fetching staff list', error: error.message });
     }
   },
 
   getStaffById: async (req, res) => {
     try {
-      const [staff] = await db.query('SELECT * FROM staff WHERE id = ?', [req.params.id]);
-      
+      const staff = await executeQuery('SELECT * FROM staff WHERE id = ?', [req.params.id]);
+
       if (staff.length === 0) {
         return res.status(404).json({ message: 'Staff member not found' });
       }
-      
+
       res.json(staff[0]);
     } catch (error) {
       console.error('Error fetching staff member:', error);
@@ -71,21 +28,19 @@ const staffController = {
 
   createStaff: async (req, res) => {
     const { name, photo_url, empl_no, id_no, role } = req.body;
-    
+
+    if (!name || !empl_no || !id_no || !role) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
     try {
-      const [result] = await db.query(
-        'INSERT INTO staff (name, photo_url, empl_no, id_no, role) VALUES (?, ?, ?, ?, ?)',
-        [name, photo_url, empl_no, id_no, role]
+      const result = await executeQuery(
+        'INSERT INTO staff (name, photo_url, empl_no, id_no, role, status) VALUES (?, ?, ?, ?, ?, 1)',
+        [name, photo_url || null, empl_no, id_no, role]
       );
-      
-      res.status(201).json({
-        id: result.insertId,
-        name,
-        photo_url,
-        empl_no,
-        id_no,
-        role
-      });
+
+      const newStaff = await executeQuery('SELECT * FROM staff WHERE id = ?', [result.insertId]);
+      res.status(201).json(newStaff[0]);
     } catch (error) {
       console.error('Error creating staff member:', error);
       res.status(500).json({ message: 'Error creating staff member' });
@@ -94,21 +49,22 @@ const staffController = {
 
   updateStaff: async (req, res) => {
     const { name, photo_url, empl_no, id_no, role } = req.body;
-    
+
+    if (!name || !empl_no || !id_no || !role) {
+      return res.status(400).json({ message: 'Missing required fields' });
+    }
+
     try {
-      await db.query(
+      await executeQuery(
         'UPDATE staff SET name = ?, photo_url = ?, empl_no = ?, id_no = ?, role = ? WHERE id = ?',
-        [name, photo_url, empl_no, id_no, role, req.params.id]
+        [name, photo_url || null, empl_no, id_no, role, req.params.id]
       );
-      
-      res.json({
-        id: parseInt(req.params.id),
-        name,
-        photo_url,
-        empl_no,
-        id_no,
-        role
-      });
+
+      const updatedStaff = await executeQuery('SELECT * FROM staff WHERE id = ?', [req.params.id]);
+      if (updatedStaff.length === 0) {
+        return res.status(404).json({ message: 'Staff member not found' });
+      }
+      res.json(updatedStaff[0]);
     } catch (error) {
       console.error('Error updating staff member:', error);
       res.status(500).json({ message: 'Error updating staff member' });
@@ -117,7 +73,7 @@ const staffController = {
 
   deleteStaff: async (req, res) => {
     try {
-      await db.query('DELETE FROM staff WHERE id = ?', [req.params.id]);
+      await executeQuery('DELETE FROM staff WHERE id = ?', [req.params.id]);
       res.status(204).send();
     } catch (error) {
       console.error('Error deleting staff member:', error);
@@ -128,36 +84,29 @@ const staffController = {
   updateStaffStatus: async (req, res) => {
     const { status } = req.body;
     const staffId = req.params.id;
-    
+
+    if (status !== 0 && status !== 1) {
+      return res.status(400).json({ message: 'Status must be 0 or 1' });
+    }
+
     try {
-      console.log('Updating staff status:', { staffId, status });
-      
-      // First check if staff exists
-      const [existingStaff] = await db.query('SELECT * FROM staff WHERE id = ?', [staffId]);
-      
+      const existingStaff = await executeQuery('SELECT id FROM staff WHERE id = ?', [staffId]);
       if (existingStaff.length === 0) {
         return res.status(404).json({ message: 'Staff member not found' });
       }
-      
-      // Update the status
-      await db.query(
-        'UPDATE staff SET status = ? WHERE id = ?',
-        [status, staffId]
-      );
-      
-      // Get the updated staff record
-      const [updatedStaff] = await db.query('SELECT * FROM staff WHERE id = ?', [staffId]);
-      
-      console.log('Staff status updated successfully:', updatedStaff[0]);
+
+      await executeQuery('UPDATE staff SET status = ? WHERE id = ?', [status, staffId]);
+
+      const updatedStaff = await executeQuery('SELECT * FROM staff WHERE id = ?', [staffId]);
       res.json(updatedStaff[0]);
     } catch (error) {
       console.error('Error updating staff status:', error);
-      res.status(500).json({ 
+      res.status(500).json({
         message: 'Error updating staff status',
-        error: error.message 
+        error: error.message
       });
     }
   }
 };
 
-module.exports = staffController; 
\ No newline at end of file
+module.exports = staffController;
@@ -0,0 +1,545 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope, scopeCondition, isBranchInScope } = require('../middleware/auth');
+const { actorId } = require('../services/users');
+const { isValidDate } = require('../services/fleet');
+const { isValidTime, addDays } = require('../services/roster');
+const {
+  RECURRENCES,
+  EXCEPTION_ACTIONS,
+  HORIZON_DAYS,
+  MAX_HORIZON_DAYS,
+  ORDER_COLUMNS,
+  ORDER_SELECT,
+  today,
+  matchesRule,
+  generateRequests,
+  releaseOccurrences,
+  releaseHoliday,
+  previewOccurrences
+} = require('../services/standingOrders');
+
+const PRIORITIES = ['low', 'medium', 'high'];
+
+const ORDER_FIELDS = [
+  'branch_id',
+  'service_type_id',
+  'pickup_location',
+  'delivery_location',
+  'pickup_time',
+  'description',
+  'priority',
+  'price',
+  'declared_value',
+  'latitude',
+  'longitude',
+  'delivery_latitude',
+  'delivery_longitude',
+  'recurrence',
+  'weekdays',
+  'month_days',
+  'skip_holidays',
+  'start_date',
+  'end_date'
+];
+
+// Fields that decide when and where the generated pickups happen
+const SCHEDULE_FIELDS = [
+  'pickup_location',
+  'delivery_location',
+  'pickup_time',
+  'latitude',
+  'longitude',
+  'delivery_latitude',
+  'delivery_longitude',
+  'recurrence',
+  'weekdays',
+  'month_days',
+  'skip_holidays',
+  'start_date',
+  'end_date'
+];
+
+// Stored and submitted values compare loosely: MySQL returns decimals as strings and times with seconds
+const sameValue = (field, stored, next) => {
+  if (stored === null || stored === undefined || next === null || next === undefined) {
+    return (stored ?? null) === (next ?? null);
+  }
+  if (field === 'pickup_time') {
+    return String(stored).slice(0, 5) === String(next).slice(0, 5);
+  }
+  if (String(next).trim() !== '' && !Number.isNaN(Number(stored)) && !Number.isNaN(Number(next))) {
+    return Number(stored) === Number(next);
+  }
+  return String(stored) === String(next);
+};
+
+const isScheduleChanged = (existing, values) => SCHEDULE_FIELDS.some(field =>
+  !sameValue(field, existing[field], values[ORDER_FIELDS.indexOf(field)]));
+
+const isDayList = (days, min, max) => Array.isArray(days) && days.length > 0 &&
+  days.every(day => Number.isInteger(Number(day)) && Number(day) >= min && Number(day) <= max);
+
+// Returns an error message, or null when the standing order definition is usable
+const validateOrder = (body) => {
+  const { service_type_id, pickup_location, delivery_location, pickup_time, price, recurrence } = body;
+  if (!service_type_id || !pickup_location || !delivery_location || !pickup_time || !price) {
+    return 'Service type, pickup and delivery locations, pickup time and price are required';
+  }
+  if (!isValidTime(pickup_time)) {
+    return 'Pickup time must be HH:MM';
+  }
+  if (body.priority && !PRIORITIES.includes(body.priority)) {
+    return `Priority must be one of ${PRIORITIES.join(', ')}`;
+  }
+  if (!RECURRENCES.includes(recurrence)) {
+    return `Recurrence must be ${RECURRENCES.join(' or ')}`;
+  }
+  if (recurrence === 'weekly' && !isDayList(body.weekdays, 0, 6)) {
+    return 'Weekly orders need weekdays: a list of days from 0 (Sunday) to 6 (Saturday)';
+  }
+  if (recurrence === 'monthly' && !isDayList(body.month_days, 1, 31)) {
+    return 'Monthly orders need month_days: a list of dates from 1 to 31';
+  }
+  if (!isValidDate(body.start_date)) {
+    return 'Start date (YYYY-MM-DD) is required';
+  }
+  if (body.end_date && (!isValidDate(body.end_date) || body.end_date < body.start_date)) {
+    return 'End date must be a date (YYYY-MM-DD) on or after the start date';
+  }
+  return null;
+};
+
+const orderValues = (body, branchId) => ORDER_FIELDS.map(field => {
+  switch (field) {
+    case 'branch_id':
+      return branchId;
+    case 'priority':
+      return body.priority || 'medium';
+    case 'weekdays':
+      return body.recurrence === 'weekly' ? [...new Set(body.weekdays.map(Number))].sort().join(',') : null;
+    case 'month_days':
+      return body.recurrence === 'monthly' ? [...new Set(body.month_days.map(Number))].sort((a, b) => a - b).join(',') : null;
+    case 'skip_holidays':
+      return body.skip_holidays === false || body.skip_holidays === 0 ? 0 : 1;
+    default:
+      return body[field] === undefined || body[field] === '' ? null : body[field];
+  }
+});
+
+// Scoped users only see and manage orders of branches within their scope
+const findOrder = async (id, user) => {
+  const orders = await executeQuery(`${ORDER_SELECT} WHERE so.id = ?`, [id]);
+  if (orders.length === 0) {
+    return null;
+  }
+  if (!(await isBranchInScope(getBranchScope(user), orders[0].branch_id))) {
+    return null;
+  }
+  return orders[0];
+};
+
+// Branch users always order for themselves; head offices and admins name the branch
+const resolveBranchId = async (req) => {
+  const scope = getBranchScope(req.user);
+  const branchId = scope && scope.branchId ? scope.branchId : req.body.branch_id;
+  if (!branchId || !(await isBranchInScope(scope, branchId))) {
+    return null;
+  }
+  const branches = await executeQuery('SELECT id FROM branches WHERE id = ?', [branchId]);
+  return branches.length > 0 ? branches[0].id : null;
+};
+
+const validateReferences = async (req) => {
+  const branchId = await resolveBranchId(req);
+  if (!branchId) {
+    return { error: 'Invalid branch' };
+  }
+  const serviceTypes = await executeQuery('SELECT id FROM service_types WHERE id = ?', [req.body.service_type_id]);
+  if (serviceTypes.length === 0) {
+    return { error: 'Invalid service type' };
+  }
+  return { branchId };
+};
+
+const withSchedule = async (order) => {
+  const from = today();
+  const exceptions = await executeQuery(
+    `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') as date, DATE_FORMAT(moved_to, '%Y-%m-%d') as moved_to
+     FROM standing_order_exceptions
+     WHERE standing_order_id = ? AND (date >= ? OR moved_to >= ?)
+     ORDER BY date`,
+    [order.id, from, from]
+  );
+  return {
+    ...order,
+    exceptions,
+    upcoming: await previewOccurrences(order, from, addDays(from, HORIZON_DAYS))
+  };
+};
+
+const standingOrderController = {
+  getStandingOrders: async (req, res) => {
+    try {
+      const filters = [];
+      const params = [];
+
+      const scope = getBranchScope(req.user);
+      if (scope) {
+        const condition = scopeCondition(scope, 'so.branch_id');
+        filters.push(condition.sql);
+        params.push(...condition.params);
+      }
+      if (req.query.branchId && !(scope && scope.branchId)) {
+        filters.push('so.branch_id = ?');
+        params.push(req.query.branchId);
+      }
+      if (req.query.status) {
+        filters.push('so.status = ?');
+        params.push(req.query.status);
+      }
+
+      const orders = await executeQuery(
+        `SELECT ${ORDER_COLUMNS}, b.name as branch_name, st.name as service_type_name
+         FROM standing_orders so
+         LEFT JOIN branches b ON so.branch_id = b.id
+         LEFT JOIN service_types st ON so.service_type_id = st.id
+         ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+         ORDER BY b.name, so.id`,
+        params
+      );
+      res.json(orders);
+    } catch (error) {
+      console.error('Error fetching standing orders:', error);
+      res.status(500).json({ message: 'Error fetching standing orders', error: error.message });
+    }
+  },
+
+  // The order with its exceptions and the pickups due over the generation horizon
+  getStandingOrder: async (req, res) => {
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+      res.json(await withSchedule(order));
+    } catch (error) {
+      console.error('Error fetching standing order:', error);
+      res.status(500).json({ message: 'Error fetching standing order', error: error.message });
+    }
+  },
+
+  createStandingOrder: async (req, res) => {
+    const validationError = validateOrder(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const references = await validateReferences(req);
+      if (references.error) {
+        return res.status(400).json({ message: references.error });
+      }
+
+      const result = await executeQuery(
+        `INSERT INTO standing_orders (${ORDER_FIELDS.join(', ')}, created_by)
+         VALUES (${ORDER_FIELDS.map(() => '?').join(', ')}, ?)`,
+        [...orderValues(req.body, references.branchId), actorId(req.user)]
+      );
+
+      const generated = await generateRequests({ orderId: result.insertId, actor: req.user });
+      const order = await findOrder(result.insertId, req.user);
+      res.status(201).json({ ...(await withSchedule(order)), generated: generated.created });
+    } catch (error) {
+      console.error('Error creating standing order:', error);
+      res.status(500).json({ message: 'Error creating standing order', error: error.message });
+    }
+  },
+
+  // Changing the schedule (when or where) withdraws upcoming requests that have not started and books them again
+  updateStandingOrder: async (req, res) => {
+    const validationError = validateOrder(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const existing = await findOrder(req.params.id, req.user);
+      if (!existing) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+      if (existing.status === 'ended') {
+        return res.status(409).json({ message: 'Standing order has ended' });
+      }
+
+      const references = await validateReferences(req);
+      if (references.error) {
+        return res.status(400).json({ message: references.error });
+      }
+
+      const values = orderValues(req.body, references.branchId);
+      await executeQuery(
+        `UPDATE standing_orders SET ${ORDER_FIELDS.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...values, existing.id]
+      );
+
+      // Other edits leave booked requests, and the teams assigned to them, as they are
+      let result = { released: [], kept: [], generated: [] };
+      if (isScheduleChanged(existing, values)) {
+        const { released, kept } = await releaseOccurrences(existing.id, {}, req.user, 'Standing order changed');
+        const generated = await generateRequests({ orderId: existing.id, actor: req.user });
+        result = { released, kept, generated: generated.created };
+      }
+
+      const order = await findOrder(existing.id, req.user);
+      res.json({ ...(await withSchedule(order)), ...result });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error updating standing order:', error);
+      res.status(500).json({ message: 'Error updating standing order', error: error.message });
+    }
+  },
+
+  // Pause (withdrawing upcoming requests) or resume a standing order
+  setStandingOrderStatus: async (req, res) => {
+    const { status } = req.body;
+    if (!['active', 'paused'].includes(status)) {
+      return res.status(400).json({ message: 'Status must be active or paused' });
+    }
+
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+      if (order.status === 'ended') {
+        return res.status(409).json({ message: 'Standing order has ended' });
+      }
+      if (order.status === status) {
+        return res.json(await withSchedule(order));
+      }
+
+      await executeQuery('UPDATE standing_orders SET status = ? WHERE id = ?', [status, order.id]);
+
+      let result = {};
+      if (status === 'paused') {
+        result = await releaseOccurrences(order.id, {}, req.user, 'Standing order paused');
+      } else {
+        result = { generated: (await generateRequests({ orderId: order.id, actor: req.user })).created };
+      }
+
+      res.json({ ...(await withSchedule({ ...order, status })), ...result });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error updating standing order status:', error);
+      res.status(500).json({ message: 'Error updating standing order status', error: error.message });
+    }
+  },
+
+  // Orders are ended rather than deleted so generated requests keep their reference
+  deleteStandingOrder: async (req, res) => {
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order || order.status === 'ended') {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+
+      await executeQuery("UPDATE standing_orders SET status = 'ended' WHERE id = ?", [order.id]);
+      const { released, kept } = await releaseOccurrences(order.id, {}, req.user, 'Standing order ended');
+
+      res.json({ message: 'Standing order ended', released, kept });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error ending standing order:', error);
+      res.status(500).json({ message: 'Error ending standing order', error: error.message });
+    }
+  },
+
+  getExceptions: async (req, res) => {
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+
+      const exceptions = await executeQuery(
+        `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') as date, DATE_FORMAT(moved_to, '%Y-%m-%d') as moved_to
+         FROM standing_order_exceptions
+         WHERE standing_order_id = ?
+         ORDER BY date`,
+        [order.id]
+      );
+      res.json(exceptions);
+    } catch (error) {
+      console.error('Error fetching standing order exceptions:', error);
+      res.status(500).json({ message: 'Error fetching standing order exceptions', error: error.message });
+    }
+  },
+
+  // One-off change to a single pickup: skip it, or move it to another day or time
+  addException: async (req, res) => {
+    const { date, action, moved_to, pickup_time, note } = req.body;
+
+    if (!isValidDate(date) || !EXCEPTION_ACTIONS.includes(action)) {
+      return res.status(400).json({ message: `A date (YYYY-MM-DD) and an action of ${EXCEPTION_ACTIONS.join(' or ')} are required` });
+    }
+    if (action === 'move' && (!isValidDate(moved_to) || moved_to < today())) {
+      return res.status(400).json({ message: 'Moved pickups need a moved_to date (YYYY-MM-DD) from today onwards' });
+    }
+    if (pickup_time && !isValidTime(pickup_time)) {
+      return res.status(400).json({ message: 'Pickup time must be HH:MM' });
+    }
+
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+      if (!matchesRule(order, date) || date < order.start_date || (order.end_date && date > order.end_date)) {
+        return res.status(400).json({ message: 'The standing order has no pickup on this date' });
+      }
+
+      const result = await executeQuery(
+        `INSERT INTO standing_order_exceptions (standing_order_id, date, action, moved_to, pickup_time, note, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          order.id,
+          date,
+          action,
+          action === 'move' ? moved_to : null,
+          action === 'move' ? pickup_time || null : null,
+          note || null,
+          actorId(req.user)
+        ]
+      );
+
+      const { released, kept } = await releaseOccurrences(order.id, { dates: [date] }, req.user,
+        action === 'skip' ? 'Skipped by standing order exception' : 'Moved by standing order exception');
+      const generated = await generateRequests({ orderId: order.id, actor: req.user });
+
+      const exception = await executeQuery(
+        `SELECT *, DATE_FORMAT(date, '%Y-%m-%d') as date, DATE_FORMAT(moved_to, '%Y-%m-%d') as moved_to
+         FROM standing_order_exceptions WHERE id = ?`,
+        [result.insertId]
+      );
+      res.status(201).json({ ...exception[0], released, kept, generated: generated.created });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'This pickup already has an exception' });
+      }
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error adding standing order exception:', error);
+      res.status(500).json({ message: 'Error adding standing order exception', error: error.message });
+    }
+  },
+
+  // Removing an exception puts the pickup back on its regular day
+  deleteException: async (req, res) => {
+    try {
+      const order = await findOrder(req.params.id, req.user);
+      if (!order) {
+        return res.status(404).json({ message: 'Standing order not found' });
+      }
+
+      const exceptions = await executeQuery(
+        "SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date FROM standing_order_exceptions WHERE id = ? AND standing_order_id = ?",
+        [req.params.exceptionId, order.id]
+      );
+      if (exceptions.length === 0) {
+        return res.status(404).json({ message: 'Exception not found' });
+      }
+
+      await executeQuery('DELETE FROM standing_order_exceptions WHERE id = ?', [exceptions[0].id]);
+      const { released, kept } = await releaseOccurrences(order.id, { dates: [exceptions[0].date] }, req.user,
+        'Standing order exception removed');
+      const generated = await generateRequests({ orderId: order.id, actor: req.user });
+
+      res.json({ message: 'Exception removed', released, kept, generated: generated.created });
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      console.error('Error removing standing order exception:', error);
+      res.status(500).json({ message: 'Error removing standing order exception', error: error.message });
+    }
+  },
+
+  // Book requests for every active order up to `through` (defaults to the horizon); safe to repeat
+  generate: async (req, res) => {
+    const { through } = req.body;
+    if (through !== undefined &&
+        (!isValidDate(through) || through < today() || through > addDays(today(), MAX_HORIZON_DAYS))) {
+      return res.status(400).json({ message: `through must be a date (YYYY-MM-DD) within ${MAX_HORIZON_DAYS} days` });
+    }
+
+    try {
+      res.json(await generateRequests({ through: through || null, actor: req.user }));
+    } catch (error) {
+      console.error('Error generating standing order requests:', error);
+      res.status(500).json({ message: 'Error generating standing order requests', error: error.message });
+    }
+  },
+
+  getHolidays: async (req, res) => {
+    try {
+      const { from, to } = req.query;
+      const holidays = await executeQuery(
+        `SELECT id, name, DATE_FORMAT(date, '%Y-%m-%d') as date
+         FROM public_holidays
+         WHERE date BETWEEN ? AND ?
+         ORDER BY date`,
+        [isValidDate(from) ? from : today(), isValidDate(to) ? to : addDays(today(), 365)]
+      );
+      res.json(holidays);
+    } catch (error) {
+      console.error('Error fetching public holidays:', error);
+      res.status(500).json({ message: 'Error fetching public holidays', error: error.message });
+    }
+  },
+
+  // Adding a holiday withdraws pickups already booked on it for orders that skip holidays
+  createHoliday: async (req, res) => {
+    const { date, name } = req.body;
+    if (!isValidDate(date) || !name) {
+      return res.status(400).json({ message: 'A date (YYYY-MM-DD) and name are required' });
+    }
+
+    try {
+      const result = await executeQuery('INSERT INTO public_holidays (date, name) VALUES (?, ?)', [date, name]);
+      const affectedOrders = await releaseHoliday(date, req.user, `Public holiday: ${name}`);
+
+      res.status(201).json({ id: result.insertId, date, name, affected_standing_orders: affectedOrders });
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'A public holiday already exists on this date' });
+      }
+      console.error('Error creating public holiday:', error);
+      res.status(500).json({ message: 'Error creating public holiday', error: error.message });
+    }
+  },
+
+  // Removing a holiday books the pickups it had suppressed
+  deleteHoliday: async (req, res) => {
+    try {
+      const result = await executeQuery('DELETE FROM public_holidays WHERE id = ?', [req.params.id]);
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Public holiday not found' });
+      }
+
+      const generated = await generateRequests({ actor: req.user });
+      res.json({ message: 'Public holiday removed', generated: generated.created });
+    } catch (error) {
+      console.error('Error removing public holiday:', error);
+      res.status(500).json({ message: 'Error removing public holiday', error: error.message });
+    }
+  }
+};
+
+module.exports = standingOrderController;
@@ -0,0 +1,63 @@
+const { executeQuery } = require('../database/query');
+
+const envStatus = () => ({
+  DB_HOST: process.env.DB_HOST ? 'SET' : 'NOT SET',
+  DB_USER: process.env.DB_USER ? 'SET' : 'NOT SET',
+  DB_NAME: process.env.DB_NAME ? 'SET' : 'NOT SET',
+  JWT_SECRET: process.env.JWT_SECRET ? 'SET' : 'NOT SET'
+});
+
+// Unauthenticated endpoints for uptime checks and deployment debugging
+const statusController = {
+  getRoot: (req, res) => {
+    res.json({
+      message: 'BM Branch API Server',
+      status: 'running',
+      timestamp: new Date().toISOString(),
+      corsOrigin: req.headers.origin,
+      environment: process.env.NODE_ENV || 'development'
+    });
+  },
+
+  getApi: (req, res) => {
+    res.json({
+      message: 'BM Branch API',
+      status: 'running',
+      timestamp: new Date().toISOString(),
+      corsOrigin: req.headers.origin
+    });
+  },
+
+  getHealth: (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date().toISOString() });
+  },
+
+  testDatabase: async (req, res) => {
+    try {
+      const result = await executeQuery('SELECT 1 as test');
+      res.json({
+        status: 'Database connected successfully',
+        test: result,
+        env: envStatus()
+      });
+    } catch (error) {
+      console.error('Database test error:', error);
+      res.status(500).json({
+        status: 'Database connection failed',
+        error: error.message,
+        env: envStatus()
+      });
+    }
+  },
+
+  testCors: (req, res) => {
+    res.json({
+      message: 'CORS test successful',
+      origin: req.headers.origin,
+      timestamp: new Date().toISOString(),
+      headers: req.headers
+    });
+  }
+};
+
+module.exports = statusController;
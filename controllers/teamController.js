@@ -1,4 +1,6 @@
-const db = require('../database/db');
+const { executeQuery } = require('../database/query');
+
+const parseMembers = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
 
 const teamController = {
   createTeam: async (req, res) => {
@@ -17,7 +19,7 @@ const teamController = {
       let crewCommanderId = null;
       if (Array.isArray(members) && members.length > 0) {
         // Query staff table for these members and find the one with role 'Team Leader'
-        const [staffRows] = await db.query(
+        const staffRows = await executeQuery(
           `SELECT id, role FROM staff WHERE id IN (${members.map(() => '?').join(',')})`,
           members
         );
@@ -27,7 +29,7 @@ const teamController = {
         }
       }
       // Create the team with crew_commander_id
-      const [result] = await db.query(
+      const result = await executeQuery(
         'INSERT INTO teams (name, crew_commander_id) VALUES (?, ?)',
         [name, crewCommanderId]
       );
@@ -37,14 +39,14 @@ const teamController = {
       
       // Add team members
       for (const memberId of members) {
-        await db.query(
+        await executeQuery(
           'INSERT INTO team_members (team_id, staff_id) VALUES (?, ?)',
           [teamId, memberId]
         );
       }
       
       // Get the created team with members
-      const [team] = await db.query(`
+      const team = await executeQuery(`
         SELECT t.*, 
           JSON_ARRAYAGG(
             JSON_OBJECT(
@@ -64,8 +66,8 @@ const teamController = {
         GROUP BY t.id
       `, [teamId]);
       
-      // Parse the members JSON string
-      team[0].members = JSON.parse(team[0].members);
+      // Parse the members JSON string (drivers may already have parsed it)
+      team[0].members = parseMembers(team[0].members);
       
       console.log('Team created successfully:', team[0]);
       res.status(201).json(team[0]);
@@ -78,6 +80,7 @@ const teamController = {
     }
   },
 
+  // ?today=true returns teams rostered for today (plus ad-hoc teams formed today)
   getTeams: async (req, res) => {
     try {
       const { today } = req.query;
@@ -107,12 +110,15 @@ const teamController = {
         FROM teams t
         LEFT JOIN team_members tm ON t.id = tm.team_id
         LEFT JOIN staff s ON tm.staff_id = s.id
-        ${today === 'true' ? 'WHERE DATE(t.created_at) = CURDATE()' : ''}
+        ${today === 'true'
+          ? `WHERE t.id IN (SELECT team_id FROM roster_shifts WHERE date = CURDATE())
+             OR DATE(t.created_at) = CURDATE()`
+          : ''}
         GROUP BY t.id
         ORDER BY t.created_at DESC
       `;
       
-      const [teams] = await db.query(query);
+      const teams = await executeQuery(query);
       console.log('Raw teams data:', teams); // Debug log
       console.log('Found teams:', teams.length); // Debug log
       
@@ -120,7 +126,7 @@ const teamController = {
       teams.forEach(team => {
         try {
           console.log('Team members before parsing:', team.members); // Debug log
-          const parsedMembers = JSON.parse(team.members);
+          const parsedMembers = parseMembers(team.members);
           team.members = parsedMembers.filter(member => member !== null);
           console.log('Team members after parsing:', team.members); // Debug log
         } catch (error) {
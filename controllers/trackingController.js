@@ -0,0 +1,168 @@
+const { executeQuery } = require('../database/query');
+const { getBranchScope, isBranchInScope } = require('../middleware/auth');
+const { isValidCoordinate } = require('../services/geo');
+const { evaluatePositions } = require('../services/geofenceMonitor');
+
+// Upper bound on fixes accepted in one upload (devices buffer while offline)
+const MAX_FIXES_PER_UPLOAD = 500;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const trackingController = {
+  // Accept one fix or a batch of buffered fixes from a crew device
+  recordPositions: async (req, res) => {
+    const { team_id, request_id, staff_id } = req.body;
+    const fixes = Array.isArray(req.body.fixes) ? req.body.fixes : [req.body];
+
+    if (!team_id) {
+      return res.status(400).json({ message: 'Team is required' });
+    }
+
+    if (fixes.length === 0 || fixes.length > MAX_FIXES_PER_UPLOAD) {
+      return res.status(400).json({
+        message: `Between 1 and ${MAX_FIXES_PER_UPLOAD} position fixes are required`
+      });
+    }
+
+    try {
+      const invalidIndex = fixes.findIndex(fix => !isPlainObject(fix) ||
+        !isValidCoordinate(fix.latitude, fix.longitude) ||
+        (fix.recorded_at && Number.isNaN(new Date(fix.recorded_at).getTime())));
+      if (invalidIndex !== -1) {
+        return res.status(400).json({ message: `Invalid position fix at index ${invalidIndex}` });
+      }
+
+      const teams = await executeQuery('SELECT id FROM teams WHERE id = ?', [team_id]);
+      if (teams.length === 0) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      if (request_id) {
+        const requests = await executeQuery('SELECT id, team_id FROM requests WHERE id = ?', [request_id]);
+        if (requests.length === 0) {
+          return res.status(404).json({ message: 'Request not found' });
+        }
+        if (String(requests[0].team_id) !== String(team_id)) {
+          return res.status(409).json({ message: 'Request is not assigned to this team' });
+        }
+      }
+
+      const placeholders = fixes.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ');
+      const values = fixes.flatMap(fix => [
+        team_id,
+        request_id || null,
+        staff_id || null,
+        Number(fix.latitude),
+        Number(fix.longitude),
+        fix.accuracy ?? null,
+        fix.speed ?? null,
+        fix.heading ?? null,
+        fix.recorded_at ? new Date(fix.recorded_at) : new Date()
+      ]);
+
+      await executeQuery(
+        `INSERT INTO crew_positions (
+          team_id, request_id, staff_id, latitude, longitude, accuracy, speed, heading, recorded_at
+        ) VALUES ${placeholders}`,
+        values
+      );
+
+      // Geofence problems must not make the device drop or resend its fixes
+      let alerts = [];
+      try {
+        alerts = await evaluatePositions(team_id, request_id, fixes);
+      } catch (error) {
+        console.error('Error evaluating geofences:', error);
+      }
+
+      res.status(201).json({ accepted: fixes.length, alerts });
+    } catch (error) {
+      console.error('Error recording positions:', error);
+      res.status(500).json({ message: 'Error recording positions', error: error.message });
+    }
+  },
+
+  // Most recent position of every team (or one team with :teamId)
+  getLatestPositions: async (req, res) => {
+    const { teamId } = req.params;
+
+    try {
+      const positions = await executeQuery(
+        `SELECT cp.*, t.name as team_name
+         FROM crew_positions cp
+         JOIN teams t ON cp.team_id = t.id
+         JOIN (
+           SELECT team_id, MAX(recorded_at) as recorded_at
+           FROM crew_positions
+           ${teamId ? 'WHERE team_id = ?' : ''}
+           GROUP BY team_id
+         ) latest ON latest.team_id = cp.team_id AND latest.recorded_at = cp.recorded_at
+         ORDER BY t.name`,
+        teamId ? [teamId] : []
+      );
+
+      // Several fixes can share a timestamp; keep one per team
+      const byTeam = new Map();
+      positions.forEach(position => {
+        const current = byTeam.get(position.team_id);
+        if (!current || position.id > current.id) {
+          byTeam.set(position.team_id, position);
+        }
+      });
+
+      if (teamId) {
+        const position = byTeam.get(Number(teamId));
+        if (!position) {
+          return res.status(404).json({ message: 'No positions recorded for this team' });
+        }
+        return res.json(position);
+      }
+
+      res.json([...byTeam.values()]);
+    } catch (error) {
+      console.error('Error fetching latest positions:', error);
+      res.status(500).json({ message: 'Error fetching latest positions', error: error.message });
+    }
+  },
+
+  // Full breadcrumb trail for a request, oldest first, for replay on the map
+  getRequestTrail: async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+
+    try {
+      const requests = await executeQuery('SELECT id, branch_id FROM requests WHERE id = ?', [id]);
+      const scope = getBranchScope(req.user);
+
+      if (requests.length === 0 || !(await isBranchInScope(scope, requests[0].branch_id))) {
+        return res.status(404).json({ message: 'Request not found' });
+      }
+
+      let query = `
+        SELECT id, team_id, staff_id, latitude, longitude, accuracy, speed, heading, recorded_at
+        FROM crew_positions
+        WHERE request_id = ?
+      `;
+      const params = [id];
+
+      if (from) {
+        query += ' AND recorded_at >= ?';
+        params.push(new Date(from));
+      }
+      if (to) {
+        query += ' AND recorded_at <= ?';
+        params.push(new Date(to));
+      }
+
+      query += ' ORDER BY recorded_at ASC, id ASC';
+
+      const trail = await executeQuery(query, params);
+      res.json({ request_id: Number(id), points: trail });
+    } catch (error) {
+      console.error('Error fetching request trail:', error);
+      res.status(500).json({ message: 'Error fetching request trail', error: error.message });
+    }
+  }
+};
+
+module.exports = trackingController;
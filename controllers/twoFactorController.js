@@ -0,0 +1,138 @@
+const { isAdmin } = require('../middleware/auth');
+const { createSession } = require('../services/sessions');
+const twoFactor = require('../services/twoFactor');
+
+const sendError = (res, error, message) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+    return res.status(error.statusCode).json({ message: error.message, retry_after: error.retryAfter });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message, error: error.message });
+};
+
+const twoFactorController = {
+  getStatus: async (req, res) => {
+    try {
+      res.json(await twoFactor.getStatus(req.user.userId));
+    } catch (error) {
+      sendError(res, error, 'Error fetching two-factor status');
+    }
+  },
+
+  // Returns the secret and an otpauth:// URI to render as a QR code
+  beginEnrolment: async (req, res) => {
+    try {
+      res.json(await twoFactor.beginEnrolment(req.user.userId));
+    } catch (error) {
+      sendError(res, error, 'Error starting two-factor enrolment');
+    }
+  },
+
+  // When enrolling from a login setup challenge, the response also carries the session
+  confirmEnrolment: async (req, res) => {
+    if (!req.body.code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    try {
+      const recoveryCodes = await twoFactor.confirmEnrolment(req.user.userId, req.body.code);
+      const response = { enabled: true, recovery_codes: recoveryCodes };
+      if (req.user.challenge) {
+        const account = await twoFactor.getAccount(req.user.userId);
+        Object.assign(response, await createSession(account, req));
+      }
+      res.json(response);
+    } catch (error) {
+      sendError(res, error, 'Error enabling two-factor authentication');
+    }
+  },
+
+  disable: async (req, res) => {
+    const { code, recovery_code } = req.body;
+    if (!code && !recovery_code) {
+      return res.status(400).json({ message: 'An authentication or recovery code is required' });
+    }
+
+    try {
+      await twoFactor.disable(req.user.userId, { code, recovery_code });
+      res.json({ enabled: false });
+    } catch (error) {
+      sendError(res, error, 'Error disabling two-factor authentication');
+    }
+  },
+
+  regenerateRecoveryCodes: async (req, res) => {
+    if (!req.body.code) {
+      return res.status(400).json({ message: 'Authentication code is required' });
+    }
+
+    try {
+      res.json({ recovery_codes: await twoFactor.regenerateRecoveryCodes(req.user.userId, req.body.code) });
+    } catch (error) {
+      sendError(res, error, 'Error generating recovery codes');
+    }
+  },
+
+  // Second login step: challenge token plus a TOTP or recovery code
+  verify: async (req, res) => {
+    const { challenge_token, code, recovery_code } = req.body;
+    if (!challenge_token || (!code && !recovery_code)) {
+      return res.status(400).json({ message: 'Challenge token and an authentication or recovery code are required' });
+    }
+
+    try {
+      res.json(await twoFactor.completeSignIn(challenge_token, { code, recovery_code }, req));
+    } catch (error) {
+      sendError(res, error, 'Error verifying two-factor code');
+    }
+  },
+
+  // Administrator clears a user's 2FA, e.g. after a lost device and recovery codes
+  resetForUser: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can reset two-factor authentication' });
+    }
+
+    try {
+      await twoFactor.reset(req.params.userId);
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error resetting two-factor authentication');
+    }
+  },
+
+  getPolicies: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can manage two-factor policies' });
+    }
+
+    try {
+      res.json(await twoFactor.listPolicies());
+    } catch (error) {
+      sendError(res, error, 'Error fetching two-factor policies');
+    }
+  },
+
+  // Make 2FA mandatory (or optional again) for every account with a role
+  setPolicy: async (req, res) => {
+    if (!isAdmin(req.user)) {
+      return res.status(403).json({ message: 'Only administrators can manage two-factor policies' });
+    }
+    if (typeof req.body.required !== 'boolean') {
+      return res.status(400).json({ message: 'required must be true or false' });
+    }
+
+    try {
+      await twoFactor.setPolicy(req.params.role, req.body.required);
+      res.json({ role: req.params.role, required: req.body.required });
+    } catch (error) {
+      sendError(res, error, 'Error updating two-factor policy');
+    }
+  }
+};
+
+module.exports = twoFactorController;
@@ -1,4 +1,4 @@
-const { cloudinary } = require('../config/cloudinary');
+const { getFileUrl } = require('../config/cloudinary');
 
 const uploadController = {
   uploadImage: async (req, res) => {
@@ -8,7 +8,7 @@ const uploadController = {
       }
 
       res.json({
-        url: req.file.path,
+        url: getFileUrl(req.file),
         public_id: req.file.filename
       });
     } catch (error) {
@@ -0,0 +1,140 @@
+const { executeQuery } = require('../database/query');
+const { DEFAULT_ROLE_PERMISSIONS, getBranchScope, isBranchInScope } = require('../middleware/auth');
+const { revokeUserSessions } = require('../services/sessions');
+const {
+  actorId,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser,
+  findUserInScope
+} = require('../services/users');
+
+// Errors thrown with a statusCode are the caller's fault; anything else is ours
+const sendError = (res, error, message) => {
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message, error: error.message });
+};
+
+// Built-in roles plus any defined in the roles table
+const isKnownRole = async (role) => {
+  if (DEFAULT_ROLE_PERMISSIONS[role]) {
+    return true;
+  }
+  const roles = await executeQuery('SELECT id FROM roles WHERE name = ?', [role]);
+  return roles.length > 0;
+};
+
+const assignmentError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Check the role and affiliation a caller wants to give a user. Scoped
+ * callers (head offices, branches) may only place users in their own client
+ * or branch and may never hand out the admin role.
+ */
+const assertAssignment = async (scope, { role, branch_id, client_id }) => {
+  if (role !== undefined && !(await isKnownRole(role))) {
+    throw assignmentError(400, 'Unknown role');
+  }
+  if (!scope) {
+    return;
+  }
+  if (role === 'admin') {
+    throw assignmentError(403, 'Only administrators can grant the admin role');
+  }
+  if (client_id && String(client_id) !== String(scope.clientId)) {
+    throw assignmentError(403, 'You can only manage users of your own client');
+  }
+  if (branch_id && !(await isBranchInScope(scope, branch_id))) {
+    throw assignmentError(403, 'You can only manage users of your own branches');
+  }
+};
+
+const userController = {
+  getUsers: async (req, res) => {
+    const { branchId, clientId, role, status, type } = req.query;
+    try {
+      res.json(await listUsers({ branchId, clientId, role, status, type }, getBranchScope(req.user)));
+    } catch (error) {
+      sendError(res, error, 'Error fetching users');
+    }
+  },
+
+  getUser: async (req, res) => {
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      res.json(await getUser(req.params.userId));
+    } catch (error) {
+      sendError(res, error, 'Error fetching user');
+    }
+  },
+
+  createUser: async (req, res) => {
+    const scope = getBranchScope(req.user);
+    const { username, name, email, password, role } = req.body;
+
+    // Scoped callers create users inside their own branch or client
+    const branch_id = scope && scope.branchId ? scope.branchId : req.body.branch_id;
+    const client_id = scope ? scope.clientId : req.body.client_id;
+
+    try {
+      await assertAssignment(scope, { role, branch_id, client_id });
+      const user = await createUser({ username, name, email, password, role, branch_id, client_id });
+      res.status(201).json(user);
+    } catch (error) {
+      sendError(res, error, 'Error creating user');
+    }
+  },
+
+  updateUser: async (req, res) => {
+    const scope = getBranchScope(req.user);
+    const { name, email, role, branch_id, client_id, status } = req.body;
+
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (String(req.params.userId) === String(actorId(req.user)) && (role !== undefined || status !== undefined)) {
+        return res.status(400).json({ message: 'You cannot change your own role or status' });
+      }
+
+      await assertAssignment(scope, { role, branch_id, client_id });
+      const user = await updateUser(req.params.userId, { name, email, role, branch_id, client_id, status });
+      if (status === 'disabled') {
+        await revokeUserSessions(req.params.userId, 'account_disabled');
+      }
+      res.json(user);
+    } catch (error) {
+      sendError(res, error, 'Error updating user');
+    }
+  },
+
+  // Users are disabled rather than deleted so requests and audit rows keep their author
+  disableUser: async (req, res) => {
+    try {
+      if (!(await findUserInScope(getBranchScope(req.user), req.params.userId))) {
+        return res.status(404).json({ message: 'User not found' });
+      }
+      if (String(req.params.userId) === String(actorId(req.user))) {
+        return res.status(400).json({ message: 'You cannot disable your own account' });
+      }
+
+      await updateUser(req.params.userId, { status: 'disabled' });
+      await revokeUserSessions(req.params.userId, 'account_disabled');
+      res.status(204).send();
+    } catch (error) {
+      sendError(res, error, 'Error disabling user');
+    }
+  }
+};
+
+module.exports = userController;
@@ -0,0 +1,279 @@
+const { executeQuery } = require('../database/query');
+const {
+  VEHICLE_TYPES,
+  VEHICLE_STATUSES,
+  isValidDate,
+  getRoadworthyVehicle,
+  assertVehicleAvailable,
+  getTeamAssignment
+} = require('../services/fleet');
+
+const VEHICLE_FIELDS = [
+  'registration_number',
+  'type',
+  'make',
+  'model',
+  'seat_capacity',
+  'insurance_limit',
+  'insurance_expiry',
+  'service_due_date',
+  'status',
+  'notes'
+];
+
+// Returns an error message, or null when the vehicle definition is usable
+const validateVehicle = (body) => {
+  if (!body.registration_number || !VEHICLE_TYPES.includes(body.type)) {
+    return `Registration number and a type of ${VEHICLE_TYPES.join(' or ')} are required`;
+  }
+  if (body.status && !VEHICLE_STATUSES.includes(body.status)) {
+    return `Status must be one of ${VEHICLE_STATUSES.join(', ')}`;
+  }
+  if (body.insurance_limit !== undefined && body.insurance_limit !== null && !(Number(body.insurance_limit) >= 0)) {
+    return 'Insurance limit must be a non-negative amount';
+  }
+  for (const field of ['insurance_expiry', 'service_due_date']) {
+    if (body[field] && !isValidDate(body[field])) {
+      return `${field} must be a date (YYYY-MM-DD)`;
+    }
+  }
+  return null;
+};
+
+const vehicleValues = (body) => VEHICLE_FIELDS.map(field => {
+  if (field === 'status') {
+    return body.status || 'active';
+  }
+  return body[field] === undefined || body[field] === '' ? null : body[field];
+});
+
+const vehicleController = {
+  getVehicles: async (req, res) => {
+    try {
+      const { status, type } = req.query;
+      const filters = [];
+      const params = [];
+
+      if (status) {
+        filters.push('status = ?');
+        params.push(status);
+      }
+      if (type) {
+        filters.push('type = ?');
+        params.push(type);
+      }
+
+      const vehicles = await executeQuery(
+        `SELECT * FROM vehicles ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''} ORDER BY registration_number`,
+        params
+      );
+      res.json(vehicles);
+    } catch (error) {
+      console.error('Error fetching vehicles:', error);
+      res.status(500).json({ message: 'Error fetching vehicles', error: error.message });
+    }
+  },
+
+  getVehicle: async (req, res) => {
+    try {
+      const vehicles = await executeQuery('SELECT * FROM vehicles WHERE id = ?', [req.params.id]);
+      if (vehicles.length === 0) {
+        return res.status(404).json({ message: 'Vehicle not found' });
+      }
+      res.json(vehicles[0]);
+    } catch (error) {
+      console.error('Error fetching vehicle:', error);
+      res.status(500).json({ message: 'Error fetching vehicle', error: error.message });
+    }
+  },
+
+  createVehicle: async (req, res) => {
+    const validationError = validateVehicle(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const result = await executeQuery(
+        `INSERT INTO vehicles (${VEHICLE_FIELDS.join(', ')})
+         VALUES (${VEHICLE_FIELDS.map(() => '?').join(', ')})`,
+        vehicleValues(req.body)
+      );
+
+      const vehicle = await executeQuery('SELECT * FROM vehicles WHERE id = ?', [result.insertId]);
+      res.status(201).json(vehicle[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'A vehicle with this registration number already exists' });
+      }
+      console.error('Error creating vehicle:', error);
+      res.status(500).json({ message: 'Error creating vehicle', error: error.message });
+    }
+  },
+
+  updateVehicle: async (req, res) => {
+    const validationError = validateVehicle(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+
+    try {
+      const result = await executeQuery(
+        `UPDATE vehicles
+         SET ${VEHICLE_FIELDS.map(field => `${field} = ?`).join(', ')}
+         WHERE id = ?`,
+        [...vehicleValues(req.body), req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Vehicle not found' });
+      }
+
+      const vehicle = await executeQuery('SELECT * FROM vehicles WHERE id = ?', [req.params.id]);
+      res.json(vehicle[0]);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'A vehicle with this registration number already exists' });
+      }
+      console.error('Error updating vehicle:', error);
+      res.status(500).json({ message: 'Error updating vehicle', error: error.message });
+    }
+  },
+
+  // Vehicles are retired rather than deleted so past runs keep their reference
+  deleteVehicle: async (req, res) => {
+    try {
+      const result = await executeQuery(
+        "UPDATE vehicles SET status = 'retired' WHERE id = ? AND status != 'retired'",
+        [req.params.id]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Vehicle not found' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error retiring vehicle:', error);
+      res.status(500).json({ message: 'Error retiring vehicle', error: error.message });
+    }
+  },
+
+  // Vehicle assignments for one day (defaults to today)
+  getAssignments: async (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const assignments = await executeQuery(
+        `SELECT tva.*, v.registration_number, v.type as vehicle_type,
+                t.name as team_name, d.name as driver_name
+         FROM team_vehicle_assignments tva
+         JOIN vehicles v ON tva.vehicle_id = v.id
+         JOIN teams t ON tva.team_id = t.id
+         LEFT JOIN staff d ON tva.driver_id = d.id
+         WHERE tva.date = ?
+         ORDER BY t.name`,
+        [date]
+      );
+      res.json(assignments);
+    } catch (error) {
+      console.error('Error fetching vehicle assignments:', error);
+      res.status(500).json({ message: 'Error fetching vehicle assignments', error: error.message });
+    }
+  },
+
+  getTeamVehicle: async (req, res) => {
+    const date = req.query.date || new Date().toISOString().slice(0, 10);
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const assignment = await getTeamAssignment(req.params.teamId, date);
+      if (!assignment) {
+        return res.status(404).json({ message: 'No vehicle assigned to this team on this date' });
+      }
+      res.json(assignment);
+    } catch (error) {
+      console.error('Error fetching team vehicle:', error);
+      res.status(500).json({ message: 'Error fetching team vehicle', error: error.message });
+    }
+  },
+
+  // Put a vehicle (and optionally its driver) with a team for one day
+  assignVehicle: async (req, res) => {
+    const { team_id, date, driver_id } = req.body;
+    const vehicleId = req.params.id;
+
+    if (!team_id || !isValidDate(date)) {
+      return res.status(400).json({ message: 'Team and a date (YYYY-MM-DD) are required' });
+    }
+
+    try {
+      await getRoadworthyVehicle(vehicleId, date);
+
+      const teams = await executeQuery('SELECT id FROM teams WHERE id = ?', [team_id]);
+      if (teams.length === 0) {
+        return res.status(404).json({ message: 'Team not found' });
+      }
+
+      if (driver_id) {
+        const members = await executeQuery(
+          'SELECT staff_id FROM team_members WHERE team_id = ? AND staff_id = ?',
+          [team_id, driver_id]
+        );
+        if (members.length === 0) {
+          return res.status(400).json({ message: 'Driver must be a member of the team' });
+        }
+      }
+
+      await assertVehicleAvailable(vehicleId, team_id, date);
+
+      await executeQuery(
+        `INSERT INTO team_vehicle_assignments (vehicle_id, team_id, driver_id, date)
+         VALUES (?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE driver_id = VALUES(driver_id)`,
+        [vehicleId, team_id, driver_id || null, date]
+      );
+
+      res.status(201).json(await getTeamAssignment(team_id, date));
+    } catch (error) {
+      if (error.statusCode) {
+        return res.status(error.statusCode).json({ message: error.message });
+      }
+      if (error.code === 'ER_DUP_ENTRY') {
+        return res.status(409).json({ message: 'Vehicle or team is already assigned on this date' });
+      }
+      console.error('Error assigning vehicle:', error);
+      res.status(500).json({ message: 'Error assigning vehicle', error: error.message });
+    }
+  },
+
+  unassignVehicle: async (req, res) => {
+    const { date } = req.query;
+    if (!isValidDate(date)) {
+      return res.status(400).json({ message: 'Date must be YYYY-MM-DD' });
+    }
+
+    try {
+      const result = await executeQuery(
+        'DELETE FROM team_vehicle_assignments WHERE vehicle_id = ? AND date = ?',
+        [req.params.id, date]
+      );
+
+      if (result.affectedRows === 0) {
+        return res.status(404).json({ message: 'Vehicle is not assigned on this date' });
+      }
+
+      res.status(204).send();
+    } catch (error) {
+      console.error('Error removing vehicle assignment:', error);
+      res.status(500).json({ message: 'Error removing vehicle assignment', error: error.message });
+    }
+  }
+};
+
+module.exports = vehicleController;
@@ -1,3 +1,6 @@
+-- Base tables, created when missing. Changes to existing tables are made by the
+-- ordered migrations in database/migrations, which setup-db.js runs after this file.
+
 -- Create users table
 CREATE TABLE IF NOT EXISTS users (
   id INT PRIMARY KEY AUTO_INCREMENT,
@@ -25,6 +28,9 @@ CREATE TABLE IF NOT EXISTS service_types (
   id INT PRIMARY KEY AUTO_INCREMENT,
   name VARCHAR(255) NOT NULL,
   description TEXT,
+  pod_requires_signature TINYINT DEFAULT 1, -- proof of delivery requirements
+  pod_min_photos INT DEFAULT 0,
+  pod_requires_location TINYINT DEFAULT 1,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
@@ -42,8 +48,11 @@ CREATE TABLE IF NOT EXISTS requests (
   description TEXT,
   price DECIMAL(10, 2) NOT NULL,
   priority ENUM('low', 'medium', 'high') DEFAULT 'medium',
-  status ENUM('pending', 'in_progress', 'completed', 'cancelled') DEFAULT 'pending',
-  my_status TINYINT DEFAULT 0,
+  status ENUM(
+    'pending', 'assigned', 'en_route_pickup', 'picked_up',
+    'in_transit', 'delivered', 'failed', 'cancelled'
+  ) DEFAULT 'pending',
+  my_status TINYINT DEFAULT 0, -- legacy numeric status, kept in sync by services/requestLifecycle.js
   latitude DECIMAL(10, 8),
   longitude DECIMAL(11, 8),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -62,6 +71,7 @@ CREATE TABLE IF NOT EXISTS staff (
   empl_no VARCHAR(50) NOT NULL,
   id_no VARCHAR(50) NOT NULL,
   role VARCHAR(255) NOT NULL,
+  status TINYINT DEFAULT 1,   -- 0 = inactive
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (user_id) REFERENCES users(id)
@@ -97,7 +107,11 @@ CREATE TABLE IF NOT EXISTS notices (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   created_by INT,
   status TINYINT DEFAULT 1,
-  FOREIGN KEY (created_by) REFERENCES staff(id)
+  branch_id INT,   -- NULL means all branches
+  client_id INT,   -- NULL means all clients
+  FOREIGN KEY (created_by) REFERENCES staff(id),
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (client_id) REFERENCES clients(id)
 );
 
 -- Create daily_runs table
@@ -132,7 +146,567 @@ CREATE TABLE IF NOT EXISTS branches (
   FOREIGN KEY (client_id) REFERENCES clients(id)
 );
 
--- Insert test user (password: test123)
+-- Create invoices table
+CREATE TABLE IF NOT EXISTS invoices (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  client_id INT NOT NULL,
+  invoice_number VARCHAR(50) UNIQUE,
+  period_start DATE NOT NULL,
+  period_end DATE NOT NULL,
+  status ENUM('draft', 'issued', 'paid', 'void') DEFAULT 'draft',
+  subtotal DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  total DECIMAL(12, 2) NOT NULL DEFAULT 0,
+  notes TEXT,
+  issued_at DATETIME,
+  paid_at DATETIME,
+  voided_at DATETIME,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (client_id) REFERENCES clients(id)
+);
+
+-- Create invoice_items table (one line per branch and service type)
+CREATE TABLE IF NOT EXISTS invoice_items (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  invoice_id INT NOT NULL,
+  branch_id INT,
+  service_type_id INT,
+  description VARCHAR(255) NOT NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  unit_price DECIMAL(10, 2) NOT NULL,
+  amount DECIMAL(12, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id)
+);
+
+-- Create invoice_requests table linking billed requests to their line item
+CREATE TABLE IF NOT EXISTS invoice_requests (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  invoice_id INT NOT NULL,
+  invoice_item_id INT NOT NULL,
+  request_id INT NOT NULL,
+  -- 1 while the invoice is live, NULL once it is voided
+  live TINYINT NULL DEFAULT 1,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  FOREIGN KEY (invoice_item_id) REFERENCES invoice_items(id),
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  UNIQUE KEY uq_invoice_requests_live (request_id, live)
+);
+
+-- Create role_permissions table (overrides the built-in permissions in middleware/auth.js)
+CREATE TABLE IF NOT EXISTS role_permissions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  role_id INT NOT NULL,
+  permission VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_role_permission (role_id, permission),
+  FOREIGN KEY (role_id) REFERENCES roles(id)
+);
+
+-- Create consignments table (sealed cash bags moved on a request)
+CREATE TABLE IF NOT EXISTS consignments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL,
+  seal_number VARCHAR(100) NOT NULL UNIQUE,
+  bag_count INT NOT NULL,
+  declared_value DECIMAL(14, 2) NOT NULL,
+  currency CHAR(3) NOT NULL,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (request_id) REFERENCES requests(id)
+);
+
+-- Create custody_handovers table (append-only chain of custody per consignment)
+CREATE TABLE IF NOT EXISTS custody_handovers (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL,
+  consignment_id INT NOT NULL,
+  stage ENUM('branch_to_crew', 'crew_to_vault', 'vault_to_destination') NOT NULL,
+  from_party VARCHAR(255) NOT NULL,
+  to_party VARCHAR(255) NOT NULL,
+  from_staff_id INT,
+  to_staff_id INT,
+  handed_at DATETIME NOT NULL,
+  recorded_by VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_consignment_stage (consignment_id, stage),
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  FOREIGN KEY (consignment_id) REFERENCES consignments(id),
+  FOREIGN KEY (from_staff_id) REFERENCES staff(id),
+  FOREIGN KEY (to_staff_id) REFERENCES staff(id)
+);
+
+-- Create proof_of_delivery table (one record per completed request)
+CREATE TABLE IF NOT EXISTS proof_of_delivery (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL UNIQUE,
+  receiver_name VARCHAR(255) NOT NULL,
+  signature_url VARCHAR(500),
+  photo_urls JSON,
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  captured_by VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (request_id) REFERENCES requests(id)
+);
+
+-- Create request_status_history table (every lifecycle transition with its actor)
+CREATE TABLE IF NOT EXISTS request_status_history (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL,
+  from_status VARCHAR(50),
+  to_status VARCHAR(50) NOT NULL,
+  actor_id INT,
+  actor_name VARCHAR(255),
+  actor_role VARCHAR(50),
+  reason TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_request_status_history_request (request_id),
+  FOREIGN KEY (request_id) REFERENCES requests(id)
+);
+
+-- Create crew_positions table (GPS breadcrumbs posted by crew devices)
+CREATE TABLE IF NOT EXISTS crew_positions (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  team_id INT NOT NULL,
+  request_id INT,
+  staff_id INT,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  accuracy DECIMAL(8, 2),
+  speed DECIMAL(8, 2),
+  heading DECIMAL(5, 2),
+  recorded_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_crew_positions_team_time (team_id, recorded_at),
+  INDEX idx_crew_positions_request_time (request_id, recorded_at),
+  FOREIGN KEY (team_id) REFERENCES teams(id),
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  FOREIGN KEY (staff_id) REFERENCES staff(id)
+);
+
+-- Create geofences table (zones around branches/pickup points and route corridors)
+CREATE TABLE IF NOT EXISTS geofences (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  name VARCHAR(255) NOT NULL,
+  type ENUM('zone', 'corridor') NOT NULL,
+  branch_id INT,
+  request_id INT,
+  center_latitude DECIMAL(10, 8),
+  center_longitude DECIMAL(11, 8),
+  radius_meters INT,
+  path JSON,
+  width_meters INT,
+  arrive_by DATETIME,
+  active TINYINT DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (request_id) REFERENCES requests(id)
+);
+
+-- Create geofence_alerts table (rule violations and the SOS incident they opened)
+CREATE TABLE IF NOT EXISTS geofence_alerts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  geofence_id INT,
+  request_id INT NOT NULL,
+  team_id INT NOT NULL,
+  rule ENUM('corridor_exit', 'unexpected_stop', 'late_arrival') NOT NULL,
+  sos_id INT NOT NULL,
+  latitude DECIMAL(10, 8) NOT NULL,
+  longitude DECIMAL(11, 8) NOT NULL,
+  detected_at DATETIME NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (geofence_id) REFERENCES geofences(id),
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  FOREIGN KEY (team_id) REFERENCES teams(id)
+);
+
+-- Create vehicles table (fleet registry)
+CREATE TABLE IF NOT EXISTS vehicles (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  registration_number VARCHAR(50) NOT NULL UNIQUE,
+  type ENUM('armoured', 'soft_skin') NOT NULL,
+  make VARCHAR(100),
+  model VARCHAR(100),
+  seat_capacity INT,
+  insurance_limit DECIMAL(15, 2),   -- maximum cash value the vehicle is insured to carry
+  insurance_expiry DATE,
+  service_due_date DATE,
+  status ENUM('active', 'maintenance', 'retired') DEFAULT 'active',
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Create team_vehicle_assignments table (one vehicle per team per day)
+CREATE TABLE IF NOT EXISTS team_vehicle_assignments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  vehicle_id INT NOT NULL,
+  team_id INT NOT NULL,
+  driver_id INT,
+  date DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_vehicle_day (vehicle_id, date),
+  UNIQUE KEY unique_team_day (team_id, date),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(id),
+  FOREIGN KEY (team_id) REFERENCES teams(id),
+  FOREIGN KEY (driver_id) REFERENCES staff(id)
+);
+
+-- Create roster_shifts table (dated shift assignments for permanent teams)
+CREATE TABLE IF NOT EXISTS roster_shifts (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  team_id INT NOT NULL,
+  date DATE NOT NULL,             -- roster day the shift starts on
+  starts_at DATETIME NOT NULL,
+  ends_at DATETIME NOT NULL,      -- next day for overnight shifts
+  crew_commander_id INT,
+  vehicle_id INT,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_roster_shifts_window (starts_at, ends_at),
+  INDEX idx_roster_shifts_team_date (team_id, date),
+  FOREIGN KEY (team_id) REFERENCES teams(id),
+  FOREIGN KEY (crew_commander_id) REFERENCES staff(id),
+  FOREIGN KEY (vehicle_id) REFERENCES vehicles(id)
+);
+
+-- Create roster_shift_members table (crew on each shift)
+CREATE TABLE IF NOT EXISTS roster_shift_members (
+  shift_id INT NOT NULL,
+  staff_id INT NOT NULL,
+  PRIMARY KEY (shift_id, staff_id),
+  INDEX idx_roster_shift_members_staff (staff_id),
+  FOREIGN KEY (shift_id) REFERENCES roster_shifts(id) ON DELETE CASCADE,
+  FOREIGN KEY (staff_id) REFERENCES staff(id)
+);
+
+-- Create attendance table (clock-in/clock-out against the roster)
+CREATE TABLE IF NOT EXISTS attendance (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  staff_id INT NOT NULL,
+  shift_id INT,                   -- NULL when the staff member was not rostered
+  team_id INT,
+  clock_in_at DATETIME NOT NULL,
+  clock_in_latitude DECIMAL(10, 8) NOT NULL,
+  clock_in_longitude DECIMAL(11, 8) NOT NULL,
+  clock_in_photo_url VARCHAR(255),
+  clock_in_geofence_id INT,       -- reporting zone the clock-in fell inside
+  location_verified TINYINT DEFAULT 0,
+  late_minutes INT DEFAULT 0,
+  clock_out_at DATETIME,
+  clock_out_latitude DECIMAL(10, 8),
+  clock_out_longitude DECIMAL(11, 8),
+  clock_out_photo_url VARCHAR(255),
+  clock_out_geofence_id INT,
+  early_leave_minutes INT DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_staff_shift (staff_id, shift_id),
+  INDEX idx_attendance_clock_in (clock_in_at),
+  FOREIGN KEY (staff_id) REFERENCES staff(id),
+  FOREIGN KEY (shift_id) REFERENCES roster_shifts(id) ON DELETE SET NULL,
+  FOREIGN KEY (team_id) REFERENCES teams(id),
+  FOREIGN KEY (clock_in_geofence_id) REFERENCES geofences(id),
+  FOREIGN KEY (clock_out_geofence_id) REFERENCES geofences(id)
+);
+
+-- Create team_service_types table (service types a team is qualified for; none listed means any)
+CREATE TABLE IF NOT EXISTS team_service_types (
+  team_id INT NOT NULL,
+  service_type_id INT NOT NULL,
+  PRIMARY KEY (team_id, service_type_id),
+  FOREIGN KEY (team_id) REFERENCES teams(id),
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id)
+);
+
+-- Create carrying_limits table (maximum cash value on board, by vehicle type, team or client)
+CREATE TABLE IF NOT EXISTS carrying_limits (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  scope ENUM('vehicle_type', 'team', 'client') NOT NULL,
+  vehicle_type ENUM('armoured', 'soft_skin'),
+  team_id INT,
+  client_id INT,
+  max_value DECIMAL(15, 2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_vehicle_type_limit (vehicle_type),
+  UNIQUE KEY unique_team_limit (team_id),
+  UNIQUE KEY unique_client_limit (client_id),
+  FOREIGN KEY (team_id) REFERENCES teams(id) ON DELETE CASCADE,
+  FOREIGN KEY (client_id) REFERENCES clients(id) ON DELETE CASCADE
+);
+
+-- Create standing_orders table (recurring collections posted as requests by the generator)
+CREATE TABLE IF NOT EXISTS standing_orders (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  branch_id INT NOT NULL,
+  service_type_id INT NOT NULL,
+  pickup_location VARCHAR(255) NOT NULL,
+  delivery_location VARCHAR(255) NOT NULL,
+  pickup_time TIME NOT NULL,
+  description TEXT,
+  priority ENUM('low', 'medium', 'high') DEFAULT 'medium',
+  price DECIMAL(10, 2) NOT NULL,
+  declared_value DECIMAL(15, 2),
+  latitude DECIMAL(10, 8),
+  longitude DECIMAL(11, 8),
+  delivery_latitude DECIMAL(10, 8),
+  delivery_longitude DECIMAL(11, 8),
+  recurrence ENUM('weekly', 'monthly') NOT NULL,
+  weekdays VARCHAR(20),       -- comma separated, 0 = Sunday
+  month_days VARCHAR(100),    -- comma separated dates of the month
+  skip_holidays TINYINT DEFAULT 1,
+  start_date DATE NOT NULL,
+  end_date DATE,
+  status ENUM('active', 'paused', 'ended') DEFAULT 'active',
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (branch_id) REFERENCES branches(id),
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id)
+);
+
+-- Create standing_order_exceptions table (one-off skips or moves of a single pickup)
+CREATE TABLE IF NOT EXISTS standing_order_exceptions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  standing_order_id INT NOT NULL,
+  date DATE NOT NULL,             -- the pickup date the recurrence rule produced
+  action ENUM('skip', 'move') NOT NULL,
+  moved_to DATE,
+  pickup_time TIME,               -- replaces the order's pickup time on moved_to
+  note TEXT,
+  created_by INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_order_exception_date (standing_order_id, date),
+  FOREIGN KEY (standing_order_id) REFERENCES standing_orders(id)
+);
+
+-- Create standing_order_occurrences table (one row per booked pickup; keeps the generator idempotent)
+CREATE TABLE IF NOT EXISTS standing_order_occurrences (
+  standing_order_id INT NOT NULL,
+  occurrence_date DATE NOT NULL,
+  request_id INT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (standing_order_id, occurrence_date),
+  FOREIGN KEY (standing_order_id) REFERENCES standing_orders(id),
+  FOREIGN KEY (request_id) REFERENCES requests(id)
+);
+
+-- Create public_holidays table
+CREATE TABLE IF NOT EXISTS public_holidays (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  date DATE NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cancellation and rescheduling: per-client policy, fees on service charges, and the charges raised
+CREATE TABLE IF NOT EXISTS cancellation_policies (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  client_id INT NOT NULL UNIQUE,
+  cutoff_hours INT NOT NULL DEFAULT 24,         -- changes closer than this to pickup are late
+  charge_late_reschedule TINYINT DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (client_id) REFERENCES clients(id)
+);
+
+CREATE TABLE IF NOT EXISTS request_charges (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL,
+  client_id INT NOT NULL,
+  branch_id INT NOT NULL,
+  service_type_id INT,
+  charge_type ENUM('late_cancellation', 'wasted_trip', 'late_reschedule') NOT NULL,
+  amount DECIMAL(10, 2) NOT NULL,
+  reason_code VARCHAR(50) NOT NULL,
+  note TEXT,
+  actor_id INT,
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_request_charges_client (client_id, created_at),
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  FOREIGN KEY (client_id) REFERENCES clients(id),
+  FOREIGN KEY (branch_id) REFERENCES branches(id)
+);
+
+CREATE TABLE IF NOT EXISTS request_reschedules (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  request_id INT NOT NULL,
+  from_pickup_date DATETIME NOT NULL,
+  to_pickup_date DATETIME NOT NULL,
+  reason_code VARCHAR(50) NOT NULL,
+  note TEXT,
+  charge_id INT,
+  actor_id INT,
+  actor_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (request_id) REFERENCES requests(id),
+  FOREIGN KEY (charge_id) REFERENCES request_charges(id)
+);
+
+-- Links billed cancellation and reschedule charges to their invoice line item
+CREATE TABLE IF NOT EXISTS invoice_charges (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  invoice_id INT NOT NULL,
+  invoice_item_id INT NOT NULL,
+  charge_id INT NOT NULL,
+  -- 1 while the invoice is live, NULL once it is voided
+  live TINYINT NULL DEFAULT 1,
+  FOREIGN KEY (invoice_id) REFERENCES invoices(id),
+  FOREIGN KEY (invoice_item_id) REFERENCES invoice_items(id),
+  FOREIGN KEY (charge_id) REFERENCES request_charges(id),
+  UNIQUE KEY uq_invoice_charges_live (charge_id, live)
+);
+
+-- Create sla_definitions table (per client; a NULL service type is the client's default)
+CREATE TABLE IF NOT EXISTS sla_definitions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  client_id INT NOT NULL,
+  service_type_id INT,
+  pickup_window_minutes INT,      -- pickup due within this long after pickup_date
+  max_transit_minutes INT,        -- delivery due within this long after the actual pickup
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY unique_client_service_sla (client_id, service_type_id),
+  FOREIGN KEY (client_id) REFERENCES clients(id),
+  FOREIGN KEY (service_type_id) REFERENCES service_types(id)
+);
+
+-- Create audit_log table (append-only record of every create, update and delete)
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  occurred_at DATETIME(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3),
+  actor_id INT,
+  actor_name VARCHAR(255),
+  actor_role VARCHAR(50),
+  action ENUM('create', 'update', 'delete') NOT NULL,
+  entity VARCHAR(64) NOT NULL,     -- table name for known entities, otherwise the API resource
+  entity_id VARCHAR(64),
+  method VARCHAR(10) NOT NULL,
+  path VARCHAR(500) NOT NULL,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  status_code SMALLINT,
+  request_body JSON,
+  before_data JSON,
+  after_data JSON,
+  INDEX idx_audit_entity (entity, entity_id, occurred_at),
+  INDEX idx_audit_actor (actor_id, occurred_at),
+  INDEX idx_audit_occurred (occurred_at)
+);
+
+-- Sign-in sessions. Each holds a chain of single-use refresh tokens; only their SHA-256 hashes are stored
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  branch_id INT NOT NULL,
+  ip VARCHAR(64),
+  user_agent VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NULL,
+  revoked_at TIMESTAMP NULL,
+  revoked_reason VARCHAR(50),      -- e.g. logout, forced_logout, refresh_token_reused, password_changed
+  FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE,
+  INDEX idx_auth_sessions_branch (branch_id, revoked_at)
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  session_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL,
+  replaced_by_id INT NULL,
+  FOREIGN KEY (session_id) REFERENCES auth_sessions(id) ON DELETE CASCADE,
+  INDEX idx_refresh_tokens_session (session_id)
+);
+
+-- Forgot-password tokens: single use, time-limited, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS password_resets (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  branch_id INT NOT NULL,
+  token_hash CHAR(64) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL,
+  FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE,
+  INDEX idx_password_resets_branch (branch_id, used_at)
+);
+
+-- Two-factor recovery codes: single use, stored as SHA-256 hashes
+CREATE TABLE IF NOT EXISTS two_factor_recovery_codes (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  branch_id INT NOT NULL,
+  code_hash CHAR(64) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  used_at TIMESTAMP NULL,
+  FOREIGN KEY (branch_id) REFERENCES branches(id) ON DELETE CASCADE,
+  INDEX idx_recovery_codes_branch (branch_id, code_hash)
+);
+
+-- Sign-in challenges awaiting a second factor; each is used once and allows a few wrong codes
+CREATE TABLE IF NOT EXISTS two_factor_challenges (
+  jti CHAR(36) PRIMARY KEY,
+  user_id INT NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at TIMESTAMP NULL,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  INDEX idx_two_factor_challenges_user (user_id, expires_at)
+);
+
+-- Roles whose accounts must enrol in 2FA before they can sign in
+CREATE TABLE IF NOT EXISTS two_factor_policies (
+  role VARCHAR(50) PRIMARY KEY,
+  required BOOLEAN NOT NULL DEFAULT FALSE,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+);
+
+-- Failed sign-ins per submitted username ('account') and per client IP ('ip')
+CREATE TABLE IF NOT EXISTS login_attempts (
+  scope ENUM('account', 'ip') NOT NULL,
+  identifier VARCHAR(255) NOT NULL,
+  failures INT NOT NULL DEFAULT 0,
+  first_failed_at DATETIME NOT NULL,
+  last_failed_at DATETIME NOT NULL,
+  locked_until DATETIME NULL,
+  PRIMARY KEY (scope, identifier),
+  INDEX idx_login_attempts_locked (locked_until)
+);
+
+-- Fixed-window request counters shared by every API instance
+CREATE TABLE IF NOT EXISTS rate_limit_counters (
+  bucket_key VARCHAR(255) NOT NULL,
+  window_start DATETIME NOT NULL,
+  hits INT NOT NULL DEFAULT 0,
+  expires_at DATETIME NOT NULL,
+  PRIMARY KEY (bucket_key, window_start),
+  INDEX idx_rate_limit_expires (expires_at)
+);
+
+-- Domain events read by the live event streams of every API instance (services/eventBus.js)
+CREATE TABLE IF NOT EXISTS domain_events (
+  id BIGINT PRIMARY KEY AUTO_INCREMENT,
+  type VARCHAR(64) NOT NULL,
+  data JSON NOT NULL,
+  branch_id INT NULL,
+  client_id INT NULL,
+  occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  INDEX idx_domain_events_occurred (occurred_at)
+);
+
+-- Owner of the sample staff rows below, not a login: the hash matches no password and
+-- migration 011 disables it. Create administrators with scripts/createAdmin.js.
 INSERT INTO users (username, email, password, role) VALUES 
 ('test', 'test@example.com', '$2a$10$X7UrH5YxX5YxX5YxX5YxX.5YxX5YxX5YxX5YxX5YxX5YxX5YxX', 'admin')
 ON DUPLICATE KEY UPDATE id=id;
@@ -160,5 +734,8 @@ INSERT INTO roles (name, description) VALUES
 ('UI Designer', 'User interface design position'),
 ('QA Engineer', 'Quality assurance position'),
 ('Security Guard', 'Security personnel position'),
-('Supervisor', 'Team supervisor position')
+('Supervisor', 'Team supervisor position'),
+('admin', 'Operator administrator login'),
+('branch', 'Client branch login'),
+('client', 'Client head office login')
 ON DUPLICATE KEY UPDATE id=id; 
\ No newline at end of file
@@ -1,6 +1,7 @@
 const db = require('./db');
 const fs = require('fs');
 const path = require('path');
+const { splitStatements } = require('./sqlScript');
 
 async function initializeDatabase() {
   try {
@@ -9,10 +10,7 @@ async function initializeDatabase() {
     const schema = fs.readFileSync(schemaPath, 'utf8');
 
     // Split the schema into individual statements
-    const statements = schema
-      .split(';')
-      .filter(statement => statement.trim())
-      .map(statement => statement + ';');
+    const statements = splitStatements(schema);
 
     // Execute each statement
     for (const statement of statements) {
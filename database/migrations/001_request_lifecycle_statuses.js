@@ -0,0 +1,20 @@
+// Legacy request statuses move to the lifecycle statuses in services/requestLifecycle.js
+const up = async ({ query }) => {
+  await query(
+    `ALTER TABLE requests MODIFY status ENUM(
+      'pending', 'assigned', 'en_route_pickup', 'picked_up',
+      'in_transit', 'delivered', 'failed', 'cancelled',
+      'in_progress', 'completed'
+    ) DEFAULT 'pending'`
+  );
+  await query("UPDATE requests SET status = 'in_transit', my_status = 2 WHERE status = 'in_progress'");
+  await query("UPDATE requests SET status = 'delivered', my_status = 3 WHERE status = 'completed'");
+  await query(
+    `ALTER TABLE requests MODIFY status ENUM(
+      'pending', 'assigned', 'en_route_pickup', 'picked_up',
+      'in_transit', 'delivered', 'failed', 'cancelled'
+    ) DEFAULT 'pending'`
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,30 @@
+// Daily runs reference vehicles, drivers and teams by id instead of free text
+const up = async ({ query, addColumn, addForeignKey }) => {
+  await addColumn('daily_runs', 'team_id', 'INT AFTER date');
+  await addColumn('daily_runs', 'vehicle_id', 'INT AFTER team_id');
+  await addColumn('daily_runs', 'driver_id', 'INT AFTER vehicle_id');
+  await query(
+    `ALTER TABLE daily_runs
+      MODIFY driver_name VARCHAR(255) NULL,
+      MODIFY vehicle_number VARCHAR(50) NULL`
+  );
+  await addForeignKey('daily_runs', 'team_id', 'teams(id)');
+  await addForeignKey('daily_runs', 'vehicle_id', 'vehicles(id)');
+  await addForeignKey('daily_runs', 'driver_id', 'staff(id)');
+
+  // Legacy vehicle numbers are registered as armoured; correct the type in the registry where needed
+  await query(
+    `INSERT IGNORE INTO vehicles (registration_number, type)
+     SELECT DISTINCT vehicle_number, 'armoured' FROM daily_runs WHERE vehicle_number IS NOT NULL`
+  );
+  await query(
+    `UPDATE daily_runs dr JOIN vehicles v ON v.registration_number = dr.vehicle_number
+     SET dr.vehicle_id = v.id WHERE dr.vehicle_id IS NULL`
+  );
+  await query(
+    `UPDATE daily_runs dr JOIN staff s ON s.name = dr.driver_name
+     SET dr.driver_id = s.id WHERE dr.driver_id IS NULL`
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,9 @@
+// Ordered itinerary per daily run, and delivery coordinates for sequencing
+const up = async ({ addColumn }) => {
+  await addColumn('daily_runs', 'itinerary', 'JSON');
+  await addColumn('daily_runs', 'itinerary_generated_at', 'DATETIME');
+  await addColumn('requests', 'delivery_latitude', 'DECIMAL(10, 8) AFTER longitude');
+  await addColumn('requests', 'delivery_longitude', 'DECIMAL(11, 8) AFTER delivery_latitude');
+};
+
+module.exports = { up };
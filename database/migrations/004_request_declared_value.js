@@ -0,0 +1,6 @@
+// Declared cash value of a request, used until its consignments are sealed
+const up = async ({ addColumn }) => {
+  await addColumn('requests', 'declared_value', 'DECIMAL(15, 2) AFTER price');
+};
+
+module.exports = { up };
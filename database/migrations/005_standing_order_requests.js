@@ -0,0 +1,7 @@
+// Requests posted by the standing order generator point back at their order
+const up = async ({ addColumn, addForeignKey }) => {
+  await addColumn('requests', 'standing_order_id', 'INT');
+  await addForeignKey('requests', 'standing_order_id', 'standing_orders(id)');
+};
+
+module.exports = { up };
@@ -0,0 +1,10 @@
+// Cancellation and reschedule fees on service charges, and the cancellation on the request
+const up = async ({ addColumn }) => {
+  await addColumn('service_charges', 'late_cancel_fee', 'DECIMAL(10, 2) AFTER price');
+  await addColumn('service_charges', 'wasted_trip_fee', 'DECIMAL(10, 2) AFTER late_cancel_fee');
+  await addColumn('requests', 'cancellation_reason_code', 'VARCHAR(50)');
+  await addColumn('requests', 'cancellation_note', 'TEXT');
+  await addColumn('requests', 'cancelled_at', 'DATETIME');
+};
+
+module.exports = { up };
@@ -0,0 +1,23 @@
+// Actual milestone times, set by services/requestLifecycle.js and backfilled from the status history
+const up = async ({ query, addColumn }) => {
+  await addColumn('requests', 'picked_up_at', 'DATETIME');
+  await addColumn('requests', 'delivered_at', 'DATETIME');
+  await addColumn('requests', 'failed_at', 'DATETIME');
+
+  await query(
+    `UPDATE requests r
+     JOIN (
+       SELECT request_id,
+              MIN(CASE WHEN to_status = 'picked_up' THEN created_at END) as picked_up_at,
+              MIN(CASE WHEN to_status = 'delivered' THEN created_at END) as delivered_at,
+              MIN(CASE WHEN to_status = 'failed' THEN created_at END) as failed_at
+       FROM request_status_history
+       GROUP BY request_id
+     ) h ON h.request_id = r.id
+     SET r.picked_up_at = COALESCE(r.picked_up_at, h.picked_up_at),
+         r.delivered_at = COALESCE(r.delivered_at, h.delivered_at),
+         r.failed_at = COALESCE(r.failed_at, h.failed_at)`
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,18 @@
+// audit_log rows cannot be changed or removed once written
+const TRIGGERS = {
+  audit_log_no_update: 'BEFORE UPDATE',
+  audit_log_no_delete: 'BEFORE DELETE'
+};
+
+const up = async ({ query, triggerExists }) => {
+  for (const [name, timing] of Object.entries(TRIGGERS)) {
+    if (!(await triggerExists(name))) {
+      await query(
+        `CREATE TRIGGER ${name} ${timing} ON audit_log
+         FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only'`
+      );
+    }
+  }
+};
+
+module.exports = { up };
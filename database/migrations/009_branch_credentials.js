@@ -0,0 +1,11 @@
+// Branches may be created before their credentials are set
+const up = async ({ query, addColumn }) => {
+  await query(
+    `ALTER TABLE branches
+      MODIFY username VARCHAR(255) NULL,
+      MODIFY password VARCHAR(255) NULL`
+  );
+  await addColumn('branches', 'password_changed_at', 'TIMESTAMP NULL AFTER password');
+};
+
+module.exports = { up };
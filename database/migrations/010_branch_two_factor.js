@@ -0,0 +1,13 @@
+// Two-factor authentication (TOTP) on branch logins. The secret is set on enrolment
+// and enforced once totp_enabled_at is set. 011 moves it to users.
+const up = async ({ columnExists, addColumn }) => {
+  if (await columnExists('users', 'totp_secret')) {
+    return;
+  }
+  await addColumn('branches', 'totp_secret', 'VARCHAR(64) NULL');
+  await addColumn('branches', 'totp_enabled_at', 'TIMESTAMP NULL');
+  // Last accepted time step, so codes cannot be replayed
+  await addColumn('branches', 'totp_last_used_step', 'BIGINT NULL');
+};
+
+module.exports = { up };
@@ -0,0 +1,121 @@
+/**
+ * Individual users. Each belongs to the operator (no branch or client), a
+ * client's head office (client only) or a single branch, and signs in with
+ * their own credentials and role. Branch logins become users of their branch;
+ * sessions, reset tokens and recovery codes move from branches to users.
+ */
+const up = async (schema) => {
+  const { query, columnExists, addColumn, dropColumn, addIndex, dropIndex, addForeignKey, dropForeignKeys } = schema;
+
+  await addColumn('users', 'name', 'VARCHAR(255) NULL AFTER username');
+  await query(
+    `ALTER TABLE users
+      MODIFY email VARCHAR(255) NULL,
+      MODIFY password VARCHAR(255) NULL,
+      MODIFY role VARCHAR(50) NOT NULL DEFAULT 'branch'`
+  );
+  await addColumn('users', 'password_changed_at', 'TIMESTAMP NULL AFTER password');
+  await addColumn('users', 'branch_id', 'INT NULL AFTER role');
+  await addColumn('users', 'client_id', 'INT NULL AFTER branch_id');
+  // Accounts from before this migration (old test and admin logins) start disabled; an
+  // administrator re-enables the ones still wanted. The default only applies to rows present
+  // when the column is added, so a re-run never disables migrated branch users.
+  await addColumn('users', 'status', "ENUM('active', 'disabled') NOT NULL DEFAULT 'disabled' AFTER client_id");
+  await query("ALTER TABLE users MODIFY status ENUM('active', 'disabled') NOT NULL DEFAULT 'active'");
+  await addColumn('users', 'totp_secret', 'VARCHAR(64) NULL');
+  await addColumn('users', 'totp_enabled_at', 'TIMESTAMP NULL');
+  await addColumn('users', 'totp_last_used_step', 'BIGINT NULL');
+  await addColumn('users', 'last_login_at', 'TIMESTAMP NULL');
+  await addForeignKey('users', 'branch_id', 'branches(id)');
+  await addForeignKey('users', 'client_id', 'clients(id)');
+
+  // A branch login whose username an older account already holds would be merged into that
+  // account by the joins below; someone has to rename one of them first
+  const clashes = await query(
+    `SELECT b.id, COALESCE(b.username, b.name) as username
+     FROM branches b
+     JOIN users u ON u.username = COALESCE(b.username, b.name)
+     WHERE b.password IS NOT NULL AND u.status = 'disabled'`
+  );
+  if (clashes.length > 0) {
+    const listed = clashes.map(row => `${row.username} (branch ${row.id})`).join(', ');
+    throw new Error(`Branch logins clash with existing usernames: ${listed}. Rename the branch login or the user and run again.`);
+  }
+
+  // Every branch login becomes a user of that branch; admin logins become operator staff
+  const branchTotp = await columnExists('branches', 'totp_secret');
+  await query(
+    `INSERT INTO users (
+      username, name, email, password, password_changed_at, role, branch_id, client_id, status,
+      totp_secret, totp_enabled_at, totp_last_used_step
+    )
+    SELECT COALESCE(b.username, b.name), b.name,
+           IF(b.email IS NULL OR EXISTS (SELECT 1 FROM users e WHERE e.email = b.email), NULL, b.email),
+           b.password, b.password_changed_at, b.role,
+           IF(b.role = 'admin', NULL, b.id), IF(b.role = 'admin', NULL, b.client_id), 'active',
+           ${branchTotp ? 'b.totp_secret, b.totp_enabled_at, b.totp_last_used_step' : 'NULL, NULL, NULL'}
+    FROM branches b
+    WHERE b.password IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM users u WHERE u.username = COALESCE(b.username, b.name))`
+  );
+
+  // Still keyed by branch means the move below has not happened yet. Standing orders
+  // recorded the creating branch's id; point them at its migrated user first.
+  if (await columnExists('auth_sessions', 'branch_id')) {
+    await query(
+      `UPDATE standing_orders so
+       JOIN branches b ON so.created_by = b.id
+       JOIN users u ON u.username = COALESCE(b.username, b.name)
+       SET so.created_by = u.id`
+    );
+
+    // Existing sessions must sign in again
+    await query('DELETE FROM auth_sessions');
+    await dropForeignKeys('auth_sessions', 'branch_id');
+    await dropIndex('auth_sessions', 'idx_auth_sessions_branch');
+    await query('ALTER TABLE auth_sessions CHANGE branch_id user_id INT NOT NULL');
+  }
+  await addForeignKey('auth_sessions', 'user_id', 'users(id) ON DELETE CASCADE');
+  await addIndex('auth_sessions', 'idx_auth_sessions_user', 'user_id, revoked_at');
+
+  if (await columnExists('password_resets', 'branch_id')) {
+    await query('DELETE FROM password_resets');
+    await dropForeignKeys('password_resets', 'branch_id');
+    await dropIndex('password_resets', 'idx_password_resets_branch');
+    await query('ALTER TABLE password_resets CHANGE branch_id user_id INT NOT NULL');
+  }
+  await addForeignKey('password_resets', 'user_id', 'users(id) ON DELETE CASCADE');
+  await addIndex('password_resets', 'idx_password_resets_user', 'user_id, used_at');
+
+  // Recovery codes follow their account
+  if (await columnExists('two_factor_recovery_codes', 'branch_id')) {
+    await addColumn('two_factor_recovery_codes', 'user_id', 'INT NULL AFTER id');
+    await query(
+      `UPDATE two_factor_recovery_codes rc
+       JOIN branches b ON rc.branch_id = b.id
+       JOIN users u ON u.username = COALESCE(b.username, b.name)
+       SET rc.user_id = u.id`
+    );
+    await query('DELETE FROM two_factor_recovery_codes WHERE user_id IS NULL');
+    await dropForeignKeys('two_factor_recovery_codes', 'branch_id');
+    await dropIndex('two_factor_recovery_codes', 'idx_recovery_codes_branch');
+    await dropColumn('two_factor_recovery_codes', 'branch_id');
+    await query('ALTER TABLE two_factor_recovery_codes MODIFY user_id INT NOT NULL');
+  }
+  await addForeignKey('two_factor_recovery_codes', 'user_id', 'users(id) ON DELETE CASCADE');
+  await addIndex('two_factor_recovery_codes', 'idx_recovery_codes_user', 'user_id, code_hash');
+
+  // branches.username, password and role are superseded by users and no longer read
+  await dropColumn('branches', 'totp_secret');
+  await dropColumn('branches', 'totp_enabled_at');
+  await dropColumn('branches', 'totp_last_used_step');
+
+  // The user who placed a request; standing-order requests by the order's creator
+  await query(
+    `ALTER TABLE requests
+      MODIFY user_id INT NULL,
+      MODIFY user_name VARCHAR(255) NULL`
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,14 @@
+// Route deviation SOS raised by the geofence monitor, linked to the team and request.
+// The sos table comes from database/schema.sql; databases without it have nothing to change.
+const up = async ({ query, tableExists, addColumn }) => {
+  if (!(await tableExists('sos'))) {
+    return;
+  }
+  await query(
+    "ALTER TABLE sos MODIFY sos_type ENUM('emergency', 'medical', 'security', 'route_deviation') NOT NULL"
+  );
+  await addColumn('sos', 'team_id', 'INT AFTER staff_id');
+  await addColumn('sos', 'request_id', 'INT AFTER team_id');
+};
+
+module.exports = { up };
@@ -0,0 +1,40 @@
+// SOS acknowledgement, responder assignment, escalation and resolution, plus the comment thread
+const up = async ({ query, tableExists, addColumn, addForeignKey }) => {
+  if (!(await tableExists('sos'))) {
+    return;
+  }
+  await query(
+    "ALTER TABLE sos MODIFY status ENUM('pending', 'acknowledged', 'in_progress', 'resolved') DEFAULT 'pending'"
+  );
+  await addColumn('sos', 'responder_team_id', 'INT AFTER comment');
+  await addColumn('sos', 'assigned_at', 'DATETIME AFTER responder_team_id');
+  await addColumn('sos', 'ack_deadline', 'DATETIME AFTER assigned_at');
+  await addColumn('sos', 'acknowledged_at', 'DATETIME AFTER ack_deadline');
+  await addColumn('sos', 'acknowledged_by', 'VARCHAR(255) AFTER acknowledged_at');
+  await addColumn('sos', 'escalation_level', 'INT NOT NULL DEFAULT 0 AFTER acknowledged_by');
+  await addColumn('sos', 'escalated_at', 'DATETIME AFTER escalation_level');
+  await addColumn('sos', 'escalated_to', 'INT AFTER escalated_at');
+  await addColumn('sos', 'resolved_at', 'DATETIME AFTER escalated_to');
+  await addColumn('sos', 'resolution_category', `ENUM(
+    'false_alarm', 'resolved_on_site', 'police_assisted', 'medical_assisted',
+    'vehicle_breakdown', 'route_change_approved', 'other'
+  ) AFTER resolved_at`);
+  await addForeignKey('sos', 'escalated_to', 'staff(id)');
+
+  await query(
+    `CREATE TABLE IF NOT EXISTS sos_comments (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      sos_id INT NOT NULL,
+      kind ENUM('comment', 'status', 'assignment', 'escalation') NOT NULL DEFAULT 'comment',
+      actor_id INT,
+      actor_name VARCHAR(255),
+      actor_role VARCHAR(50),
+      comment TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (sos_id) REFERENCES sos(id) ON DELETE CASCADE,
+      INDEX idx_sos_comments_sos (sos_id, created_at)
+    )`
+  );
+};
+
+module.exports = { up };
@@ -0,0 +1,38 @@
+/**
+ * A request or charge sits on at most one live invoice. Link rows carry
+ * `live` = 1 while their invoice is live and NULL once it is voided, so the
+ * unique keys below allow re-invoicing after a void and nothing else.
+ */
+const LINKS = [
+  { table: 'invoice_requests', column: 'request_id', index: 'uq_invoice_requests_live' },
+  { table: 'invoice_charges', column: 'charge_id', index: 'uq_invoice_charges_live' }
+];
+
+const up = async ({ query, addColumn, addIndex }) => {
+  for (const { table, column, index } of LINKS) {
+    await addColumn(table, 'live', 'TINYINT NULL DEFAULT 1');
+    await query(
+      `UPDATE ${table} l
+       JOIN invoices i ON l.invoice_id = i.id
+       SET l.live = NULL
+       WHERE i.status = 'void'`
+    );
+
+    // Double billing already on record needs a person to void one of the invoices
+    const duplicates = await query(
+      `SELECT ${column} as id, GROUP_CONCAT(invoice_id) as invoice_ids
+       FROM ${table}
+       WHERE live = 1
+       GROUP BY ${column}
+       HAVING COUNT(*) > 1`
+    );
+    if (duplicates.length > 0) {
+      const listed = duplicates.map(row => `${row.id} (invoices ${row.invoice_ids})`).join(', ');
+      throw new Error(`${table}: ${column} on more than one live invoice: ${listed}. Void the duplicates and run again.`);
+    }
+
+    await addIndex(table, index, `${column}, live`, { unique: true });
+  }
+};
+
+module.exports = { up };
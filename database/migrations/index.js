@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Ordered schema migrations for databases created from database.sql.
+ *
+ * Each NNN_name.js file in this directory exports `up(schema)`. Applied
+ * migrations are recorded in schema_migrations and never run again. MySQL
+ * commits DDL as it goes, so a migration that fails halfway is simply run
+ * again: every step checks information_schema first (see the helpers below)
+ * and only changes what is still missing.
+ */
+
+const MIGRATION_FILE = /^\d{3}_[a-z0-9_]+\.js$/;
+
+// Schema inspection and guarded changes over a `query(sql, params) => rows` function
+const schemaHelpers = (query) => {
+  const tableExists = async (table) => {
+    const rows = await query(
+      'SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?',
+      [table]
+    );
+    return rows.length > 0;
+  };
+
+  const columnExists = async (table, column) => {
+    const rows = await query(
+      `SELECT 1 FROM information_schema.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+    return rows.length > 0;
+  };
+
+  const indexExists = async (table, index) => {
+    const rows = await query(
+      `SELECT 1 FROM information_schema.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ?`,
+      [table, index]
+    );
+    return rows.length > 0;
+  };
+
+  const triggerExists = async (trigger) => {
+    const rows = await query(
+      'SELECT 1 FROM information_schema.TRIGGERS WHERE TRIGGER_SCHEMA = DATABASE() AND TRIGGER_NAME = ?',
+      [trigger]
+    );
+    return rows.length > 0;
+  };
+
+  // Names of the foreign keys on a column, whatever MySQL called them
+  const foreignKeysOn = async (table, column) => {
+    const rows = await query(
+      `SELECT CONSTRAINT_NAME as name FROM information_schema.KEY_COLUMN_USAGE
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?
+         AND REFERENCED_TABLE_NAME IS NOT NULL`,
+      [table, column]
+    );
+    return rows.map(row => row.name || row.CONSTRAINT_NAME);
+  };
+
+  // `definition` is everything after the column name, e.g. 'INT NULL AFTER id'
+  const addColumn = async (table, column, definition) => {
+    if (!(await columnExists(table, column))) {
+      await query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  };
+
+  const dropColumn = async (table, column) => {
+    if (await columnExists(table, column)) {
+      await query(`ALTER TABLE ${table} DROP COLUMN ${column}`);
+    }
+  };
+
+  const addIndex = async (table, index, columns, { unique = false } = {}) => {
+    if (!(await indexExists(table, index))) {
+      await query(`ALTER TABLE ${table} ADD ${unique ? 'UNIQUE ' : ''}INDEX ${index} (${columns})`);
+    }
+  };
+
+  const dropIndex = async (table, index) => {
+    if (await indexExists(table, index)) {
+      await query(`ALTER TABLE ${table} DROP INDEX ${index}`);
+    }
+  };
+
+  // `references` is e.g. 'users(id) ON DELETE CASCADE'
+  const addForeignKey = async (table, column, references) => {
+    if ((await foreignKeysOn(table, column)).length === 0) {
+      await query(`ALTER TABLE ${table} ADD FOREIGN KEY (${column}) REFERENCES ${references}`);
+    }
+  };
+
+  const dropForeignKeys = async (table, column) => {
+    for (const name of await foreignKeysOn(table, column)) {
+      await query(`ALTER TABLE ${table} DROP FOREIGN KEY \`${name}\``);
+    }
+  };
+
+  return {
+    query,
+    tableExists,
+    columnExists,
+    indexExists,
+    triggerExists,
+    foreignKeysOn,
+    addColumn,
+    dropColumn,
+    addIndex,
+    dropIndex,
+    addForeignKey,
+    dropForeignKeys
+  };
+};
+
+const listMigrations = () => fs.readdirSync(__dirname)
+  .filter(file => MIGRATION_FILE.test(file))
+  .sort()
+  .map(file => ({ name: path.basename(file, '.js'), up: require(path.join(__dirname, file)).up }));
+
+/**
+ * Apply every migration not yet recorded, in file name order. `query` runs
+ * one statement on the target database and resolves to its rows. Returns
+ * the names of the migrations applied.
+ */
+const runMigrations = async (query, { log = console.log } = {}) => {
+  await query(
+    `CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`
+  );
+  const applied = new Set((await query('SELECT name FROM schema_migrations')).map(row => row.name));
+  const schema = schemaHelpers(query);
+  const ran = [];
+
+  for (const migration of listMigrations()) {
+    if (applied.has(migration.name)) {
+      continue;
+    }
+    log(`Applying migration ${migration.name}`);
+    await migration.up(schema);
+    await query('INSERT INTO schema_migrations (name) VALUES (?)', [migration.name]);
+    ran.push(migration.name);
+  }
+
+  return ran;
+};
+
+module.exports = {
+  schemaHelpers,
+  listMigrations,
+  runMigrations
+};
@@ -0,0 +1,77 @@
+const { createConnection, executeQuery: runServerless } = require('./serverless-db');
+
+/**
+ * The query interface controllers and services use. How queries reach MySQL
+ * is up to the entry point: api/index.js keeps the serverless driver (a new
+ * connection per query), server.js injects its connection pool.
+ *
+ * A driver has two functions:
+ *   query(sql, params)  resolves to the result rows, or the OkPacket of a write
+ *   transaction(work)   calls work(query) on one connection inside a transaction
+ */
+
+// execute() rejects undefined bind values; treat them as NULL
+const bindable = (params = []) => params.map(param => (param === undefined ? null : param));
+
+const queryOn = (connection) => async (sql, params = []) => {
+  const [rows] = await connection.execute(sql, bindable(params));
+  return rows;
+};
+
+const inTransaction = async (connection, work) => {
+  await connection.beginTransaction();
+  try {
+    const result = await work(queryOn(connection));
+    await connection.commit();
+    return result;
+  } catch (error) {
+    await connection.rollback().catch(() => {});
+    throw error;
+  }
+};
+
+const serverlessDriver = {
+  query: runServerless,
+  transaction: async (work) => {
+    const connection = await createConnection();
+    try {
+      return await inTransaction(connection, work);
+    } finally {
+      await connection.end().catch(() => {});
+    }
+  }
+};
+
+// Any mysql2 promise pool, e.g. database/db.js
+const poolDriver = (pool) => ({
+  query: async (sql, params) => {
+    const [rows] = await pool.execute(sql, params);
+    return rows;
+  },
+  transaction: async (work) => {
+    const connection = await pool.getConnection();
+    try {
+      return await inTransaction(connection, work);
+    } finally {
+      connection.release();
+    }
+  }
+});
+
+let driver = serverlessDriver;
+
+const useDriver = (next) => {
+  driver = next;
+};
+
+const executeQuery = (sql, params = []) => driver.query(sql, bindable(params));
+
+const withTransaction = (work) => driver.transaction(work);
+
+module.exports = {
+  serverlessDriver,
+  poolDriver,
+  useDriver,
+  executeQuery,
+  withTransaction
+};
@@ -21,17 +21,47 @@ CREATE TABLE IF NOT EXISTS requests (
   updated_at DATETIME DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
 );
 
--- SOS table
+-- SOS table (existing databases get later columns from database/migrations)
 CREATE TABLE IF NOT EXISTS sos (
   id INT PRIMARY KEY AUTO_INCREMENT,
-  sos_type ENUM('emergency', 'medical', 'security') NOT NULL,
+  sos_type ENUM('emergency', 'medical', 'security', 'route_deviation') NOT NULL,
   latitude DECIMAL(10, 8) NOT NULL,
   longitude DECIMAL(11, 8) NOT NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   staff_id INT,
-  status ENUM('pending', 'in_progress', 'resolved') DEFAULT 'pending',
+  team_id INT,
+  request_id INT,
+  status ENUM('pending', 'acknowledged', 'in_progress', 'resolved') DEFAULT 'pending',
   comment TEXT,
-  FOREIGN KEY (staff_id) REFERENCES staff(id)
+  responder_team_id INT,
+  assigned_at DATETIME,
+  ack_deadline DATETIME,
+  acknowledged_at DATETIME,
+  acknowledged_by VARCHAR(255),
+  escalation_level INT NOT NULL DEFAULT 0,
+  escalated_at DATETIME,
+  escalated_to INT,
+  resolved_at DATETIME,
+  resolution_category ENUM(
+    'false_alarm', 'resolved_on_site', 'police_assisted', 'medical_assisted',
+    'vehicle_breakdown', 'route_change_approved', 'other'
+  ),
+  FOREIGN KEY (staff_id) REFERENCES staff(id),
+  FOREIGN KEY (escalated_to) REFERENCES staff(id)
+);
+
+-- SOS comment thread (operator notes plus status, assignment and escalation entries)
+CREATE TABLE IF NOT EXISTS sos_comments (
+  id INT PRIMARY KEY AUTO_INCREMENT,
+  sos_id INT NOT NULL,
+  kind ENUM('comment', 'status', 'assignment', 'escalation') NOT NULL DEFAULT 'comment',
+  actor_id INT,
+  actor_name VARCHAR(255),
+  actor_role VARCHAR(50),
+  comment TEXT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (sos_id) REFERENCES sos(id) ON DELETE CASCADE,
+  INDEX idx_sos_comments_sos (sos_id, created_at)
 );
 
 -- Insert some test data
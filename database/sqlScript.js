@@ -0,0 +1,55 @@
+/**
+ * Split a SQL script into statements. Understands `-- ` line comments (which
+ * may contain semicolons), quoted strings and mysql-client style
+ * `DELIMITER` lines, so trigger and procedure bodies stay in one statement.
+ */
+const splitStatements = (sql) => {
+  const statements = [];
+  let delimiter = ';';
+  let current = '';
+
+  const flush = () => {
+    if (current.trim()) {
+      statements.push(current.trim());
+    }
+    current = '';
+  };
+
+  sql.split(/\r?\n/).forEach(line => {
+    const directive = line.match(/^\s*DELIMITER\s+(\S+)\s*$/i);
+    if (directive) {
+      flush();
+      delimiter = directive[1];
+      return;
+    }
+
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+      const char = line[i];
+      if (quote) {
+        current += char;
+        if (char === '\\') {
+          current += line[++i] || '';
+        } else if (char === quote) {
+          quote = null;
+        }
+      } else if (char === '\'' || char === '"' || char === '`') {
+        quote = char;
+        current += char;
+      } else if (line.startsWith('--', i) && /\s|$/.test(line[i + 2] || '')) {
+        break;
+      } else if (line.startsWith(delimiter, i)) {
+        flush();
+        i += delimiter.length - 1;
+      } else {
+        current += char;
+      }
+    }
+    current += '\n';
+  });
+  flush();
+
+  return statements;
+};
+
+module.exports = { splitStatements };
@@ -0,0 +1,171 @@
+const { executeQuery } = require('../database/query');
+const { recordAudit } = require('../services/audit');
+const { clientIp } = require('../services/sessions');
+
+// URL segment -> table holding that entity, used to snapshot rows before and after a change
+const ENTITY_TABLES = {
+  clients: 'clients',
+  branches: 'branches',
+  'service-charges': 'service_charges',
+  invoices: 'invoices',
+  slas: 'sla_definitions',
+  staff: 'staff',
+  teams: 'teams',
+  roles: 'roles',
+  'service-types': 'service_types',
+  requests: 'requests',
+  runs: 'requests',
+  consignments: 'consignments',
+  handovers: 'custody_handovers',
+  sos: 'sos',
+  comments: 'sos_comments',
+  notices: 'notices',
+  geofences: 'geofences',
+  vehicles: 'vehicles',
+  'daily-runs': 'daily_runs',
+  roster: 'roster_shifts',
+  'carrying-limits': 'carrying_limits',
+  'standing-orders': 'standing_orders',
+  exceptions: 'standing_order_exceptions',
+  'public-holidays': 'public_holidays',
+  sessions: 'auth_sessions',
+  users: 'users'
+};
+
+// Credentials never go into a snapshot
+const SECRET_COLUMNS = ['password', 'totp_secret'];
+
+// Writes that are not data changes (sign-in, telemetry, client logs) or are too frequent to keep
+const UNAUDITED_PATHS = [
+  /^\/api\/auth\/(login|refresh)$/,
+  /^\/api\/logs$/,
+  /^\/api\/tracking\/positions$/
+];
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Work out what a request changes from its path. The entity is the last
+ * known collection followed by an id (/api/clients/3/branches/7 is branch 7);
+ * a POST to a known collection with no id creates a new row, whose id is
+ * read from the response. Other POSTs (/api/requests/5/cancel) update the
+ * entity they are under.
+ */
+const resolveTarget = (method, path) => {
+  const segments = path.replace(/^\/api\//, '').split('/').filter(Boolean);
+  let target = null;
+
+  segments.forEach((segment, index) => {
+    const next = segments[index + 1];
+    if (ENTITY_TABLES[segment] && next && /^\d+$/.test(next)) {
+      target = { entity: ENTITY_TABLES[segment], entityId: next };
+    }
+  });
+
+  const last = segments[segments.length - 1];
+  if (method === 'POST' && ENTITY_TABLES[last]) {
+    return { entity: ENTITY_TABLES[last], entityId: null, action: 'create' };
+  }
+  if (target) {
+    return { ...target, action: method === 'DELETE' ? 'delete' : 'update' };
+  }
+  return { entity: segments[0] || 'unknown', entityId: null, action: method === 'DELETE' ? 'delete' : method === 'POST' ? 'create' : 'update' };
+};
+
+const loadRow = async (table, id) => {
+  if (!table || id === null || id === undefined) {
+    return null;
+  }
+  const rows = await executeQuery(`SELECT * FROM ${table} WHERE id = ?`, [id]);
+  if (rows.length === 0) {
+    return null;
+  }
+  const row = { ...rows[0] };
+  SECRET_COLUMNS.forEach(column => delete row[column]);
+  return row;
+};
+
+const isKnownTable = (table) => Object.values(ENTITY_TABLES).includes(table);
+
+// Id of a newly created row, from the JSON response
+const createdIdFrom = (body) => {
+  if (!body || typeof body !== 'object') {
+    return null;
+  }
+  return body.id || body.insertId || (body.request && body.request.id) || null;
+};
+
+const parseBody = (body) => {
+  if (Buffer.isBuffer(body)) {
+    body = body.toString('utf8');
+  }
+  if (typeof body === 'string') {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return null;
+    }
+  }
+  return body;
+};
+
+/**
+ * Record every successful create, update and delete in the audit log with
+ * the actor, the row before and after, and where the request came from. The
+ * entry is written before the response is sent, so it is not lost when a
+ * serverless function is frozen after responding.
+ */
+const auditTrail = async (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method) || !req.path.startsWith('/api/') ||
+      UNAUDITED_PATHS.some(pattern => pattern.test(req.path))) {
+    return next();
+  }
+
+  const target = resolveTarget(req.method, req.path);
+  const table = isKnownTable(target.entity) ? target.entity : null;
+
+  let before = null;
+  if (target.action !== 'create' && req.headers.authorization) {
+    try {
+      before = await loadRow(table, target.entityId);
+    } catch (error) {
+      console.error('Error loading audit snapshot:', error);
+    }
+  }
+
+  const send = res.send.bind(res);
+  let sent = false;
+  res.send = (body) => {
+    // res.json calls send again with the serialized body
+    if (sent || res.statusCode >= 400 || !req.user) {
+      return send(body);
+    }
+    sent = true;
+
+    const entityId = target.entityId || createdIdFrom(parseBody(body));
+    loadRow(table, entityId)
+      .then(after => recordAudit({
+        actor: req.user,
+        action: target.action,
+        entity: target.entity,
+        entityId,
+        method: req.method,
+        path: req.originalUrl,
+        ip: clientIp(req),
+        userAgent: req.headers['user-agent'],
+        statusCode: res.statusCode,
+        requestBody: req.body,
+        before,
+        after
+      }))
+      .catch(error => console.error('Error writing audit log:', error))
+      .finally(() => send(body));
+    return res;
+  };
+
+  next();
+};
+
+module.exports = {
+  auditTrail
+};
@@ -0,0 +1,264 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../database/query');
+const { isSessionActive } = require('../services/sessions');
+const { CHALLENGE_SETUP, readChallenge } = require('../services/twoFactor');
+const { ROLE_AFFILIATIONS, LEGACY_ROLES } = require('../services/users');
+
+// Built-in permissions per JWT role. Rows in role_permissions (joined to the
+// roles table by name) take precedence when present for a role.
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ['*'],
+  branch: [
+    'requests:read',
+    'requests:create',
+    'requests:cancel',
+    'runs:read',
+    'summaries:read',
+    'sla:read',
+    'notices:read',
+    'invoices:read',
+    'custody:read',
+    'custody:manage',
+    'service-types:read',
+    'standing-orders:read',
+    'standing-orders:manage'
+  ],
+  // Client head office: oversight of every branch of the client
+  client: [
+    'requests:read',
+    'requests:create',
+    'requests:cancel',
+    'runs:read',
+    'summaries:read',
+    'sla:read',
+    'notices:read',
+    'invoices:read',
+    'custody:read',
+    'service-types:read',
+    'standing-orders:read',
+    'standing-orders:manage',
+    'users:read'
+  ]
+};
+
+const PERMISSION_CACHE_TTL = 60 * 1000;
+const permissionCache = new Map();
+
+const loadRolePermissions = async (role) => {
+  const cached = permissionCache.get(role);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.permissions;
+  }
+
+  let permissions = DEFAULT_ROLE_PERMISSIONS[role] || [];
+  try {
+    const rows = await executeQuery(
+      `SELECT rp.permission
+       FROM role_permissions rp
+       JOIN roles r ON rp.role_id = r.id
+       WHERE r.name = ?`,
+      [role]
+    );
+    if (rows.length > 0) {
+      permissions = rows.map(row => row.permission);
+    }
+  } catch (error) {
+    console.error('Error loading role permissions, using defaults:', error.message);
+  }
+
+  permissionCache.set(role, { permissions, expiresAt: Date.now() + PERMISSION_CACHE_TTL });
+  return permissions;
+};
+
+const hasPermission = (permissions, permission) => {
+  const [resource] = permission.split(':');
+  return permissions.includes('*') ||
+    permissions.includes(permission) ||
+    permissions.includes(`${resource}:*`);
+};
+
+const isAdmin = (user) => user?.role === 'admin';
+
+// Whether a token's role needs a branch or client it does not carry
+const isMissingAffiliation = (user) => {
+  const required = ROLE_AFFILIATIONS[user?.role];
+  return Boolean(required && !user[required]);
+};
+
+/**
+ * What a user may see. Branch users are limited to their own branch,
+ * head-office users (a client but no branch) to their client's branches.
+ * Administrators and operator staff (signed-in users of any other role tied
+ * to no client) get null, meaning every client. A branch or client role
+ * without its branch or client, and the legacy roles, get a scope that
+ * matches nothing.
+ */
+const getBranchScope = (user) => {
+  if (isAdmin(user)) {
+    return null;
+  }
+  if (isMissingAffiliation(user) || LEGACY_ROLES.includes(user?.role)) {
+    return { branchId: null, clientId: null };
+  }
+  if (!ROLE_AFFILIATIONS[user?.role] && user?.userId && !user.branchId && !user.clientId) {
+    return null;
+  }
+  return {
+    branchId: user?.branchId || null,
+    clientId: user?.clientId || null
+  };
+};
+
+// SQL condition restricting a branch id column to a (non-null) scope
+const scopeCondition = (scope, column) => {
+  if (scope.branchId) {
+    return { sql: `${column} = ?`, params: [scope.branchId] };
+  }
+  if (scope.clientId) {
+    return { sql: `${column} IN (SELECT id FROM branches WHERE client_id = ?)`, params: [scope.clientId] };
+  }
+  return { sql: '1 = 0', params: [] };
+};
+
+// Whether a row belonging to branchId is visible within the scope
+const isBranchInScope = async (scope, branchId) => {
+  if (!scope) {
+    return true;
+  }
+  if (scope.branchId) {
+    return String(branchId) === String(scope.branchId);
+  }
+  if (!scope.clientId) {
+    return false;
+  }
+  const branches = await executeQuery('SELECT client_id FROM branches WHERE id = ?', [branchId]);
+  return branches.length > 0 && String(branches[0].client_id) === String(scope.clientId);
+};
+
+const authenticateToken = (req, res, next) => {
+  const authHeader = req.headers['authorization'];
+  const token = authHeader && authHeader.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({ message: 'Access token required' });
+  }
+
+  jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key', async (err, user) => {
+    if (err) {
+      return res.status(403).json({ message: 'Invalid or expired token' });
+    }
+
+    // Login challenge tokens only work on the 2FA endpoints
+    if (user.purpose) {
+      return res.status(401).json({ message: 'Two-factor verification required' });
+    }
+
+    // Tokens issued before sessions existed carry no sid and run until they expire
+    if (user.sid) {
+      try {
+        if (!(await isSessionActive(user.sid))) {
+          return res.status(401).json({ message: 'Session has been revoked' });
+        }
+      } catch (error) {
+        console.error('Error checking session:', error);
+        return res.status(500).json({ message: 'Internal server error' });
+      }
+    }
+
+    if (isMissingAffiliation(user)) {
+      return res.status(403).json({ message: 'Account is not assigned to a branch or client' });
+    }
+
+    req.user = user;
+    next();
+  });
+};
+
+// Enrolment routes also accept the setup challenge issued at login to accounts whose role requires 2FA
+const authenticateTokenOrSetupChallenge = (req, res, next) => {
+  const challengeToken = req.body && req.body.challenge_token;
+  if (!challengeToken) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const { userId } = readChallenge(challengeToken, [CHALLENGE_SETUP]);
+    req.user = { userId, challenge: true };
+    next();
+  } catch (error) {
+    res.status(error.statusCode || 401).json({ message: error.message });
+  }
+};
+
+// Scheduled jobs (Vercel Cron) send `Authorization: Bearer <CRON_SECRET>`; without the setting the routes stay shut
+const authenticateCron = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+  const given = Buffer.from(String(req.headers['authorization'] || ''));
+  const expected = Buffer.from(`Bearer ${secret}`);
+  if (!secret || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return res.status(401).json({ message: 'Invalid cron credentials' });
+  }
+  next();
+};
+
+const userHasPermission = async (user, permission) => {
+  if (isAdmin(user)) {
+    return true;
+  }
+  const permissions = await loadRolePermissions(user?.role);
+  return hasPermission(permissions, permission);
+};
+
+// Require a permission for the authenticated user's role
+const authorize = (permission) => async (req, res, next) => {
+  try {
+    if (!(await userHasPermission(req.user, permission))) {
+      return res.status(403).json({ message: 'You do not have permission to perform this action' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Authorization error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Reject access to another client's :clientId routes for non-admin users
+const requireOwnClient = (req, res, next) => {
+  const scope = getBranchScope(req.user);
+  if (scope && String(scope.clientId) !== String(req.params.clientId)) {
+    return res.status(403).json({ message: 'You do not have access to this client' });
+  }
+  next();
+};
+
+// Reject /api/requests/:id routes outside the caller's branch scope, ahead of any upload being stored
+const requireRequestInScope = async (req, res, next) => {
+  try {
+    const requests = await executeQuery('SELECT branch_id FROM requests WHERE id = ?', [req.params.id]);
+    if (requests.length === 0 || !(await isBranchInScope(getBranchScope(req.user), requests[0].branch_id))) {
+      return res.status(404).json({ message: 'Request not found' });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Request scope error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  DEFAULT_ROLE_PERMISSIONS,
+  authenticateToken,
+  authenticateTokenOrSetupChallenge,
+  authenticateCron,
+  authorize,
+  userHasPermission,
+  requireOwnClient,
+  requireRequestInScope,
+  getBranchScope,
+  scopeCondition,
+  isBranchInScope,
+  isAdmin
+};
@@ -0,0 +1,38 @@
+const { hit } = require('../services/rateLimits');
+const { clientIp } = require('../services/sessions');
+
+// Requests per minute per IP on the public endpoints
+const RATE_LIMITS = {
+  auth: Number(process.env.RATE_LIMIT_AUTH_PER_MINUTE) || 60,
+  logs: Number(process.env.RATE_LIMIT_LOGS_PER_MINUTE) || 120,
+  serviceTypes: Number(process.env.RATE_LIMIT_SERVICE_TYPES_PER_MINUTE) || 120
+};
+
+/**
+ * Limit each client IP to `max` requests per `windowSeconds` on the routes
+ * it is mounted on. Counters are shared through the rate limit store, so the
+ * limit holds across instances. If the store is unavailable requests are let
+ * through rather than taking the API down with it.
+ */
+const rateLimit = ({ name, max, windowSeconds = 60 }) => async (req, res, next) => {
+  try {
+    const { count, resetInSeconds } = await hit(`${name}:${clientIp(req) || 'unknown'}`, windowSeconds);
+
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(max - count, 0)));
+    res.set('RateLimit-Reset', String(resetInSeconds));
+
+    if (count > max) {
+      res.set('Retry-After', String(resetInSeconds));
+      return res.status(429).json({ message: 'Too many requests; try again later' });
+    }
+  } catch (error) {
+    console.error('Rate limiting unavailable:', error.message);
+  }
+  next();
+};
+
+module.exports = {
+  RATE_LIMITS,
+  rateLimit
+};
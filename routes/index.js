@@ -0,0 +1,313 @@
+const express = require('express');
+const multer = require('multer');
+const { upload, proofUpload, attendanceUpload, isCloudinaryConfigured, LOCAL_UPLOAD_DIR } = require('../config/cloudinary');
+const { auditTrail } = require('../middleware/audit');
+const { RATE_LIMITS, rateLimit } = require('../middleware/rateLimit');
+const {
+  authenticateToken,
+  authenticateTokenOrSetupChallenge,
+  authenticateCron,
+  authorize,
+  requireOwnClient,
+  requireRequestInScope
+} = require('../middleware/auth');
+const statusController = require('../controllers/statusController');
+const logController = require('../controllers/logController');
+const authController = require('../controllers/authController');
+const userController = require('../controllers/userController');
+const sessionController = require('../controllers/sessionController');
+const credentialController = require('../controllers/credentialController');
+const twoFactorController = require('../controllers/twoFactorController');
+const lockoutController = require('../controllers/lockoutController');
+const serviceTypeController = require('../controllers/serviceTypeController');
+const requestController = require('../controllers/requestController');
+const runController = require('../controllers/runController');
+const proofOfDeliveryController = require('../controllers/proofOfDeliveryController');
+const custodyController = require('../controllers/custodyController');
+const trackingController = require('../controllers/trackingController');
+const geofenceController = require('../controllers/geofenceController');
+const staffController = require('../controllers/staffController');
+const roleController = require('../controllers/roleController');
+const uploadController = require('../controllers/uploadController');
+const teamController = require('../controllers/teamController');
+const clientController = require('../controllers/clientController');
+const branchController = require('../controllers/branchController');
+const serviceChargeController = require('../controllers/serviceChargeController');
+const invoiceController = require('../controllers/invoiceController');
+const noticeController = require('../controllers/noticeController');
+const vehicleController = require('../controllers/vehicleController');
+const dailyRunController = require('../controllers/dailyRunController');
+const rosterController = require('../controllers/rosterController');
+const attendanceController = require('../controllers/attendanceController');
+const dispatchController = require('../controllers/dispatchController');
+const carryingLimitController = require('../controllers/carryingLimitController');
+const standingOrderController = require('../controllers/standingOrderController');
+const cancellationController = require('../controllers/cancellationController');
+const slaController = require('../controllers/slaController');
+const auditController = require('../controllers/auditController');
+const sosController = require('../controllers/sosController');
+const eventController = require('../controllers/eventController');
+
+// Every route of the API. server.js and api/index.js both mount this router,
+// so the two entry points only differ in CORS, body limits and database driver.
+const router = express.Router();
+
+// Public endpoints are rate limited per IP
+router.use('/api/auth', rateLimit({ name: 'auth', max: RATE_LIMITS.auth }));
+router.use('/api/logs', rateLimit({ name: 'logs', max: RATE_LIMITS.logs }));
+router.use('/api/service-types', rateLimit({ name: 'service-types', max: RATE_LIMITS.serviceTypes }));
+
+router.use(auditTrail);
+
+// Serve locally stored uploads when Cloudinary is not configured
+if (!isCloudinaryConfigured) {
+  router.use('/uploads', express.static(LOCAL_UPLOAD_DIR));
+}
+
+// Status routes
+router.get('/', statusController.getRoot);
+router.get('/api', statusController.getApi);
+router.get('/api/health', statusController.getHealth);
+router.get('/api/test-db', statusController.testDatabase);
+router.get('/api/cors-test', statusController.testCors);
+
+// Log routes
+router.post('/api/logs', logController.receiveLog);
+
+// Auth routes
+router.post('/api/auth/login', authController.login);
+router.get('/api/auth/profile', authenticateToken, authController.getProfile);
+// Kept for older admin screens; same as POST /api/users
+router.post('/api/auth/register', authenticateToken, authorize('users:manage'), userController.createUser);
+router.post('/api/auth/refresh', sessionController.refresh);
+router.post('/api/auth/logout', authenticateToken, sessionController.logout);
+router.post('/api/auth/revoke-all', authenticateToken, sessionController.revokeAll);
+router.get('/api/auth/sessions', authenticateToken, sessionController.getSessions);
+router.delete('/api/auth/sessions/:id', authenticateToken, sessionController.revokeSession);
+router.post('/api/auth/change-password', authenticateToken, credentialController.changePassword);
+router.post('/api/auth/forgot-password', credentialController.forgotPassword);
+router.post('/api/auth/reset-password', credentialController.resetPassword);
+router.get('/api/auth/2fa', authenticateToken, twoFactorController.getStatus);
+router.post('/api/auth/2fa/setup', authenticateTokenOrSetupChallenge, twoFactorController.beginEnrolment);
+router.post('/api/auth/2fa/enable', authenticateTokenOrSetupChallenge, twoFactorController.confirmEnrolment);
+router.post('/api/auth/2fa/disable', authenticateToken, twoFactorController.disable);
+router.post('/api/auth/2fa/recovery-codes', authenticateToken, twoFactorController.regenerateRecoveryCodes);
+router.post('/api/auth/2fa/verify', twoFactorController.verify);
+router.get('/api/auth/2fa/policies', authenticateToken, twoFactorController.getPolicies);
+router.put('/api/auth/2fa/policies/:role', authenticateToken, twoFactorController.setPolicy);
+router.get('/api/auth/lockouts', authenticateToken, lockoutController.getLockouts);
+router.delete('/api/auth/lockouts/:scope/:identifier', authenticateToken, lockoutController.clearLockout);
+
+// User routes
+router.get('/api/users', authenticateToken, authorize('users:read'), userController.getUsers);
+router.get('/api/users/:userId', authenticateToken, authorize('users:read'), userController.getUser);
+router.post('/api/users', authenticateToken, authorize('users:manage'), userController.createUser);
+router.put('/api/users/:userId', authenticateToken, authorize('users:manage'), userController.updateUser);
+router.delete('/api/users/:userId', authenticateToken, authorize('users:manage'), userController.disableUser);
+router.put('/api/users/:userId/credentials', authenticateToken, authorize('users:manage'), credentialController.setCredentials);
+router.post('/api/users/:userId/password-reset', authenticateToken, authorize('users:manage'), credentialController.sendPasswordReset);
+router.post('/api/users/:userId/force-logout', authenticateToken, authorize('users:manage'), sessionController.revokeUserSessions);
+router.delete('/api/users/:userId/2fa', authenticateToken, twoFactorController.resetForUser);
+
+// Service type routes
+router.get('/api/service-types', serviceTypeController.getServiceTypes);
+router.get('/api/service-types/:id', serviceTypeController.getServiceType);
+
+// Request routes
+router.get('/api/requests', authenticateToken, authorize('requests:read'), requestController.getRequests);
+router.post('/api/requests', authenticateToken, authorize('requests:create'), requestController.createRequest);
+router.get('/api/requests/in-transit', authenticateToken, authorize('requests:read'), requestController.getInTransit);
+router.patch('/api/requests/:id', authenticateToken, authorize('requests:update'), requestController.updateRequest);
+router.get('/api/requests/:id/history', authenticateToken, authorize('requests:read'), requestController.getHistory);
+
+// Run routes
+router.get('/api/runs', authenticateToken, authorize('runs:read'), runController.getRuns);
+router.get('/api/runs/summaries', authenticateToken, authorize('summaries:read'), runController.getSummaries);
+
+// Proof of delivery routes
+router.post('/api/requests/:id/complete', authenticateToken, authorize('requests:complete'), requireRequestInScope, proofUpload.fields([
+  { name: 'signature', maxCount: 1 },
+  { name: 'photos', maxCount: 10 }
+]), proofOfDeliveryController.completeRequest);
+router.get('/api/requests/:id/proof', authenticateToken, authorize('requests:read'), proofOfDeliveryController.getProof);
+
+// Custody routes
+router.get('/api/requests/:id/consignments', authenticateToken, authorize('custody:read'), custodyController.getConsignments);
+router.post('/api/requests/:id/consignments', authenticateToken, authorize('custody:manage'), custodyController.createConsignment);
+router.get('/api/requests/:id/custody', authenticateToken, authorize('custody:read'), custodyController.getCustody);
+router.post('/api/requests/:id/handovers', authenticateToken, authorize('custody:manage'), custodyController.createHandover);
+router.get('/api/consignments/seal/:sealNumber', authenticateToken, authorize('custody:read'), custodyController.getCustodyBySeal);
+
+// Tracking routes
+router.post('/api/tracking/positions', authenticateToken, authorize('tracking:write'), trackingController.recordPositions);
+router.get('/api/tracking/teams/latest', authenticateToken, authorize('tracking:read'), trackingController.getLatestPositions);
+router.get('/api/tracking/teams/:teamId/latest', authenticateToken, authorize('tracking:read'), trackingController.getLatestPositions);
+router.get('/api/requests/:id/trail', authenticateToken, authorize('requests:read'), trackingController.getRequestTrail);
+
+// Geofence routes
+router.get('/api/geofences', authenticateToken, authorize('geofences:read'), geofenceController.getGeofences);
+router.post('/api/geofences', authenticateToken, authorize('geofences:manage'), geofenceController.createGeofence);
+router.put('/api/geofences/:id', authenticateToken, authorize('geofences:manage'), geofenceController.updateGeofence);
+router.delete('/api/geofences/:id', authenticateToken, authorize('geofences:manage'), geofenceController.deleteGeofence);
+
+// Staff routes
+router.get('/api/staff', authenticateToken, authorize('staff:read'), staffController.getAllStaff);
+router.get('/api/staff/:id', authenticateToken, authorize('staff:read'), staffController.getStaffById);
+router.post('/api/staff', authenticateToken, authorize('staff:manage'), staffController.createStaff);
+router.put('/api/staff/:id', authenticateToken, authorize('staff:manage'), staffController.updateStaff);
+router.delete('/api/staff/:id', authenticateToken, authorize('staff:manage'), staffController.deleteStaff);
+router.put('/api/staff/:id/status', authenticateToken, authorize('staff:manage'), staffController.updateStaffStatus);
+
+// Role routes
+router.get('/api/roles', authenticateToken, authorize('roles:read'), roleController.getAllRoles);
+
+// Upload routes
+router.post('/api/upload', authenticateToken, authorize('uploads:create'), upload.single('photo'), uploadController.uploadImage);
+
+// Team routes
+router.post('/api/teams', authenticateToken, authorize('teams:manage'), teamController.createTeam);
+router.get('/api/teams', authenticateToken, authorize('teams:read'), teamController.getTeams);
+
+// Client routes
+router.get('/api/clients', authenticateToken, authorize('clients:read'), clientController.getAllClients);
+router.get('/api/clients/:id', authenticateToken, authorize('clients:read'), clientController.getClient);
+router.post('/api/clients', authenticateToken, authorize('clients:manage'), clientController.createClient);
+router.put('/api/clients/:id', authenticateToken, authorize('clients:manage'), clientController.updateClient);
+router.delete('/api/clients/:id', authenticateToken, authorize('clients:manage'), clientController.deleteClient);
+
+// Branch routes
+router.get('/api/branches', authenticateToken, authorize('branches:read'), branchController.getAllBranchesWithoutClient);
+router.post('/api/branches/:branchId/force-logout', authenticateToken, authorize('branches:manage'), sessionController.revokeBranchSessions);
+router.get('/api/clients/:clientId/branches', authenticateToken, authorize('branches:read'), requireOwnClient, branchController.getAllBranches);
+router.post('/api/clients/:clientId/branches', authenticateToken, authorize('branches:manage'), requireOwnClient, branchController.createBranch);
+router.put('/api/clients/:clientId/branches/:branchId', authenticateToken, authorize('branches:manage'), requireOwnClient, branchController.updateBranch);
+router.delete('/api/clients/:clientId/branches/:branchId', authenticateToken, authorize('branches:manage'), requireOwnClient, branchController.deleteBranch);
+
+// Service charge routes
+router.get('/api/clients/:clientId/service-charges', authenticateToken, authorize('service-charges:read'), requireOwnClient, serviceChargeController.getServiceCharges);
+router.post('/api/clients/:clientId/service-charges', authenticateToken, authorize('service-charges:manage'), requireOwnClient, serviceChargeController.createServiceCharge);
+router.put('/api/clients/:clientId/service-charges/:chargeId', authenticateToken, authorize('service-charges:manage'), requireOwnClient, serviceChargeController.updateServiceCharge);
+router.delete('/api/clients/:clientId/service-charges/:chargeId', authenticateToken, authorize('service-charges:manage'), requireOwnClient, serviceChargeController.deleteServiceCharge);
+
+// Invoice routes
+router.get('/api/clients/:clientId/invoices', authenticateToken, authorize('invoices:read'), requireOwnClient, invoiceController.getInvoices);
+router.post('/api/clients/:clientId/invoices', authenticateToken, authorize('invoices:manage'), requireOwnClient, invoiceController.generateInvoice);
+router.get('/api/clients/:clientId/invoices/:invoiceId', authenticateToken, authorize('invoices:read'), requireOwnClient, invoiceController.getInvoice);
+router.patch('/api/clients/:clientId/invoices/:invoiceId/status', authenticateToken, authorize('invoices:manage'), requireOwnClient, invoiceController.updateInvoiceStatus);
+router.delete('/api/clients/:clientId/invoices/:invoiceId', authenticateToken, authorize('invoices:manage'), requireOwnClient, invoiceController.deleteInvoice);
+
+// Notice routes
+router.get('/api/notices', authenticateToken, authorize('notices:read'), noticeController.getNotices);
+router.post('/api/notices', authenticateToken, authorize('notices:manage'), noticeController.createNotice);
+router.patch('/api/notices/:id', authenticateToken, authorize('notices:manage'), noticeController.updateNotice);
+router.delete('/api/notices/:id', authenticateToken, authorize('notices:manage'), noticeController.deleteNotice);
+router.patch('/api/notices/:id/status', authenticateToken, authorize('notices:manage'), noticeController.toggleNoticeStatus);
+
+// Vehicle fleet routes
+router.get('/api/vehicles', authenticateToken, authorize('vehicles:read'), vehicleController.getVehicles);
+router.post('/api/vehicles', authenticateToken, authorize('vehicles:manage'), vehicleController.createVehicle);
+router.get('/api/vehicles/assignments', authenticateToken, authorize('vehicles:read'), vehicleController.getAssignments);
+router.get('/api/vehicles/:id', authenticateToken, authorize('vehicles:read'), vehicleController.getVehicle);
+router.put('/api/vehicles/:id', authenticateToken, authorize('vehicles:manage'), vehicleController.updateVehicle);
+router.delete('/api/vehicles/:id', authenticateToken, authorize('vehicles:manage'), vehicleController.deleteVehicle);
+router.post('/api/vehicles/:id/assignments', authenticateToken, authorize('vehicles:manage'), vehicleController.assignVehicle);
+router.delete('/api/vehicles/:id/assignments', authenticateToken, authorize('vehicles:manage'), vehicleController.unassignVehicle);
+router.get('/api/teams/:teamId/vehicle', authenticateToken, authorize('vehicles:read'), vehicleController.getTeamVehicle);
+
+// Daily run routes
+router.get('/api/daily-runs', authenticateToken, authorize('daily-runs:read'), dailyRunController.getDailyRuns);
+router.post('/api/daily-runs', authenticateToken, authorize('daily-runs:manage'), dailyRunController.createDailyRun);
+router.put('/api/daily-runs/:id', authenticateToken, authorize('daily-runs:manage'), dailyRunController.updateDailyRun);
+router.delete('/api/daily-runs/:id', authenticateToken, authorize('daily-runs:manage'), dailyRunController.deleteDailyRun);
+router.patch('/api/daily-runs/:id/status', authenticateToken, authorize('daily-runs:manage'), dailyRunController.updateStatus);
+router.get('/api/teams/:teamId/run-sheet', authenticateToken, authorize('daily-runs:read'), dailyRunController.getRunSheet);
+router.post('/api/teams/:teamId/run-sheet', authenticateToken, authorize('daily-runs:manage'), dailyRunController.generateRunSheet);
+
+// Roster routes
+router.get('/api/roster', authenticateToken, authorize('roster:read'), rosterController.getRoster);
+router.post('/api/roster', authenticateToken, authorize('roster:manage'), rosterController.createShift);
+router.get('/api/roster/:id', authenticateToken, authorize('roster:read'), rosterController.getShift);
+router.put('/api/roster/:id', authenticateToken, authorize('roster:manage'), rosterController.updateShift);
+router.delete('/api/roster/:id', authenticateToken, authorize('roster:manage'), rosterController.deleteShift);
+
+// Attendance routes
+router.post('/api/attendance/clock-in', authenticateToken, authorize('attendance:write'), attendanceUpload.single('photo'), attendanceController.clockIn);
+router.post('/api/attendance/clock-out', authenticateToken, authorize('attendance:write'), attendanceUpload.single('photo'), attendanceController.clockOut);
+router.get('/api/attendance/daily', authenticateToken, authorize('attendance:read'), attendanceController.getDailyAttendance);
+router.get('/api/attendance/report', authenticateToken, authorize('attendance:read'), attendanceController.getAttendanceReport);
+
+// Dispatch routes
+router.get('/api/dispatch/recommendations', authenticateToken, authorize('dispatch:read'), dispatchController.getRecommendations);
+router.post('/api/dispatch/assignments', authenticateToken, authorize('dispatch:manage'), dispatchController.acceptAssignments);
+router.get('/api/teams/:teamId/service-types', authenticateToken, authorize('teams:read'), dispatchController.getTeamServiceTypes);
+router.put('/api/teams/:teamId/service-types', authenticateToken, authorize('teams:manage'), dispatchController.setTeamServiceTypes);
+
+// Carrying limit routes
+router.get('/api/carrying-limits', authenticateToken, authorize('limits:read'), carryingLimitController.getLimits);
+router.post('/api/carrying-limits', authenticateToken, authorize('limits:manage'), carryingLimitController.createLimit);
+router.put('/api/carrying-limits/:id', authenticateToken, authorize('limits:manage'), carryingLimitController.updateLimit);
+router.delete('/api/carrying-limits/:id', authenticateToken, authorize('limits:manage'), carryingLimitController.deleteLimit);
+
+// Standing order routes
+router.get('/api/standing-orders', authenticateToken, authorize('standing-orders:read'), standingOrderController.getStandingOrders);
+router.post('/api/standing-orders', authenticateToken, authorize('standing-orders:manage'), standingOrderController.createStandingOrder);
+router.post('/api/standing-orders/generate', authenticateToken, authorize('standing-orders:generate'), standingOrderController.generate);
+router.get('/api/standing-orders/:id', authenticateToken, authorize('standing-orders:read'), standingOrderController.getStandingOrder);
+router.put('/api/standing-orders/:id', authenticateToken, authorize('standing-orders:manage'), standingOrderController.updateStandingOrder);
+router.delete('/api/standing-orders/:id', authenticateToken, authorize('standing-orders:manage'), standingOrderController.deleteStandingOrder);
+router.patch('/api/standing-orders/:id/status', authenticateToken, authorize('standing-orders:manage'), standingOrderController.setStandingOrderStatus);
+router.get('/api/standing-orders/:id/exceptions', authenticateToken, authorize('standing-orders:read'), standingOrderController.getExceptions);
+router.post('/api/standing-orders/:id/exceptions', authenticateToken, authorize('standing-orders:manage'), standingOrderController.addException);
+router.delete('/api/standing-orders/:id/exceptions/:exceptionId', authenticateToken, authorize('standing-orders:manage'), standingOrderController.deleteException);
+router.get('/api/public-holidays', authenticateToken, authorize('standing-orders:read'), standingOrderController.getHolidays);
+router.post('/api/public-holidays', authenticateToken, authorize('holidays:manage'), standingOrderController.createHoliday);
+router.delete('/api/public-holidays/:id', authenticateToken, authorize('holidays:manage'), standingOrderController.deleteHoliday);
+
+// Cancellation and rescheduling routes
+router.get('/api/cancellation-reasons', authenticateToken, cancellationController.getReasonCodes);
+router.post('/api/requests/:id/cancel', authenticateToken, authorize('requests:cancel'), cancellationController.cancelRequest);
+router.post('/api/requests/:id/reschedule', authenticateToken, authorize('requests:cancel'), cancellationController.rescheduleRequest);
+router.get('/api/requests/:id/charges', authenticateToken, authorize('requests:read'), cancellationController.getRequestCharges);
+router.get('/api/clients/:clientId/cancellation-policy', authenticateToken, authorize('service-charges:read'), requireOwnClient, cancellationController.getPolicy);
+router.put('/api/clients/:clientId/cancellation-policy', authenticateToken, authorize('service-charges:manage'), requireOwnClient, cancellationController.setPolicy);
+
+// SLA routes
+router.get('/api/runs/sla', authenticateToken, authorize('sla:read'), slaController.getReport);
+router.get('/api/runs/sla/breaches', authenticateToken, authorize('sla:read'), slaController.getBreaches);
+router.get('/api/runs/sla/trends', authenticateToken, authorize('sla:read'), slaController.getTrends);
+router.get('/api/clients/:clientId/slas', authenticateToken, authorize('sla:read'), requireOwnClient, slaController.getDefinitions);
+router.post('/api/clients/:clientId/slas', authenticateToken, authorize('sla:manage'), requireOwnClient, slaController.createDefinition);
+router.put('/api/clients/:clientId/slas/:slaId', authenticateToken, authorize('sla:manage'), requireOwnClient, slaController.updateDefinition);
+router.delete('/api/clients/:clientId/slas/:slaId', authenticateToken, authorize('sla:manage'), requireOwnClient, slaController.deleteDefinition);
+
+// Audit routes
+router.get('/api/audit', authenticateToken, auditController.getAuditLog);
+
+// SOS routes
+router.get('/api/sos', authenticateToken, authorize('sos:read'), sosController.getSosList);
+router.get('/api/sos/metrics', authenticateToken, authorize('sos:read'), sosController.getSosMetrics);
+router.post('/api/sos/escalations/run', authenticateToken, authorize('sos:manage'), sosController.runEscalations);
+// Vercel Cron calls this every minute (vercel.json)
+router.get('/api/cron/sos-escalations', authenticateCron, sosController.runEscalations);
+router.get('/api/sos/:id', authenticateToken, authorize('sos:read'), sosController.getSos);
+router.patch('/api/sos/:id/status', authenticateToken, authorize('sos:manage'), sosController.updateSosStatus);
+router.post('/api/sos/:id/acknowledge', authenticateToken, authorize('sos:manage'), sosController.acknowledgeSos);
+router.post('/api/sos/:id/assign', authenticateToken, authorize('sos:manage'), sosController.assignResponder);
+router.get('/api/sos/:id/comments', authenticateToken, authorize('sos:read'), sosController.getSosComments);
+router.post('/api/sos/:id/comments', authenticateToken, authorize('sos:manage'), sosController.addSosComment);
+
+// Live event stream for dashboards (server-sent events). The token goes in the Authorization
+// header like any other route (read the stream with fetch), never in the URL where it gets logged
+router.get('/api/events', authenticateToken, eventController.streamEvents);
+
+// Error handling middleware
+router.use((err, req, res, next) => {
+  // Rejected uploads: a file type the filter refuses, or a multer limit such as file size
+  if (err instanceof multer.MulterError || err.statusCode === 400) {
+    return res.status(400).json({ message: err.message });
+  }
+  console.error(err.stack);
+  res.status(500).json({ message: 'Something went wrong!' });
+});
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const mysql = require('mysql2/promise');
+const crypto = require('crypto');
+require('dotenv').config();
+const { poolDriver, useDriver } = require('../database/query');
+const { createUser, validatePassword } = require('../services/users');
+
+// A random password that meets the password rules
+const generatePassword = () => {
+  let password;
+  do {
+    password = crypto.randomBytes(18).toString('base64url');
+  } while (validatePassword(password));
+  return password;
+};
+
+/**
+ * Create an administrator with a generated password, shown once. An existing
+ * username is refused, never overwritten.
+ *
+ *   node scripts/createAdmin.js <username> [email]
+ */
+async function createAdmin() {
+  const [username, email] = process.argv.slice(2);
+  if (!username) {
+    console.error('Usage: node scripts/createAdmin.js <username> [email]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const pool = mysql.createPool({
+    host: process.env.DB_HOST || 'localhost',
+    user: process.env.DB_USER || 'root',
+    password: process.env.DB_PASSWORD || '',
+    database: process.env.DB_NAME || 'bm_admin_db'
+  });
+  useDriver(poolDriver(pool));
+
+  try {
+    const password = generatePassword();
+    const user = await createUser({ username, name: username, email, password, role: 'admin' });
+
+    console.log('Administrator created successfully!');
+    console.log(`Username: ${user.username}`);
+    console.log(`Password: ${password}`);
+    console.log('The password is not stored anywhere else; change it after the first sign-in.');
+  } catch (error) {
+    console.error('Error creating administrator:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+createAdmin();
@@ -0,0 +1,114 @@
+const { executeQuery } = require('../database/query');
+const { actorId } = require('./users');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Values never written to the audit log
+const SENSITIVE_KEY = /password|token|secret|otp|^code$|recovery_code/i;
+
+const redact = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.fromEntries(Object.entries(value).map(([key, inner]) =>
+      [key, SENSITIVE_KEY.test(key) ? '[redacted]' : redact(inner)]));
+  }
+  return value;
+};
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(redact(value)));
+
+/**
+ * Append one entry to the audit log. The table only accepts inserts (see the
+ * triggers in database/migrations/008_audit_log_append_only.js), so entries
+ * cannot be changed once written.
+ */
+const recordAudit = ({
+  actor = {},
+  action,
+  entity,
+  entityId = null,
+  method,
+  path,
+  ip = null,
+  userAgent = null,
+  statusCode = null,
+  requestBody = null,
+  before = null,
+  after = null
+}) => executeQuery(
+  `INSERT INTO audit_log (
+    actor_id, actor_name, actor_role, action, entity, entity_id,
+    method, path, ip, user_agent, status_code, request_body, before_data, after_data
+  ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  [
+    actorId(actor),
+    actor.name || null,
+    actor.role || null,
+    action,
+    entity,
+    entityId === null ? null : String(entityId),
+    method,
+    path,
+    ip,
+    userAgent ? String(userAgent).slice(0, 255) : null,
+    statusCode,
+    toJson(requestBody && Object.keys(requestBody).length > 0 ? requestBody : null),
+    toJson(before),
+    toJson(after)
+  ]
+);
+
+/**
+ * Audit entries, newest first, filtered by entity, actor, action and time.
+ */
+const queryAudit = async ({ entity, entityId, actorId, actorRole, action, from, to, limit = 100, offset = 0 }) => {
+  const filters = [];
+  const params = [];
+
+  if (entity) {
+    filters.push('entity = ?');
+    params.push(entity);
+  }
+  if (entityId) {
+    filters.push('entity_id = ?');
+    params.push(String(entityId));
+  }
+  if (actorId) {
+    filters.push('actor_id = ?');
+    params.push(actorId);
+  }
+  if (actorRole) {
+    filters.push('actor_role = ?');
+    params.push(actorRole);
+  }
+  if (action) {
+    filters.push('action = ?');
+    params.push(action);
+  }
+  if (from) {
+    filters.push('occurred_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    filters.push('occurred_at < DATE_ADD(?, INTERVAL 1 DAY)');
+    params.push(to);
+  }
+
+  const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+  const totals = await executeQuery(`SELECT COUNT(*) as total FROM audit_log ${where}`, params);
+  const entries = await executeQuery(
+    `SELECT * FROM audit_log ${where} ORDER BY occurred_at DESC, id DESC LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+    params
+  );
+
+  return { total: Number(totals[0].total), limit, offset, entries };
+};
+
+module.exports = {
+  AUDIT_ACTIONS,
+  redact,
+  recordAudit,
+  queryAudit
+};
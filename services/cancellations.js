@@ -0,0 +1,213 @@
+const { executeQuery } = require('../database/query');
+const { actorId } = require('./users');
+const { normalizeStatus, transitionRequest } = require('./requestLifecycle');
+const { publish } = require('./eventBus');
+
+// Reason codes for cancelling or rescheduling; fees are waived when we caused it,
+// so only operator staff may give the fee-waiving ones
+const REASON_CODES = {
+  client_request: { label: 'Requested by client', waivesFee: false },
+  branch_closed: { label: 'Branch closed', waivesFee: false },
+  cash_not_ready: { label: 'Cash not ready', waivesFee: false },
+  duplicate: { label: 'Duplicate request', waivesFee: true },
+  weather: { label: 'Weather or road conditions', waivesFee: true },
+  security_risk: { label: 'Security risk', waivesFee: true },
+  crew_unavailable: { label: 'No crew or vehicle available', waivesFee: true },
+  other: { label: 'Other', waivesFee: false }
+};
+
+const CHARGE_TYPES = ['late_cancellation', 'wasted_trip', 'late_reschedule'];
+
+// Used for clients without a cancellation policy
+const DEFAULT_CUTOFF_HOURS = Number(process.env.CANCELLATION_CUTOFF_HOURS) || 24;
+
+const cancellationError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const validateReason = (reasonCode, note, byOperator) => {
+  if (!REASON_CODES[reasonCode]) {
+    throw cancellationError(400, `A reason code is required: ${Object.keys(REASON_CODES).join(', ')}`);
+  }
+  if (REASON_CODES[reasonCode].waivesFee && !byOperator) {
+    throw cancellationError(403, `Only operator staff can give the reason ${reasonCode}`);
+  }
+  if (reasonCode === 'other' && !note) {
+    throw cancellationError(400, 'A note is required when the reason is other');
+  }
+};
+
+const getPolicy = async (clientId) => {
+  const policies = await executeQuery('SELECT * FROM cancellation_policies WHERE client_id = ?', [clientId]);
+  return policies[0] || {
+    client_id: clientId,
+    cutoff_hours: DEFAULT_CUTOFF_HOURS,
+    charge_late_reschedule: 1
+  };
+};
+
+const loadRequest = async (requestId) => {
+  const requests = await executeQuery(
+    `SELECT r.id, r.status, r.branch_id, r.team_id, r.service_type_id, r.pickup_date, b.client_id
+     FROM requests r
+     LEFT JOIN branches b ON r.branch_id = b.id
+     WHERE r.id = ?`,
+    [requestId]
+  );
+  if (requests.length === 0) {
+    throw cancellationError(404, 'Request not found');
+  }
+  return requests[0];
+};
+
+/**
+ * The fee a cancellation or reschedule attracts under the client's policy.
+ * Once a crew is on its way the trip is wasted; otherwise changes inside the
+ * cutoff before pickup are late. Amounts come from the client's service
+ * charge for the request's service type; no configured fee means no charge.
+ */
+const assessFee = async (request, kind, policy) => {
+  let chargeType = null;
+  if (kind === 'cancel' && normalizeStatus(request.status) === 'en_route_pickup') {
+    chargeType = 'wasted_trip';
+  } else {
+    const hoursBefore = (new Date(request.pickup_date) - Date.now()) / (60 * 60 * 1000);
+    if (hoursBefore < Number(policy.cutoff_hours)) {
+      if (kind === 'cancel') {
+        chargeType = 'late_cancellation';
+      } else if (Number(policy.charge_late_reschedule)) {
+        chargeType = 'late_reschedule';
+      }
+    }
+  }
+  if (!chargeType) {
+    return null;
+  }
+
+  const charges = await executeQuery(
+    'SELECT late_cancel_fee, wasted_trip_fee FROM service_charges WHERE client_id = ? AND service_type_id = ?',
+    [request.client_id, request.service_type_id]
+  );
+  const fee = charges.length > 0
+    ? charges[0][chargeType === 'wasted_trip' ? 'wasted_trip_fee' : 'late_cancel_fee']
+    : null;
+
+  return fee === null || fee === undefined || Number(fee) <= 0
+    ? null
+    : { charge_type: chargeType, amount: Number(fee) };
+};
+
+const recordCharge = async (request, fee, reasonCode, note, actor) => {
+  const result = await executeQuery(
+    `INSERT INTO request_charges (
+      request_id, client_id, branch_id, service_type_id, charge_type, amount,
+      reason_code, note, actor_id, actor_name
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      request.id, request.client_id, request.branch_id, request.service_type_id,
+      fee.charge_type, fee.amount, reasonCode, note || null,
+      actorId(actor), actor.name || null
+    ]
+  );
+  const charges = await executeQuery('SELECT * FROM request_charges WHERE id = ?', [result.insertId]);
+  return charges[0];
+};
+
+const historyReason = (reasonCode, note) =>
+  `${REASON_CODES[reasonCode].label}${note ? `: ${note}` : ''}`;
+
+/**
+ * Cancel a request, keeping the record, and charge any fee the client's
+ * policy calls for. `waiveFee` lets an administrator skip the charge;
+ * `byOperator` says the actor is operator staff, who alone may give a
+ * fee-waiving reason. Returns the charge recorded, if any.
+ */
+const cancelRequest = async (requestId, { reasonCode, note = null, waiveFee = false, byOperator = false }, actor = {}) => {
+  validateReason(reasonCode, note, byOperator);
+  const request = await loadRequest(requestId);
+
+  const policy = await getPolicy(request.client_id);
+  const fee = waiveFee || REASON_CODES[reasonCode].waivesFee
+    ? null
+    : await assessFee(request, 'cancel', policy);
+
+  await transitionRequest(requestId, 'cancelled', actor, historyReason(reasonCode, note));
+  await executeQuery(
+    `UPDATE requests
+     SET cancellation_reason_code = ?, cancellation_note = ?, cancelled_at = NOW()
+     WHERE id = ?`,
+    [reasonCode, note, requestId]
+  );
+
+  const charge = fee ? await recordCharge(request, fee, reasonCode, note, actor) : null;
+  return { charge };
+};
+
+/**
+ * Move a request to a new pickup time. A request assigned for the old day
+ * goes back to pending so it can be dispatched again. Late reschedules are
+ * charged when the client's policy says so; `waiveFee` and `byOperator` are
+ * as for cancelRequest. Returns the reschedule record.
+ */
+const rescheduleRequest = async (
+  requestId,
+  { pickupDate, reasonCode, note = null, waiveFee = false, byOperator = false },
+  actor = {}
+) => {
+  validateReason(reasonCode, note, byOperator);
+  const newPickup = new Date(pickupDate);
+  if (!pickupDate || Number.isNaN(newPickup.getTime()) || newPickup <= new Date()) {
+    throw cancellationError(400, 'A new pickup date in the future is required');
+  }
+
+  const request = await loadRequest(requestId);
+  const status = normalizeStatus(request.status);
+  if (!['pending', 'assigned'].includes(status)) {
+    throw cancellationError(409, `A request that is ${status} cannot be rescheduled`);
+  }
+
+  const policy = await getPolicy(request.client_id);
+  const fee = waiveFee || REASON_CODES[reasonCode].waivesFee
+    ? null
+    : await assessFee(request, 'reschedule', policy);
+
+  const sameDay = new Date(request.pickup_date).toDateString() === newPickup.toDateString();
+  if (status === 'assigned' && !sameDay) {
+    await transitionRequest(requestId, 'pending', actor, `Rescheduled: ${historyReason(reasonCode, note)}`);
+    await executeQuery('UPDATE requests SET team_id = NULL, staff_id = NULL WHERE id = ?', [requestId]);
+  }
+  await executeQuery('UPDATE requests SET pickup_date = ? WHERE id = ?', [pickupDate, requestId]);
+
+  const charge = fee ? await recordCharge(request, fee, reasonCode, note, actor) : null;
+
+  const result = await executeQuery(
+    `INSERT INTO request_reschedules (
+      request_id, from_pickup_date, to_pickup_date, reason_code, note, charge_id, actor_id, actor_name
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      requestId, request.pickup_date, pickupDate, reasonCode, note,
+      charge ? charge.id : null, actorId(actor), actor.name || null
+    ]
+  );
+
+  await publish('request.rescheduled', {
+    id: Number(requestId),
+    branch_id: request.branch_id,
+    from_pickup_date: request.pickup_date,
+    pickup_date: pickupDate
+  }, { branchId: request.branch_id });
+
+  const reschedules = await executeQuery('SELECT * FROM request_reschedules WHERE id = ?', [result.insertId]);
+  return { reschedule: reschedules[0], charge };
+};
+
+module.exports = {
+  REASON_CODES,
+  CHARGE_TYPES,
+  DEFAULT_CUTOFF_HOURS,
+  getPolicy,
+  cancelRequest,
+  rescheduleRequest
+};
@@ -0,0 +1,156 @@
+const { executeQuery } = require('../database/query');
+const { getTeamAssignment } = require('./fleet');
+const { sequenceRun } = require('./routeSequencing');
+
+const LIMIT_SCOPES = ['vehicle_type', 'team', 'client'];
+
+// Requests that still need a stop on the team's run
+const OPEN_STATUSES = ['assigned', 'en_route_pickup', 'picked_up', 'in_transit'];
+
+const formatAmount = (value) => Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+/**
+ * The limits that apply to a team on a date: the lowest of the team limit,
+ * the limit for its vehicle's type and the vehicle's insurance limit, plus
+ * the per-client limits. A null total means the team is unrestricted.
+ */
+const getTeamLimits = async (teamId, date) => {
+  const candidates = [];
+
+  const rows = await executeQuery(
+    "SELECT scope, team_id, vehicle_type, client_id, max_value FROM carrying_limits WHERE scope = 'client' OR team_id = ? OR scope = 'vehicle_type'",
+    [teamId]
+  );
+
+  const teamLimit = rows.find(row => row.scope === 'team' && String(row.team_id) === String(teamId));
+  if (teamLimit) {
+    candidates.push({ value: Number(teamLimit.max_value), source: 'team limit' });
+  }
+
+  let vehicle = null;
+  const assignment = await getTeamAssignment(teamId, date);
+  if (assignment) {
+    vehicle = { id: assignment.vehicle_id, type: assignment.vehicle_type, registration: assignment.registration_number };
+  } else {
+    const rostered = await executeQuery(
+      `SELECT v.id, v.type, v.registration_number as registration
+       FROM roster_shifts rs
+       JOIN vehicles v ON rs.vehicle_id = v.id
+       WHERE rs.team_id = ? AND rs.date = ?
+       ORDER BY rs.starts_at
+       LIMIT 1`,
+      [teamId, date]
+    );
+    vehicle = rostered[0] || null;
+  }
+
+  if (vehicle) {
+    const typeLimit = rows.find(row => row.scope === 'vehicle_type' && row.vehicle_type === vehicle.type);
+    if (typeLimit) {
+      candidates.push({ value: Number(typeLimit.max_value), source: `${vehicle.type} vehicle limit` });
+    }
+    const insured = await executeQuery('SELECT insurance_limit FROM vehicles WHERE id = ?', [vehicle.id]);
+    if (insured.length > 0 && insured[0].insurance_limit !== null) {
+      candidates.push({
+        value: Number(insured[0].insurance_limit),
+        source: `vehicle ${vehicle.registration} insurance limit`
+      });
+    }
+  }
+
+  const lowest = candidates.reduce((min, candidate) => (!min || candidate.value < min.value ? candidate : min), null);
+
+  return {
+    total: lowest ? lowest.value : null,
+    totalSource: lowest ? lowest.source : null,
+    clients: new Map(rows
+      .filter(row => row.scope === 'client')
+      .map(row => [row.client_id, Number(row.max_value)]))
+  };
+};
+
+/**
+ * A team's open requests on a date with their value (sealed consignments when
+ * recorded, otherwise the declared value) and client. `extraRequestIds` adds
+ * requests that are about to be assigned to the team.
+ */
+const loadRunRequests = async (teamId, date, extraRequestIds = []) => {
+  const extra = extraRequestIds.length > 0
+    ? ` OR r.id IN (${extraRequestIds.map(() => '?').join(', ')})`
+    : '';
+
+  return executeQuery(
+    `SELECT r.id, r.status, r.pickup_date, r.pickup_location, r.delivery_location,
+            r.latitude, r.longitude, r.delivery_latitude, r.delivery_longitude,
+            b.client_id,
+            COALESCE(
+              (SELECT SUM(c.declared_value) FROM consignments c WHERE c.request_id = r.id),
+              r.declared_value,
+              0
+            ) as value
+     FROM requests r
+     LEFT JOIN branches b ON r.branch_id = b.id
+     WHERE (r.team_id = ? AND DATE(r.pickup_date) = ?
+            AND r.status IN (${OPEN_STATUSES.map(() => '?').join(', ')}))${extra}`,
+    [teamId, date, ...OPEN_STATUSES, ...extraRequestIds]
+  );
+};
+
+const describeBreach = (breach) => {
+  const where = breach.type === 'start'
+    ? 'before the first stop'
+    : `at stop ${breach.sequence} (${breach.type} for request ${breach.request_id}, ${breach.location})`;
+  return `Team would carry ${formatAmount(breach.load)} ${where}, over the ${breach.limit_source} of ${formatAmount(breach.limit)}`;
+};
+
+const limitError = (breach) => {
+  const error = new Error(describeBreach(breach));
+  error.statusCode = 409;
+  error.details = { breach };
+  return error;
+};
+
+/**
+ * Sequence the team's run for a date, including any requests about to be
+ * assigned, within the carrying limits. Returns the run sheet; throws a 409
+ * error explaining the breaching stop when no order keeps the team in limits.
+ */
+const planWithinLimits = async (teamId, date, { extraRequestIds = [], start = null, startTime = null } = {}) => {
+  const requests = await loadRunRequests(teamId, date, extraRequestIds);
+  if (requests.length === 0) {
+    return null;
+  }
+
+  const limits = await getTeamLimits(teamId, date);
+  const firstPickup = new Date(Math.min(...requests.map(request => new Date(request.pickup_date).getTime())));
+  const sheet = sequenceRun(requests, start, startTime || firstPickup, limits);
+
+  if (sheet.breach) {
+    throw limitError(sheet.breach);
+  }
+  return sheet;
+};
+
+/**
+ * Check that assigning a request to a team keeps the team's run for that day
+ * within its limits. Throws a 409 error explaining the breach otherwise.
+ */
+const assertAssignmentWithinLimits = async (requestId, teamId) => {
+  const requests = await executeQuery(
+    "SELECT DATE_FORMAT(pickup_date, '%Y-%m-%d') as date FROM requests WHERE id = ?",
+    [requestId]
+  );
+  if (requests.length === 0) {
+    return;
+  }
+  await planWithinLimits(teamId, requests[0].date, { extraRequestIds: [Number(requestId)] });
+};
+
+module.exports = {
+  LIMIT_SCOPES,
+  getTeamLimits,
+  loadRunRequests,
+  describeBreach,
+  planWithinLimits,
+  assertAssignmentWithinLimits
+};
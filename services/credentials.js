@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { executeQuery } = require('../database/query');
+const { revokeUserSessions } = require('./sessions');
+const { sendMail } = require('./mailer');
+const { MIN_PASSWORD_LENGTH, validatePassword, loadUser } = require('./users');
+
+const RESET_TOKEN_MINUTES = Number(process.env.PASSWORD_RESET_MINUTES) || 60;
+
+// Page that accepts ?token=; without it the email carries the bare token
+const RESET_URL = process.env.PASSWORD_RESET_URL || null;
+
+const credentialError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Store a new password hash, void outstanding reset tokens and sign the
+ * user out of their other sessions.
+ */
+const storePassword = async (userId, password, reason, keepSessionId = null) => {
+  const hashedPassword = await bcrypt.hash(password, 12);
+  await executeQuery(
+    'UPDATE users SET password = ?, password_changed_at = NOW() WHERE id = ?',
+    [hashedPassword, userId]
+  );
+  await executeQuery(
+    'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  await revokeUserSessions(userId, reason, keepSessionId);
+};
+
+/**
+ * Set a user's username and/or password on an administrator's behalf.
+ */
+const setCredentials = async (userId, { username, password }) => {
+  if (username === undefined && password === undefined) {
+    throw credentialError(400, 'A username or password is required');
+  }
+  if (password !== undefined) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      throw credentialError(400, passwordError);
+    }
+  }
+
+  await loadUser(userId);
+
+  if (username !== undefined) {
+    if (typeof username !== 'string' || !username.trim()) {
+      throw credentialError(400, 'Username cannot be empty');
+    }
+    const taken = await executeQuery(
+      'SELECT id FROM users WHERE username = ? AND id <> ?',
+      [username.trim(), userId]
+    );
+    if (taken.length > 0) {
+      throw credentialError(409, 'Username is already in use');
+    }
+    await executeQuery('UPDATE users SET username = ? WHERE id = ?', [username.trim(), userId]);
+  }
+
+  if (password !== undefined) {
+    await storePassword(userId, password, 'credentials_reset');
+  }
+};
+
+const changePassword = async (userId, currentPassword, newPassword, sessionId) => {
+  const user = await loadUser(userId);
+  if (!user.password || !(await bcrypt.compare(String(currentPassword || ''), user.password))) {
+    throw credentialError(401, 'Current password is incorrect');
+  }
+
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    throw credentialError(400, passwordError);
+  }
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw credentialError(400, 'New password must differ from the current one');
+  }
+
+  await storePassword(userId, newPassword, 'password_changed', sessionId);
+};
+
+// Create a single-use reset token for the user and email it
+const sendResetToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await executeQuery(
+    `INSERT INTO password_resets (user_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))`,
+    [user.id, hashToken(token), RESET_TOKEN_MINUTES]
+  );
+
+  const link = RESET_URL ? `${RESET_URL}${RESET_URL.includes('?') ? '&' : '?'}token=${encodeURIComponent(token)}` : null;
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hello ${user.name},`,
+      '',
+      'A password reset was requested for your account.',
+      link ? `Open this link to choose a new password: ${link}` : `Your reset token is: ${token}`,
+      '',
+      `It expires in ${RESET_TOKEN_MINUTES} minutes and can be used once. If you did not ask for this, ignore this email.`
+    ].join('\n')
+  });
+};
+
+/**
+ * Forgot-password: email a reset token to the user matching a username or
+ * email. Unknown accounts are ignored so the caller cannot probe for them.
+ */
+const requestPasswordReset = async (identifier) => {
+  const users = await executeQuery(
+    "SELECT id, name, email FROM users WHERE (username = ? OR email = ?) AND status = 'active' LIMIT 1",
+    [identifier, identifier]
+  );
+  if (users.length === 0 || !users[0].email) {
+    return;
+  }
+  await sendResetToken(users[0]);
+};
+
+// Administrator-initiated reset for a specific user
+const sendPasswordReset = async (userId) => {
+  const user = await loadUser(userId);
+  if (!user.email) {
+    throw credentialError(400, 'User has no email address to send a reset to');
+  }
+  await sendResetToken(user);
+};
+
+const resetPassword = async (token, newPassword) => {
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) {
+    throw credentialError(400, passwordError);
+  }
+
+  const resets = await executeQuery(
+    `SELECT id, user_id FROM password_resets
+     WHERE token_hash = ? AND used_at IS NULL AND expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  if (resets.length === 0) {
+    throw credentialError(400, 'Reset token is invalid or has expired');
+  }
+
+  // Claim the token so a second request with it fails
+  const claimed = await executeQuery(
+    'UPDATE password_resets SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [resets[0].id]
+  );
+  if (claimed.affectedRows === 0) {
+    throw credentialError(400, 'Reset token is invalid or has expired');
+  }
+
+  await storePassword(resets[0].user_id, newPassword, 'password_reset');
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  RESET_TOKEN_MINUTES,
+  validatePassword,
+  setCredentials,
+  changePassword,
+  requestPasswordReset,
+  sendPasswordReset,
+  resetPassword
+};
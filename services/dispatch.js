@@ -0,0 +1,159 @@
+const { executeQuery } = require('../database/query');
+const { haversineDistance } = require('./geo');
+
+// Request statuses that keep a team busy
+const ACTIVE_STATUSES = ['assigned', 'en_route_pickup', 'picked_up', 'in_transit'];
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+
+// Scoring weights: one assigned request costs as much as WORKLOAD_WEIGHT km of extra travel
+const WORKLOAD_WEIGHT = Number(process.env.DISPATCH_WORKLOAD_WEIGHT) || 5;
+const UNKNOWN_DISTANCE_KM = Number(process.env.DISPATCH_UNKNOWN_DISTANCE_KM) || 25;
+const MAX_REQUESTS_PER_TEAM = Number(process.env.DISPATCH_MAX_REQUESTS_PER_TEAM) || 8;
+
+const hasCoordinates = (point) => point && point.latitude !== null && point.longitude !== null;
+
+/**
+ * Teams that can take work on `date`: those rostered that day, or every team
+ * when nobody has been rostered yet. Each team carries its workload, last
+ * known position and service-type qualifications.
+ */
+const loadCandidateTeams = async (date) => {
+  let teams = await executeQuery(
+    `SELECT DISTINCT t.id, t.name, t.crew_commander_id
+     FROM teams t
+     JOIN roster_shifts rs ON rs.team_id = t.id
+     WHERE rs.date = ?`,
+    [date]
+  );
+  const rostered = teams.length > 0;
+  if (!rostered) {
+    teams = await executeQuery('SELECT id, name, crew_commander_id FROM teams');
+  }
+  if (teams.length === 0) {
+    return { teams, rostered };
+  }
+
+  const teamIds = teams.map(team => team.id);
+  const placeholders = teamIds.map(() => '?').join(', ');
+
+  const workloads = await executeQuery(
+    `SELECT team_id, COUNT(*) as active_requests
+     FROM requests
+     WHERE team_id IN (${placeholders})
+       AND DATE(pickup_date) = ?
+       AND status IN (${ACTIVE_STATUSES.map(() => '?').join(', ')})
+     GROUP BY team_id`,
+    [...teamIds, date, ...ACTIVE_STATUSES]
+  );
+
+  const positions = await executeQuery(
+    `SELECT cp.team_id, cp.latitude, cp.longitude, cp.recorded_at
+     FROM crew_positions cp
+     JOIN (
+       SELECT team_id, MAX(recorded_at) as recorded_at
+       FROM crew_positions
+       WHERE team_id IN (${placeholders})
+       GROUP BY team_id
+     ) latest ON latest.team_id = cp.team_id AND latest.recorded_at = cp.recorded_at`,
+    teamIds
+  );
+
+  const qualifications = await executeQuery(
+    `SELECT team_id, service_type_id FROM team_service_types WHERE team_id IN (${placeholders})`,
+    teamIds
+  );
+
+  return {
+    rostered,
+    teams: teams.map(team => ({
+      ...team,
+      workload: Number((workloads.find(w => w.team_id === team.id) || {}).active_requests) || 0,
+      position: positions.find(p => p.team_id === team.id) || null,
+      // Teams without listed qualifications may take any service type
+      serviceTypeIds: qualifications.filter(q => q.team_id === team.id).map(q => q.service_type_id)
+    }))
+  };
+};
+
+const scoreTeam = (team, request) => {
+  const distanceMeters = hasCoordinates(team.position) && hasCoordinates(request)
+    ? Math.round(haversineDistance(team.position, request))
+    : null;
+  const distanceKm = distanceMeters === null ? UNKNOWN_DISTANCE_KM : distanceMeters / 1000;
+
+  return {
+    team_id: team.id,
+    team_name: team.name,
+    distance_meters: distanceMeters,
+    workload: team.workload,
+    score: Math.round((distanceKm + team.workload * WORKLOAD_WEIGHT) * 100) / 100
+  };
+};
+
+/**
+ * Propose a team for every pending request picked up on `date`. Requests are
+ * placed in priority order, and each proposal adds to the chosen team's
+ * workload so later requests spread across teams. Lower scores are better.
+ */
+const recommendAssignments = async (date) => {
+  const requests = await executeQuery(
+    `SELECT r.id, r.branch_id, r.service_type_id, r.priority, r.pickup_date,
+            r.pickup_location, r.delivery_location, r.latitude, r.longitude,
+            b.name as branch_name, st.name as service_type_name
+     FROM requests r
+     LEFT JOIN branches b ON r.branch_id = b.id
+     LEFT JOIN service_types st ON r.service_type_id = st.id
+     WHERE r.status = 'pending' AND DATE(r.pickup_date) = ?
+     ORDER BY r.pickup_date ASC`,
+    [date]
+  );
+
+  requests.sort((a, b) =>
+    (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1) ||
+    new Date(a.pickup_date) - new Date(b.pickup_date));
+
+  const { teams, rostered } = await loadCandidateTeams(date);
+  const proposals = [];
+  const unassignable = [];
+
+  for (const request of requests) {
+    const qualified = teams.filter(team =>
+      team.serviceTypeIds.length === 0 || team.serviceTypeIds.includes(request.service_type_id));
+    const available = qualified.filter(team => team.workload < MAX_REQUESTS_PER_TEAM);
+
+    if (available.length === 0) {
+      unassignable.push({
+        request_id: request.id,
+        reason: qualified.length === 0
+          ? 'No available team is qualified for this service type'
+          : `All qualified teams already have ${MAX_REQUESTS_PER_TEAM} requests`
+      });
+      continue;
+    }
+
+    const ranked = available
+      .map(team => scoreTeam(team, request))
+      .sort((a, b) => a.score - b.score);
+    const best = ranked[0];
+
+    teams.find(team => team.id === best.team_id).workload += 1;
+
+    proposals.push({
+      request_id: request.id,
+      priority: request.priority,
+      branch_name: request.branch_name,
+      service_type_name: request.service_type_name,
+      pickup_date: request.pickup_date,
+      pickup_location: request.pickup_location,
+      ...best,
+      alternatives: ranked.slice(1, 4)
+    });
+  }
+
+  return { date, rostered, proposals, unassignable };
+};
+
+module.exports = {
+  recommendAssignments
+};
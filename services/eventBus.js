@@ -0,0 +1,90 @@
+const { executeQuery } = require('../database/query');
+
+// Domain events and the permission a subscriber needs to receive each one
+const EVENT_PERMISSIONS = {
+  'request.created': 'requests:read',
+  'request.status_changed': 'requests:read',
+  'request.team_assigned': 'requests:read',
+  'request.rescheduled': 'requests:read',
+  'sos.created': 'sos:read',
+  'sos.updated': 'sos:read',
+  'notice.published': 'notices:read'
+};
+
+// How long events stay available for streams to pick up and reconnecting clients to replay
+const RETENTION_HOURS = Number(process.env.EVENT_RETENTION_HOURS) || 24;
+
+// Chance per publish of deleting events past retention, so the table does not grow unbounded
+const CLEANUP_PROBABILITY = 0.01;
+
+// Most events handed to a stream per read
+const READ_LIMIT = 100;
+
+const parseData = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const toEvent = (row) => ({
+  id: Number(row.id),
+  type: row.type,
+  data: parseData(row.data),
+  branchId: row.branch_id,
+  clientId: row.client_id,
+  occurredAt: new Date(row.occurred_at).toISOString()
+});
+
+/**
+ * Record a domain event for every stream to pick up. Events live in MySQL so
+ * they reach streams served by any instance, including other serverless
+ * invocations. `audience.branchId` / `audience.clientId` restrict delivery
+ * for branch users; leave them null for events everyone with the permission
+ * may see. A failure to record is logged rather than failing the change
+ * that raised the event.
+ */
+const publish = async (type, data, audience = {}) => {
+  if (!EVENT_PERMISSIONS[type]) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  try {
+    await executeQuery(
+      'INSERT INTO domain_events (type, data, branch_id, client_id) VALUES (?, ?, ?, ?)',
+      [type, JSON.stringify(data), audience.branchId ?? null, audience.clientId ?? null]
+    );
+
+    if (Math.random() < CLEANUP_PROBABILITY) {
+      executeQuery('DELETE FROM domain_events WHERE occurred_at < NOW() - INTERVAL ? HOUR', [RETENTION_HOURS])
+        .catch(error => console.error('Error pruning domain events:', error));
+    }
+  } catch (error) {
+    console.error(`Error publishing ${type} event:`, error);
+  }
+};
+
+// Id of the newest event, where a stream without Last-Event-ID starts reading
+const getLatestEventId = async () => {
+  const rows = await executeQuery('SELECT MAX(id) as id FROM domain_events');
+  return Number(rows[0]?.id || 0);
+};
+
+/**
+ * Events after `eventId`, oldest first. The newest second is left for the
+ * next read: ids are handed out before commit, so a just-written event can
+ * still appear behind one with a higher id.
+ */
+const getEventsSince = async (eventId) => {
+  const rows = await executeQuery(
+    `SELECT id, type, data, branch_id, client_id, occurred_at
+     FROM domain_events
+     WHERE id > ? AND occurred_at < NOW() - INTERVAL 1 SECOND
+     ORDER BY id
+     LIMIT ${READ_LIMIT}`,
+    [Number(eventId) || 0]
+  );
+  return rows.map(toEvent);
+};
+
+module.exports = {
+  EVENT_PERMISSIONS,
+  publish,
+  getLatestEventId,
+  getEventsSince
+};
@@ -0,0 +1,99 @@
+const { executeQuery } = require('../database/query');
+
+const VEHICLE_TYPES = ['armoured', 'soft_skin'];
+const VEHICLE_STATUSES = ['active', 'maintenance', 'retired'];
+
+const fleetError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const isValidDate = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(String(value)) && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Load a vehicle and make sure it can be put on the road on `date`
+ * (YYYY-MM-DD): active, serviced and insured. Throws an error with a
+ * `statusCode` otherwise.
+ */
+const getRoadworthyVehicle = async (vehicleId, date) => {
+  const vehicles = await executeQuery(
+    `SELECT *,
+            service_due_date IS NOT NULL AND service_due_date < ? as service_overdue,
+            insurance_expiry IS NOT NULL AND insurance_expiry < ? as insurance_expired
+     FROM vehicles
+     WHERE id = ?`,
+    [date, date, vehicleId]
+  );
+  if (vehicles.length === 0) {
+    throw fleetError(404, 'Vehicle not found');
+  }
+
+  const vehicle = vehicles[0];
+  if (vehicle.status !== 'active') {
+    throw fleetError(409, `Vehicle ${vehicle.registration_number} is ${vehicle.status}`);
+  }
+  if (Number(vehicle.service_overdue)) {
+    throw fleetError(409, `Vehicle ${vehicle.registration_number} is overdue for service`);
+  }
+  if (Number(vehicle.insurance_expired)) {
+    throw fleetError(409, `Vehicle ${vehicle.registration_number} insurance has expired`);
+  }
+
+  return vehicle;
+};
+
+/**
+ * Make sure a vehicle can go out with a team on `date`: it is not assigned
+ * to another team and the team has no other vehicle. Without a team the
+ * vehicle must not be assigned to any team that day.
+ */
+const assertVehicleAvailable = async (vehicleId, teamId, date) => {
+  const conflicts = await executeQuery(
+    `SELECT vehicle_id, team_id FROM team_vehicle_assignments
+     WHERE date = ? AND (vehicle_id = ? OR team_id = ?)`,
+    [date, vehicleId, teamId || null]
+  );
+  if (conflicts.some(c => String(c.vehicle_id) === String(vehicleId) && String(c.team_id) !== String(teamId))) {
+    throw fleetError(409, 'Vehicle is already assigned to another team on this date');
+  }
+  if (teamId && conflicts.some(c => String(c.team_id) === String(teamId) && String(c.vehicle_id) !== String(vehicleId))) {
+    throw fleetError(409, 'Team already has a vehicle on this date');
+  }
+};
+
+// Load a driver, who must be an active member of staff
+const getActiveDriver = async (driverId) => {
+  const drivers = await executeQuery('SELECT id, name, status FROM staff WHERE id = ?', [driverId]);
+  if (drivers.length === 0) {
+    throw fleetError(404, 'Driver not found');
+  }
+  if (Number(drivers[0].status) === 0) {
+    throw fleetError(409, `Driver ${drivers[0].name} is inactive`);
+  }
+  return drivers[0];
+};
+
+// The vehicle assignment for a team on a date, or null
+const getTeamAssignment = async (teamId, date) => {
+  const assignments = await executeQuery(
+    `SELECT tva.*, v.registration_number, v.type as vehicle_type, d.name as driver_name
+     FROM team_vehicle_assignments tva
+     JOIN vehicles v ON tva.vehicle_id = v.id
+     LEFT JOIN staff d ON tva.driver_id = d.id
+     WHERE tva.team_id = ? AND tva.date = ?`,
+    [teamId, date]
+  );
+  return assignments[0] || null;
+};
+
+module.exports = {
+  VEHICLE_TYPES,
+  VEHICLE_STATUSES,
+  isValidDate,
+  getRoadworthyVehicle,
+  assertVehicleAvailable,
+  getActiveDriver,
+  getTeamAssignment
+};
@@ -0,0 +1,60 @@
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+const isValidCoordinate = (latitude, longitude) => {
+  const lat = Number(latitude);
+  const lng = Number(longitude);
+  return latitude !== null && latitude !== undefined && latitude !== '' &&
+    longitude !== null && longitude !== undefined && longitude !== '' &&
+    !Number.isNaN(lat) && !Number.isNaN(lng) &&
+    Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+};
+
+// Great-circle distance between two { latitude, longitude } points in meters
+const haversineDistance = (from, to) => {
+  const dLat = toRadians(Number(to.latitude) - Number(from.latitude));
+  const dLng = toRadians(Number(to.longitude) - Number(from.longitude));
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(Number(from.latitude))) * Math.cos(toRadians(Number(to.latitude))) *
+    Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+// Project a point to local x/y meters around an origin (fine for corridor-sized distances)
+const toLocalMeters = (origin, point) => ({
+  x: toRadians(Number(point.longitude) - Number(origin.longitude)) * EARTH_RADIUS_METERS *
+    Math.cos(toRadians(Number(origin.latitude))),
+  y: toRadians(Number(point.latitude) - Number(origin.latitude)) * EARTH_RADIUS_METERS
+});
+
+// Shortest distance in meters from a point to a polyline of { latitude, longitude } points
+const distanceToPolyline = (point, path) => {
+  if (!Array.isArray(path) || path.length === 0) {
+    return Infinity;
+  }
+  if (path.length === 1) {
+    return haversineDistance(point, path[0]);
+  }
+
+  let shortest = Infinity;
+  for (let i = 0; i < path.length - 1; i++) {
+    const a = toLocalMeters(point, path[i]);
+    const b = toLocalMeters(point, path[i + 1]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared === 0
+      ? 0
+      : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+    shortest = Math.min(shortest, distance);
+  }
+  return shortest;
+};
+
+module.exports = {
+  isValidCoordinate,
+  haversineDistance,
+  distanceToPolyline
+};
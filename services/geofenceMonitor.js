@@ -0,0 +1,181 @@
+const { executeQuery } = require('../database/query');
+const { haversineDistance, distanceToPolyline } = require('./geo');
+const { publish } = require('./eventBus');
+
+// A crew that stays within STOP_RADIUS_METERS for STOP_MINUTES outside any zone has stopped unexpectedly
+const STOP_RADIUS_METERS = Number(process.env.GEOFENCE_STOP_RADIUS_METERS) || 50;
+const STOP_MINUTES = Number(process.env.GEOFENCE_STOP_MINUTES) || 10;
+
+// Request statuses during which the crew is on the road
+const ACTIVE_STATUSES = ['en_route_pickup', 'picked_up', 'in_transit'];
+
+const RULE_DESCRIPTIONS = {
+  corridor_exit: 'Crew left the planned route corridor',
+  unexpected_stop: `Crew stopped for over ${STOP_MINUTES} minutes outside a known location`,
+  late_arrival: 'Crew has not reached the geofence by its arrival deadline'
+};
+
+const parsePath = (value) => {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+const isInsideZone = (point, geofence) =>
+  haversineDistance(point, {
+    latitude: geofence.center_latitude,
+    longitude: geofence.center_longitude
+  }) <= Number(geofence.radius_meters);
+
+// Open a route_deviation SOS unless the same rule already has an unresolved one
+const raiseAlert = async ({ rule, geofence, request, teamId, position }) => {
+  const openAlerts = await executeQuery(
+    `SELECT ga.id
+     FROM geofence_alerts ga
+     JOIN sos s ON ga.sos_id = s.id
+     WHERE ga.request_id = ? AND ga.rule = ? AND ga.geofence_id <=> ? AND s.status != 'resolved'`,
+    [request.id, rule, geofence ? geofence.id : null]
+  );
+
+  if (openAlerts.length > 0) {
+    return null;
+  }
+
+  const comment = geofence
+    ? `${RULE_DESCRIPTIONS[rule]}: ${geofence.name}`
+    : RULE_DESCRIPTIONS[rule];
+
+  const sosResult = await executeQuery(
+    `INSERT INTO sos (sos_type, latitude, longitude, staff_id, team_id, request_id, status, comment)
+     VALUES ('route_deviation', ?, ?, ?, ?, ?, 'pending', ?)`,
+    [position.latitude, position.longitude, request.staff_id || null, teamId, request.id, comment]
+  );
+
+  await executeQuery(
+    `INSERT INTO geofence_alerts (geofence_id, request_id, team_id, rule, sos_id, latitude, longitude, detected_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      geofence ? geofence.id : null, request.id, teamId, rule, sosResult.insertId,
+      position.latitude, position.longitude, position.recorded_at
+    ]
+  );
+
+  await publish('sos.created', {
+    id: sosResult.insertId,
+    sos_type: 'route_deviation',
+    rule,
+    team_id: teamId,
+    request_id: request.id,
+    latitude: position.latitude,
+    longitude: position.longitude,
+    comment
+  }, { branchId: request.branch_id });
+
+  return sosResult.insertId;
+};
+
+const detectUnexpectedStop = async (teamId, latest, zones) => {
+  if (zones.some(zone => isInsideZone(latest, zone))) {
+    return false;
+  }
+
+  const windowStart = new Date(new Date(latest.recorded_at).getTime() - STOP_MINUTES * 2 * 60 * 1000);
+  const recent = await executeQuery(
+    `SELECT latitude, longitude, recorded_at
+     FROM crew_positions
+     WHERE team_id = ? AND recorded_at >= ? AND recorded_at <= ?
+     ORDER BY recorded_at DESC`,
+    [teamId, windowStart, new Date(latest.recorded_at)]
+  );
+
+  // Walk back from the latest fix while the crew stays within the stop radius
+  let stoppedSince = new Date(latest.recorded_at);
+  for (const fix of recent) {
+    if (haversineDistance(latest, fix) > STOP_RADIUS_METERS) {
+      break;
+    }
+    stoppedSince = new Date(fix.recorded_at);
+  }
+
+  return new Date(latest.recorded_at) - stoppedSince >= STOP_MINUTES * 60 * 1000;
+};
+
+/**
+ * Check newly recorded fixes for a team against the geofences of its active
+ * request and its branch. Violations open route_deviation SOS incidents.
+ * Returns the ids of the SOS records that were opened.
+ */
+const evaluatePositions = async (teamId, requestId, fixes) => {
+  if (!requestId || fixes.length === 0) {
+    return [];
+  }
+
+  const requests = await executeQuery(
+    'SELECT id, branch_id, staff_id, status FROM requests WHERE id = ?',
+    [requestId]
+  );
+  if (requests.length === 0 || !ACTIVE_STATUSES.includes(requests[0].status)) {
+    return [];
+  }
+  const request = requests[0];
+
+  const geofences = await executeQuery(
+    `SELECT * FROM geofences
+     WHERE active = 1 AND (request_id = ? OR (request_id IS NULL AND branch_id = ?))`,
+    [request.id, request.branch_id]
+  );
+
+  const zones = geofences.filter(geofence => geofence.type === 'zone');
+  const corridors = geofences.filter(geofence => geofence.type === 'corridor');
+  const opened = [];
+
+  const sortedFixes = fixes
+    .map(fix => ({ ...fix, recorded_at: fix.recorded_at ? new Date(fix.recorded_at) : new Date() }))
+    .sort((a, b) => a.recorded_at - b.recorded_at);
+  const latest = sortedFixes[sortedFixes.length - 1];
+
+  for (const corridor of corridors) {
+    const path = parsePath(corridor.path);
+    const outside = sortedFixes.find(fix => distanceToPolyline(fix, path) > Number(corridor.width_meters));
+    if (outside) {
+      const sosId = await raiseAlert({ rule: 'corridor_exit', geofence: corridor, request, teamId, position: outside });
+      if (sosId) opened.push(sosId);
+    }
+  }
+
+  for (const zone of zones.filter(z => z.arrive_by)) {
+    if (latest.recorded_at <= new Date(zone.arrive_by)) {
+      continue;
+    }
+    const arrived = await executeQuery(
+      `SELECT latitude, longitude
+       FROM crew_positions
+       WHERE request_id = ? AND recorded_at <= ?`,
+      [request.id, new Date(zone.arrive_by)]
+    );
+    if (!arrived.some(fix => isInsideZone(fix, zone))) {
+      const sosId = await raiseAlert({ rule: 'late_arrival', geofence: zone, request, teamId, position: latest });
+      if (sosId) opened.push(sosId);
+    }
+  }
+
+  if (await detectUnexpectedStop(teamId, latest, zones)) {
+    const sosId = await raiseAlert({ rule: 'unexpected_stop', geofence: null, request, teamId, position: latest });
+    if (sosId) opened.push(sosId);
+  }
+
+  return opened;
+};
+
+module.exports = {
+  evaluatePositions,
+  isInsideZone
+};
@@ -0,0 +1,132 @@
+const { executeQuery } = require('../database/query');
+const { findLoginUser } = require('./users');
+
+// Failed attempts tracked per account and per client IP
+const ATTEMPT_SCOPES = ['account', 'ip'];
+
+// Failures allowed before each further attempt must wait, doubling from one second
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 30;
+
+// Failures within the window that lock the account or IP out
+const ACCOUNT_LOCK_THRESHOLD = Number(process.env.LOGIN_ACCOUNT_LOCK_THRESHOLD) || 10;
+const IP_LOCK_THRESHOLD = Number(process.env.LOGIN_IP_LOCK_THRESHOLD) || 50;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Failures older than this are forgotten; a lockout lasts its own LOCKOUT_MINUTES regardless
+const FAILURE_WINDOW_MINUTES = Number(process.env.LOGIN_FAILURE_WINDOW_MINUTES) || 15;
+
+const LOCK_THRESHOLDS = { account: ACCOUNT_LOCK_THRESHOLD, ip: IP_LOCK_THRESHOLD };
+
+const normalizeAccount = (username) => String(username).trim().toLowerCase();
+
+/**
+ * The account counter a sign-in attempt counts against. A known account is
+ * keyed on its id, so its username and email share one budget; attempts on
+ * names that match no account are keyed on the name itself.
+ */
+const accountKey = (user, submitted) => (user
+  ? `user:${user.id}`
+  : `name:${normalizeAccount(submitted)}`);
+
+const delaySeconds = (failures) => (failures < FREE_ATTEMPTS
+  ? 0
+  : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS));
+
+const loadCounters = (keys) => executeQuery(
+  `SELECT scope, identifier, failures,
+          TIMESTAMPDIFF(SECOND, NOW(), locked_until) as lock_seconds,
+          TIMESTAMPDIFF(SECOND, last_failed_at, NOW()) as since_last_failure
+   FROM login_attempts
+   WHERE (scope, identifier) IN (${keys.map(() => '(?, ?)').join(', ')})
+     AND (last_failed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE) OR locked_until > NOW())`,
+  [...keys.flat(), FAILURE_WINDOW_MINUTES]
+);
+
+/**
+ * Whether a login attempt may go ahead. When it may not, retryAfter is the
+ * number of seconds to wait: the rest of a lockout, or the progressive delay
+ * that follows each failure past the first few.
+ */
+const checkLoginAllowed = async (account, ip) => {
+  const counters = await loadCounters([['account', account], ['ip', ip || 'unknown']]);
+
+  let retryAfter = 0;
+  let locked = false;
+  counters.forEach(counter => {
+    if (Number(counter.lock_seconds) > 0) {
+      locked = true;
+      retryAfter = Math.max(retryAfter, Number(counter.lock_seconds));
+      return;
+    }
+    const wait = delaySeconds(Number(counter.failures)) - Number(counter.since_last_failure);
+    retryAfter = Math.max(retryAfter, wait);
+  });
+
+  if (retryAfter <= 0) {
+    return { allowed: true };
+  }
+  return {
+    allowed: false,
+    retryAfter,
+    message: locked
+      ? 'Too many failed sign-in attempts; try again later'
+      : 'Please wait before trying again'
+  };
+};
+
+// Count a failure against the account and the IP, locking either out at its threshold
+const recordLoginFailure = async (account, ip) => {
+  const keys = [['account', account], ['ip', ip || 'unknown']];
+  for (const [scope, identifier] of keys) {
+    await executeQuery(
+      `INSERT INTO login_attempts (scope, identifier, failures, first_failed_at, last_failed_at)
+       VALUES (?, ?, 1, NOW(), NOW())
+       ON DUPLICATE KEY UPDATE
+         failures = IF(last_failed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE), failures + 1, 1),
+         first_failed_at = IF(failures = 1, NOW(), first_failed_at),
+         last_failed_at = NOW(),
+         locked_until = IF(failures >= ?, DATE_ADD(NOW(), INTERVAL ? MINUTE), locked_until)`,
+      [scope, identifier, FAILURE_WINDOW_MINUTES, LOCK_THRESHOLDS[scope], LOCKOUT_MINUTES]
+    );
+  }
+};
+
+// A successful sign-in clears the account's failures; the IP's are left to expire
+const recordLoginSuccess = (account) => executeQuery(
+  "DELETE FROM login_attempts WHERE scope = 'account' AND identifier = ?",
+  [account]
+);
+
+// Account counters carry the username of the account they belong to, when there is one
+const listLockouts = () => executeQuery(
+  `SELECT la.scope, la.identifier, u.username, la.failures,
+          la.first_failed_at, la.last_failed_at, la.locked_until
+   FROM login_attempts la
+   LEFT JOIN users u ON la.scope = 'account' AND la.identifier = CONCAT('user:', u.id)
+   WHERE la.locked_until > NOW() OR la.last_failed_at > DATE_SUB(NOW(), INTERVAL ? MINUTE)
+   ORDER BY la.locked_until IS NULL, la.locked_until DESC, la.last_failed_at DESC`,
+  [FAILURE_WINDOW_MINUTES]
+);
+
+// Account lockouts can be cleared by the listed identifier or by the account's username or email
+const clearLockout = async (scope, identifier) => {
+  const key = scope === 'account' && !/^(user|name):/.test(identifier)
+    ? accountKey(await findLoginUser(identifier), identifier)
+    : identifier;
+  const result = await executeQuery(
+    'DELETE FROM login_attempts WHERE scope = ? AND identifier = ?',
+    [scope, key]
+  );
+  return result.affectedRows > 0;
+};
+
+module.exports = {
+  ATTEMPT_SCOPES,
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  listLockouts,
+  clearLockout
+};
@@ -0,0 +1,64 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'no-reply@bm-admin.local';
+
+// Where the file transport drops messages; /tmp is the only writable path on Vercel
+const OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'bm-admin-outbox');
+
+/**
+ * Transports take a message ({ from, to, subject, text }) and deliver it.
+ * The console and file transports are stand-ins for local development;
+ * a real provider is added with registerTransport and selected with
+ * MAIL_TRANSPORT.
+ */
+const transports = {
+  console: async (message) => {
+    console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+  },
+
+  file: async (message) => {
+    await fs.mkdir(OUTBOX_DIR, { recursive: true });
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.writeFile(path.join(OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+  }
+};
+
+/**
+ * MAIL_TRANSPORT has no default. Messages carry live password reset tokens,
+ * so sending fails rather than print them to a production log: it must be
+ * set, and 'console' is only accepted when NODE_ENV is development. It is
+ * read when a message is sent, so an unset transport only breaks email.
+ */
+const configuredTransport = () => {
+  const name = (process.env.MAIL_TRANSPORT || '').trim();
+  if (!name) {
+    throw new Error('MAIL_TRANSPORT is not set; choose a mail transport (e.g. file, or one added with registerTransport)');
+  }
+  if (name === 'console' && process.env.NODE_ENV !== 'development') {
+    throw new Error('The console mail transport is only allowed when NODE_ENV is development');
+  }
+  return name;
+};
+
+const registerTransport = (name, send) => {
+  if (typeof send !== 'function') {
+    throw new Error('A mail transport must be a function');
+  }
+  transports[name] = send;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  const name = configuredTransport();
+  const transport = transports[name];
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  await transport({ from: MAIL_FROM, to, subject, text, sentAt: new Date().toISOString() });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail
+};
@@ -0,0 +1,109 @@
+const { executeQuery } = require('../database/query');
+
+// Used when a service type has no proof requirements configured
+const DEFAULT_REQUIREMENTS = {
+  requiresReceiverName: true,
+  requiresSignature: true,
+  minPhotos: 0,
+  requiresLocation: true
+};
+
+const getProofRequirements = async (serviceTypeId) => {
+  const rows = await executeQuery(
+    `SELECT pod_requires_signature, pod_min_photos, pod_requires_location
+     FROM service_types WHERE id = ?`,
+    [serviceTypeId]
+  );
+
+  if (rows.length === 0) {
+    return { ...DEFAULT_REQUIREMENTS };
+  }
+
+  return {
+    requiresReceiverName: true,
+    requiresSignature: Boolean(rows[0].pod_requires_signature),
+    minPhotos: Number(rows[0].pod_min_photos) || 0,
+    requiresLocation: Boolean(rows[0].pod_requires_location)
+  };
+};
+
+// Returns the list of missing proof items; an empty list means the proof is sufficient
+const findMissingProof = (requirements, proof) => {
+  const missing = [];
+
+  if (requirements.requiresReceiverName && !proof.receiverName) {
+    missing.push('receiver_name');
+  }
+  if (requirements.requiresSignature && !proof.signatureUrl) {
+    missing.push('signature');
+  }
+  if ((proof.photoUrls || []).length < requirements.minPhotos) {
+    missing.push(`photos (at least ${requirements.minPhotos})`);
+  }
+  if (requirements.requiresLocation &&
+      (proof.latitude === null || proof.latitude === undefined ||
+       proof.longitude === null || proof.longitude === undefined)) {
+    missing.push('latitude/longitude');
+  }
+
+  return missing;
+};
+
+const parsePhotoUrls = (value) => {
+  if (!value) {
+    return [];
+  }
+  if (Array.isArray(value)) {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return [];
+  }
+};
+
+const getProof = async (requestId) => {
+  const rows = await executeQuery(
+    'SELECT * FROM proof_of_delivery WHERE request_id = ?',
+    [requestId]
+  );
+
+  if (rows.length === 0) {
+    return null;
+  }
+
+  return { ...rows[0], photo_urls: parsePhotoUrls(rows[0].photo_urls) };
+};
+
+// Whether a request has stored proof that satisfies its service type's requirements
+const hasRequiredProof = async (requestId) => {
+  const requests = await executeQuery(
+    'SELECT service_type_id FROM requests WHERE id = ?',
+    [requestId]
+  );
+  if (requests.length === 0) {
+    return false;
+  }
+
+  const proof = await getProof(requestId);
+  if (!proof) {
+    return false;
+  }
+
+  const requirements = await getProofRequirements(requests[0].service_type_id);
+  return findMissingProof(requirements, {
+    receiverName: proof.receiver_name,
+    signatureUrl: proof.signature_url,
+    photoUrls: proof.photo_urls,
+    latitude: proof.latitude,
+    longitude: proof.longitude
+  }).length === 0;
+};
+
+module.exports = {
+  getProofRequirements,
+  findMissingProof,
+  getProof,
+  hasRequiredProof
+};
@@ -0,0 +1,74 @@
+const { executeQuery } = require('../database/query');
+
+// Chance per hit of deleting expired MySQL windows, so the table does not grow unbounded
+const CLEANUP_PROBABILITY = 0.01;
+
+/**
+ * Fixed-window hit counters. Each store's hit(key, windowSeconds) counts one
+ * request and returns { count, resetInSeconds }. MySQL is the default so
+ * limits hold across serverless instances; the memory store suits a single
+ * local process. RATE_LIMIT_STORE selects one.
+ */
+const windowStart = (windowSeconds) => Math.floor(Date.now() / 1000 / windowSeconds) * windowSeconds;
+
+const mysqlStore = {
+  hit: async (key, windowSeconds) => {
+    const start = windowStart(windowSeconds);
+    await executeQuery(
+      `INSERT INTO rate_limit_counters (bucket_key, window_start, hits, expires_at)
+       VALUES (?, FROM_UNIXTIME(?), 1, FROM_UNIXTIME(?))
+       ON DUPLICATE KEY UPDATE hits = hits + 1`,
+      [key, start, start + windowSeconds]
+    );
+    const rows = await executeQuery(
+      'SELECT hits FROM rate_limit_counters WHERE bucket_key = ? AND window_start = FROM_UNIXTIME(?)',
+      [key, start]
+    );
+
+    if (Math.random() < CLEANUP_PROBABILITY) {
+      executeQuery('DELETE FROM rate_limit_counters WHERE expires_at < NOW()')
+        .catch(error => console.error('Error pruning rate limit counters:', error));
+    }
+
+    return { count: Number(rows[0]?.hits || 1), resetInSeconds: start + windowSeconds - Math.floor(Date.now() / 1000) };
+  }
+};
+
+const memoryCounters = new Map();
+
+const memoryStore = {
+  hit: async (key, windowSeconds) => {
+    const start = windowStart(windowSeconds);
+    const bucket = `${key}@${start}`;
+    const count = (memoryCounters.get(bucket) || 0) + 1;
+    memoryCounters.set(bucket, count);
+
+    // Forget windows that have closed
+    memoryCounters.forEach((value, storedBucket) => {
+      if (Number(storedBucket.split('@').pop()) + windowSeconds * 2 < start) {
+        memoryCounters.delete(storedBucket);
+      }
+    });
+
+    return { count, resetInSeconds: start + windowSeconds - Math.floor(Date.now() / 1000) };
+  }
+};
+
+const stores = {
+  mysql: mysqlStore,
+  memory: memoryStore
+};
+
+const getStore = () => {
+  const name = process.env.RATE_LIMIT_STORE || 'mysql';
+  if (!stores[name]) {
+    throw new Error(`Unknown rate limit store: ${name}`);
+  }
+  return stores[name];
+};
+
+const hit = (key, windowSeconds) => getStore().hit(key, windowSeconds);
+
+module.exports = {
+  hit
+};
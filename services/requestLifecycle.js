@@ -0,0 +1,205 @@
+const { executeQuery } = require('../database/query');
+const { actorId } = require('./users');
+const { hasRequiredProof } = require('./proofOfDelivery');
+const { publish } = require('./eventBus');
+
+const STATUSES = [
+  'pending',
+  'assigned',
+  'en_route_pickup',
+  'picked_up',
+  'in_transit',
+  'delivered',
+  'failed',
+  'cancelled'
+];
+
+// Allowed next statuses for each status; delivered, failed and cancelled are final
+const TRANSITIONS = {
+  pending: ['assigned', 'cancelled'],
+  assigned: ['pending', 'en_route_pickup', 'cancelled'],
+  en_route_pickup: ['picked_up', 'failed', 'cancelled'],
+  picked_up: ['in_transit', 'failed'],
+  in_transit: ['delivered', 'failed'],
+  delivered: [],
+  failed: [],
+  cancelled: []
+};
+
+// Older status names still sent by clients or stored on old rows
+const LEGACY_STATUS_ALIASES = {
+  in_progress: 'in_transit',
+  completed: 'delivered'
+};
+
+// Numeric requests.my_status kept in sync for older clients
+const MY_STATUS_BY_STATUS = {
+  pending: 0,
+  assigned: 1,
+  en_route_pickup: 1,
+  picked_up: 2,
+  in_transit: 2,
+  delivered: 3,
+  failed: 4,
+  cancelled: 4
+};
+
+const STATUS_BY_MY_STATUS = {
+  0: 'pending',
+  1: 'assigned',
+  2: 'in_transit',
+  3: 'delivered',
+  4: 'cancelled'
+};
+
+// Actual times captured on the request when it first reaches these statuses (used for SLAs)
+const MILESTONE_COLUMNS = {
+  picked_up: 'picked_up_at',
+  delivered: 'delivered_at',
+  failed: 'failed_at'
+};
+
+const normalizeStatus = (status) => {
+  if (status === undefined || status === null) {
+    return null;
+  }
+  const value = LEGACY_STATUS_ALIASES[status] || status;
+  return STATUSES.includes(value) ? value : null;
+};
+
+const fromLegacyMyStatus = (myStatus) => STATUS_BY_MY_STATUS[Number(myStatus)] || null;
+
+const toLegacyMyStatus = (status) => MY_STATUS_BY_STATUS[normalizeStatus(status)];
+
+const canTransition = (fromStatus, toStatus) => {
+  const from = normalizeStatus(fromStatus);
+  const to = normalizeStatus(toStatus);
+  return Boolean(from && to && TRANSITIONS[from].includes(to));
+};
+
+const lifecycleError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const recordHistory = (requestId, fromStatus, toStatus, actor = {}, reason = null) => executeQuery(
+  `INSERT INTO request_status_history (
+    request_id, from_status, to_status, actor_id, actor_name, actor_role, reason
+  ) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+  [
+    requestId,
+    fromStatus,
+    toStatus,
+    actorId(actor),
+    actor.name || null,
+    actor.role || null,
+    reason
+  ]
+);
+
+/**
+ * Move a request to a new status, enforcing the lifecycle rules and writing
+ * the transition to request_status_history. `actor` is the JWT user.
+ * Throws an error with a `statusCode` when the transition is not allowed.
+ */
+const transitionRequest = async (requestId, requestedStatus, actor, reason = null) => {
+  const toStatus = normalizeStatus(requestedStatus);
+  if (!toStatus) {
+    throw lifecycleError(400, `Invalid status: ${requestedStatus}`);
+  }
+
+  const requests = await executeQuery('SELECT id, status, branch_id, team_id FROM requests WHERE id = ?', [requestId]);
+  if (requests.length === 0) {
+    throw lifecycleError(404, 'Request not found');
+  }
+
+  const fromStatus = normalizeStatus(requests[0].status) || 'pending';
+  if (fromStatus === toStatus) {
+    return { fromStatus, toStatus, changed: false };
+  }
+
+  if (!canTransition(fromStatus, toStatus)) {
+    throw lifecycleError(409, `Cannot change request from ${fromStatus} to ${toStatus}`);
+  }
+
+  if (toStatus === 'delivered' && !(await hasRequiredProof(requestId))) {
+    throw lifecycleError(409, 'Proof of delivery is required before a request can be delivered');
+  }
+
+  // Guard against a concurrent transition from the same status
+  const timestampColumn = MILESTONE_COLUMNS[toStatus];
+  const result = await executeQuery(
+    `UPDATE requests
+     SET status = ?, my_status = ?${timestampColumn ? `, ${timestampColumn} = COALESCE(${timestampColumn}, NOW())` : ''}
+     WHERE id = ? AND status = ?`,
+    [toStatus, MY_STATUS_BY_STATUS[toStatus], requestId, requests[0].status]
+  );
+  if (result.affectedRows === 0) {
+    throw lifecycleError(409, 'Request status changed while updating; please retry');
+  }
+
+  await recordHistory(requestId, fromStatus, toStatus, actor, reason);
+
+  await publish('request.status_changed', {
+    id: Number(requestId),
+    branch_id: requests[0].branch_id,
+    team_id: requests[0].team_id,
+    from_status: fromStatus,
+    status: toStatus
+  }, { branchId: requests[0].branch_id });
+
+  return { fromStatus, toStatus, changed: true };
+};
+
+const getHistory = (requestId) => executeQuery(
+  `SELECT * FROM request_status_history
+   WHERE request_id = ?
+   ORDER BY created_at ASC, id ASC`,
+  [requestId]
+);
+
+// A requests row (optionally joined with branch, client and service type names) as the API returns it
+const mapRequestFields = (request) => ({
+  id: request.id,
+  userId: request.user_id,
+  userName: request.user_name,
+  serviceTypeId: request.service_type_id,
+  serviceTypeName: request.service_type_name,
+  pickupLocation: request.pickup_location,
+  deliveryLocation: request.delivery_location,
+  pickupDate: request.pickup_date,
+  description: request.description,
+  priority: request.priority,
+  status: request.status,
+  myStatus: request.my_status,
+  branchId: request.branch_id,
+  branchName: request.branch_name,
+  clientName: request.client_name,
+  price: request.price,
+  latitude: request.latitude,
+  longitude: request.longitude,
+  deliveryLatitude: request.delivery_latitude,
+  deliveryLongitude: request.delivery_longitude,
+  declaredValue: request.declared_value,
+  standingOrderId: request.standing_order_id,
+  cancellationReasonCode: request.cancellation_reason_code,
+  cancellationNote: request.cancellation_note,
+  cancelledAt: request.cancelled_at,
+  team_id: request.team_id,
+  createdAt: request.created_at,
+  updatedAt: request.updated_at
+});
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  normalizeStatus,
+  fromLegacyMyStatus,
+  toLegacyMyStatus,
+  canTransition,
+  recordHistory,
+  transitionRequest,
+  getHistory,
+  mapRequestFields
+};
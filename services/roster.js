@@ -0,0 +1,141 @@
+const { executeQuery } = require('../database/query');
+const { isValidDate, getRoadworthyVehicle } = require('./fleet');
+
+const rosterError = (statusCode, message, details = {}) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  error.details = details;
+  return error;
+};
+
+const isValidTime = (value) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(String(value));
+
+const addDays = (date, days) => {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+};
+
+/**
+ * Shift window as DATETIME strings. A shift whose end time is not after its
+ * start time runs overnight and ends on the following day.
+ */
+const getShiftWindow = (date, startTime, endTime) => {
+  const start = startTime.length === 5 ? `${startTime}:00` : startTime;
+  const end = endTime.length === 5 ? `${endTime}:00` : endTime;
+  return {
+    startsAt: `${date} ${start}`,
+    endsAt: `${end > start ? date : addDays(date, 1)} ${end}`
+  };
+};
+
+/**
+ * Validate a roster shift and check it against every other shift that
+ * overlaps its window. Returns the normalised shift; throws an error with a
+ * `statusCode` (and `details` for conflicts) when it cannot be rostered.
+ */
+const validateShift = async (shift, excludeShiftId = null) => {
+  const { team_id, date, start_time, end_time, crew_commander_id, vehicle_id } = shift;
+  const memberIds = [...new Set((shift.member_ids || []).map(Number))];
+
+  if (!team_id || !isValidDate(date) || !isValidTime(start_time) || !isValidTime(end_time)) {
+    throw rosterError(400, 'Team, date (YYYY-MM-DD) and a start and end time (HH:MM) are required');
+  }
+  if (memberIds.length === 0 || memberIds.some(id => !id)) {
+    throw rosterError(400, 'At least one crew member is required');
+  }
+  if (crew_commander_id && !memberIds.includes(Number(crew_commander_id))) {
+    throw rosterError(400, 'The crew commander must be one of the shift members');
+  }
+
+  const teams = await executeQuery('SELECT id FROM teams WHERE id = ?', [team_id]);
+  if (teams.length === 0) {
+    throw rosterError(404, 'Team not found');
+  }
+
+  const staff = await executeQuery(
+    `SELECT id, name, status FROM staff WHERE id IN (${memberIds.map(() => '?').join(', ')})`,
+    memberIds
+  );
+  const missing = memberIds.filter(id => !staff.some(member => member.id === id));
+  if (missing.length > 0) {
+    throw rosterError(404, 'Some crew members do not exist', { missingStaffIds: missing });
+  }
+  const inactive = staff.filter(member => Number(member.status) === 0);
+  if (inactive.length > 0) {
+    throw rosterError(409, 'Inactive staff cannot be rostered', {
+      inactiveStaff: inactive.map(({ id, name }) => ({ id, name }))
+    });
+  }
+
+  const { startsAt, endsAt } = getShiftWindow(date, start_time, end_time);
+
+  const overlapping = await executeQuery(
+    `SELECT id, team_id, vehicle_id, starts_at, ends_at
+     FROM roster_shifts
+     WHERE starts_at < ? AND ends_at > ? AND id != ?`,
+    [endsAt, startsAt, excludeShiftId || 0]
+  );
+
+  if (overlapping.some(other => String(other.team_id) === String(team_id))) {
+    throw rosterError(409, 'The team already has a shift that overlaps this window');
+  }
+
+  if (vehicle_id) {
+    await getRoadworthyVehicle(vehicle_id, date);
+    if (overlapping.some(other => String(other.vehicle_id) === String(vehicle_id))) {
+      throw rosterError(409, 'The vehicle is already rostered on another team during this window');
+    }
+  }
+
+  if (overlapping.length > 0) {
+    const conflicts = await executeQuery(
+      `SELECT rsm.staff_id, s.name as staff_name, rs.id as shift_id, rs.team_id, t.name as team_name
+       FROM roster_shift_members rsm
+       JOIN roster_shifts rs ON rsm.shift_id = rs.id
+       JOIN staff s ON rsm.staff_id = s.id
+       LEFT JOIN teams t ON rs.team_id = t.id
+       WHERE rsm.shift_id IN (${overlapping.map(() => '?').join(', ')})
+         AND rsm.staff_id IN (${memberIds.map(() => '?').join(', ')})`,
+      [...overlapping.map(other => other.id), ...memberIds]
+    );
+    if (conflicts.length > 0) {
+      throw rosterError(409, 'Some crew members are already rostered on another team during this window', {
+        conflicts
+      });
+    }
+  }
+
+  return {
+    team_id,
+    date,
+    startsAt,
+    endsAt,
+    crew_commander_id: crew_commander_id || null,
+    vehicle_id: vehicle_id || null,
+    memberIds
+  };
+};
+
+// The shift a staff member is rostered on at a point in time (or starting
+// within `earlyMinutes` of it), or null
+const findShiftForStaff = async (staffId, at = new Date(), earlyMinutes = 0) => {
+  const shifts = await executeQuery(
+    `SELECT rs.*
+     FROM roster_shifts rs
+     JOIN roster_shift_members rsm ON rsm.shift_id = rs.id
+     WHERE rsm.staff_id = ? AND rs.starts_at <= ? AND rs.ends_at > ?
+     ORDER BY rs.starts_at
+     LIMIT 1`,
+    [staffId, new Date(at.getTime() + earlyMinutes * 60 * 1000), at]
+  );
+  return shifts[0] || null;
+};
+
+module.exports = {
+  isValidTime,
+  addDays,
+  getShiftWindow,
+  validateShift,
+  findShiftForStaff
+};
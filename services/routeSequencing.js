@@ -0,0 +1,351 @@
+const { haversineDistance } = require('./geo');
+
+// Travel and handling assumptions used for arrival estimates
+const AVERAGE_SPEED_KMH = Number(process.env.RUN_AVERAGE_SPEED_KMH) || 30;
+const STOP_SERVICE_MINUTES = Number(process.env.RUN_STOP_SERVICE_MINUTES) || 10;
+// A pickup may happen from pickup_date until this many minutes later
+const PICKUP_WINDOW_MINUTES = Number(process.env.RUN_PICKUP_WINDOW_MINUTES) || 60;
+// Cost of one minute late at a pickup, in meters of extra driving
+const LATENESS_PENALTY_METERS_PER_MINUTE = 1000;
+// Carrying more than a limit outweighs any amount of driving
+const LIMIT_BREACH_PENALTY = 1e12;
+// Bounds on planning work, which runs on the request thread
+const MAX_RUN_STOPS = Number(process.env.RUN_MAX_STOPS) || 120;
+const MAX_RELOCATION_ATTEMPTS = 50000;
+
+const MINUTE = 60 * 1000;
+
+const hasCoordinates = (point) => point && point.latitude !== null && point.latitude !== undefined &&
+  point.longitude !== null && point.longitude !== undefined;
+
+/**
+ * Pickup and delivery stops for a team's requests. Requests already picked up
+ * only need their delivery (their value is on board from the start). Stops
+ * without coordinates are kept but add no distance.
+ */
+const buildStops = (requests) => {
+  const stops = [];
+  requests.forEach(request => {
+    const pickedUp = ['picked_up', 'in_transit'].includes(request.status);
+    if (!pickedUp) {
+      const windowStart = new Date(request.pickup_date);
+      stops.push({
+        request_id: request.id,
+        client_id: request.client_id,
+        value: Number(request.value) || 0,
+        type: 'pickup',
+        location: request.pickup_location,
+        latitude: request.latitude,
+        longitude: request.longitude,
+        window_start: windowStart,
+        window_end: new Date(windowStart.getTime() + PICKUP_WINDOW_MINUTES * MINUTE)
+      });
+    }
+    stops.push({
+      request_id: request.id,
+      client_id: request.client_id,
+      value: Number(request.value) || 0,
+      on_board_at_start: pickedUp,
+      type: 'delivery',
+      location: request.delivery_location,
+      latitude: request.delivery_latitude,
+      longitude: request.delivery_longitude,
+      window_start: null,
+      window_end: null
+    });
+  });
+  return stops.map((stop, index) => ({ ...stop, index }));
+};
+
+// Symmetric distance matrix in meters; row/column `stops.length` is the start position
+const buildDistanceMatrix = (stops, start) => {
+  const points = [...stops, start];
+  return points.map(from => points.map(to =>
+    hasCoordinates(from) && hasCoordinates(to) ? haversineDistance(from, to) : 0));
+};
+
+const travelMinutes = (meters) => (meters / 1000) / AVERAGE_SPEED_KMH * 60;
+
+// Value on board for the team and per client before the first stop
+const initialLoad = (stops) => {
+  const clients = new Map();
+  let total = 0;
+  stops.filter(stop => stop.on_board_at_start).forEach(stop => {
+    total += stop.value;
+    clients.set(stop.client_id, (clients.get(stop.client_id) || 0) + stop.value);
+  });
+  return { total, clients };
+};
+
+// First limit the load exceeds, if any. `limits` is { total, totalSource, clients: Map }
+const findBreach = (load, clientId, limits) => {
+  if (!limits) {
+    return null;
+  }
+  if (limits.total !== null && load.total > limits.total) {
+    return { limit: limits.total, limit_source: limits.totalSource, load: load.total };
+  }
+  const clientLimit = limits.clients.get(clientId);
+  if (clientLimit !== undefined && load.clients.get(clientId) > clientLimit) {
+    return { limit: clientLimit, limit_source: `client ${clientId} limit`, load: load.clients.get(clientId) };
+  }
+  return null;
+};
+
+// Walk state after some prefix of an order. visit() mutates it; copy before branching
+const initialState = (ctx) => {
+  const load = initialLoad(ctx.stops);
+  const state = {
+    position: ctx.stops.length,
+    clock: ctx.startTime.getTime(),
+    distance: 0,
+    lateMinutes: 0,
+    load,
+    overLimit: 0,
+    breach: null
+  };
+
+  // Requests already picked up may exceed a limit before the first stop
+  const startBreach = findBreach(load, null, ctx.limits) ||
+    [...load.clients.keys()].map(clientId => findBreach(load, clientId, ctx.limits)).find(Boolean);
+  if (startBreach) {
+    state.overLimit += startBreach.load - startBreach.limit;
+    state.breach = { sequence: 0, request_id: null, type: 'start', location: 'Start of run', ...startBreach };
+  }
+  return state;
+};
+
+const copyState = (state) => ({
+  ...state,
+  load: { total: state.load.total, clients: new Map(state.load.clients) }
+});
+
+const costOf = (state) =>
+  state.distance + state.lateMinutes * LATENESS_PENALTY_METERS_PER_MINUTE + state.overLimit * LIMIT_BREACH_PENALTY;
+
+// Drive to the stop at `sequence` (0-based) in the order and serve it
+const visit = (state, stopIndex, sequence, ctx) => {
+  const stop = ctx.stops[stopIndex];
+  const leg = ctx.matrix[state.position][stopIndex];
+  state.clock += travelMinutes(leg) * MINUTE;
+
+  let waitMinutes = 0;
+  if (stop.window_start && state.clock < stop.window_start.getTime()) {
+    waitMinutes = (stop.window_start.getTime() - state.clock) / MINUTE;
+    state.clock = stop.window_start.getTime();
+  }
+  const late = stop.window_end ? Math.max(0, (state.clock - stop.window_end.getTime()) / MINUTE) : 0;
+
+  const arrival = state.clock;
+  state.distance += leg;
+  state.lateMinutes += late;
+  state.clock += STOP_SERVICE_MINUTES * MINUTE;
+  state.position = stopIndex;
+
+  const { load } = state;
+  const change = stop.type === 'pickup' ? stop.value : -stop.value;
+  load.total += change;
+  load.clients.set(stop.client_id, (load.clients.get(stop.client_id) || 0) + change);
+  const stopBreach = stop.type === 'pickup' ? findBreach(load, stop.client_id, ctx.limits) : null;
+  if (stopBreach) {
+    state.overLimit += stopBreach.load - stopBreach.limit;
+    state.breach = state.breach || {
+      sequence: sequence + 1,
+      request_id: stop.request_id,
+      type: stop.type,
+      location: stop.location,
+      ...stopBreach
+    };
+  }
+
+  return { leg, waitMinutes, late, arrival };
+};
+
+// Walk a whole order, computing arrival times, distance, lateness and value on board
+const simulate = (order, ctx) => {
+  const state = initialState(ctx);
+
+  const itinerary = order.map((stopIndex, sequence) => {
+    const stop = ctx.stops[stopIndex];
+    const { leg, waitMinutes, late, arrival } = visit(state, stopIndex, sequence, ctx);
+
+    return {
+      sequence: sequence + 1,
+      request_id: stop.request_id,
+      type: stop.type,
+      location: stop.location,
+      latitude: stop.latitude,
+      longitude: stop.longitude,
+      location_known: hasCoordinates(stop),
+      distance_from_previous_meters: Math.round(leg),
+      estimated_arrival: new Date(arrival).toISOString(),
+      wait_minutes: Math.round(waitMinutes),
+      late_minutes: Math.round(late),
+      window_start: stop.window_start ? stop.window_start.toISOString() : null,
+      window_end: stop.window_end ? stop.window_end.toISOString() : null,
+      value_on_board: state.load.total
+    };
+  });
+
+  return {
+    itinerary,
+    distance: state.distance,
+    lateMinutes: state.lateMinutes,
+    breach: state.breach,
+    cost: costOf(state),
+    finishTime: new Date(state.clock)
+  };
+};
+
+// Greedy construction: repeatedly take the cheapest feasible next stop,
+// extending the walk of the order so far by one stop per candidate
+const constructOrder = (ctx) => {
+  const { stops } = ctx;
+  const remaining = new Set(stops.map(stop => stop.index));
+  const awaitingPickup = new Set(stops.filter(stop => stop.type === 'pickup').map(stop => stop.request_id));
+  const order = [];
+  let state = initialState(ctx);
+
+  while (remaining.size > 0) {
+    let best = null;
+    for (const candidate of remaining) {
+      const stop = stops[candidate];
+      // Every delivery must come after its request's pickup
+      if (stop.type === 'delivery' && awaitingPickup.has(stop.request_id)) {
+        continue;
+      }
+      const trial = copyState(state);
+      visit(trial, candidate, order.length, ctx);
+      const cost = costOf(trial);
+      // Prefer earlier windows when costs tie
+      const tieBreak = stop.window_end ? stop.window_end.getTime() : Infinity;
+      if (!best || cost < best.cost || (cost === best.cost && tieBreak < best.tieBreak)) {
+        best = { candidate, cost, tieBreak, state: trial };
+      }
+    }
+    order.push(best.candidate);
+    remaining.delete(best.candidate);
+    if (stops[best.candidate].type === 'pickup') {
+      awaitingPickup.delete(stops[best.candidate].request_id);
+    }
+    state = best.state;
+  }
+
+  return order;
+};
+
+// prefixes[i] is the walk state before order[i] is visited, from index `first` on
+const walkPrefixes = (order, ctx, prefixes = [initialState(ctx)], first = 0) => {
+  const next = prefixes.slice(0, first + 1);
+  const state = copyState(next[first]);
+  for (let i = first; i < order.length; i++) {
+    visit(state, order[i], i, ctx);
+    next.push(copyState(state));
+  }
+  return next;
+};
+
+/**
+ * Relocation search: move single stops while it lowers the cost and keeps
+ * each delivery after its pickup. A move only changes the run from the first
+ * position it touches, so only that suffix is walked again, and the walk
+ * stops as soon as it can no longer beat the current cost (every cost term
+ * only grows along a run). The scan carries on after an improvement instead
+ * of starting over, and stops after MAX_RELOCATION_ATTEMPTS moves.
+ */
+const improveOrder = (order, ctx) => {
+  const partner = new Map();
+  ctx.stops.forEach(stop => {
+    const other = ctx.stops.find(s => s.request_id === stop.request_id && s.index !== stop.index);
+    if (other) {
+      partner.set(stop.index, other);
+    }
+  });
+
+  let current = order;
+  let prefixes = walkPrefixes(current, ctx);
+  let currentCost = costOf(prefixes[current.length]);
+  let attempts = 0;
+  let improved = true;
+
+  while (improved) {
+    improved = false;
+    for (let from = 0; from < current.length; from++) {
+      for (let to = 0; to < current.length; to++) {
+        if (from === to) {
+          continue;
+        }
+        if (++attempts > MAX_RELOCATION_ATTEMPTS) {
+          return current;
+        }
+
+        const trial = [...current];
+        const [moved] = trial.splice(from, 1);
+        trial.splice(to, 0, moved);
+
+        const other = partner.get(moved);
+        if (other) {
+          const otherAt = trial.indexOf(other.index);
+          if (other.type === 'delivery' ? otherAt < to : otherAt > to) {
+            continue;
+          }
+        }
+
+        const first = Math.min(from, to);
+        const state = copyState(prefixes[first]);
+        let i = first;
+        for (; i < trial.length && costOf(state) < currentCost - 1; i++) {
+          visit(state, trial[i], i, ctx);
+        }
+        if (i === trial.length && costOf(state) < currentCost - 1) {
+          current = trial;
+          currentCost = costOf(state);
+          prefixes = walkPrefixes(current, ctx, prefixes, first);
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return current;
+};
+
+/**
+ * Order a team's pickups and deliveries for the day. `start` is the team's
+ * starting position ({ latitude, longitude }, may be null) and `startTime`
+ * when the run begins. With `limits` the order avoids carrying more than the
+ * team or client limits allow; `breach` describes the first stop that still
+ * exceeds one. Returns the itinerary with estimated arrival times. Throws a
+ * 422 error for runs over MAX_RUN_STOPS stops, which would take too long to plan.
+ */
+const sequenceRun = (requests, start, startTime, limits = null) => {
+  const stops = buildStops(requests);
+  if (stops.length > MAX_RUN_STOPS) {
+    const error = new Error(`A run can have at most ${MAX_RUN_STOPS} stops; this one has ${stops.length}`);
+    error.statusCode = 422;
+    throw error;
+  }
+  const startPoint = hasCoordinates(start)
+    ? start
+    : stops.find(hasCoordinates) || { latitude: null, longitude: null };
+  const ctx = { stops, matrix: buildDistanceMatrix(stops, startPoint), startTime, limits };
+
+  const order = improveOrder(constructOrder(ctx), ctx);
+  const result = simulate(order, ctx);
+
+  return {
+    start_time: startTime.toISOString(),
+    estimated_finish: result.finishTime.toISOString(),
+    total_distance_meters: Math.round(result.distance),
+    total_late_minutes: Math.round(result.lateMinutes),
+    initial_value_on_board: initialLoad(stops).total,
+    breach: result.breach,
+    stops: result.itinerary
+  };
+};
+
+module.exports = {
+  PICKUP_WINDOW_MINUTES,
+  MAX_RUN_STOPS,
+  sequenceRun
+};
@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../database/query');
+const { userType } = require('./users');
+
+// Access tokens are short-lived; sessions are kept alive by rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+// How long a session's revoked state may be served from memory
+const SESSION_CACHE_TTL = 30 * 1000;
+const sessionCache = new Map();
+
+const sessionError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const signAccessToken = (user, sessionId) => jwt.sign(
+  {
+    userId: user.id,
+    branchId: user.branch_id || null,
+    clientId: user.client_id || null,
+    name: user.name,
+    role: user.role,
+    sid: sessionId
+  },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Store a new refresh token for the session; only its hash is kept
+const issueRefreshToken = async (sessionId) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const result = await executeQuery(
+    `INSERT INTO refresh_tokens (session_id, token_hash, expires_at)
+     VALUES (?, ?, DATE_ADD(NOW(), INTERVAL ? DAY))`,
+    [sessionId, hashToken(token), REFRESH_TOKEN_DAYS]
+  );
+  return { token, id: result.insertId };
+};
+
+const tokenResponse = (user, sessionId, refreshToken) => ({
+  token: signAccessToken(user, sessionId),
+  refresh_token: refreshToken,
+  session_id: sessionId,
+  user: {
+    id: user.id,
+    username: user.username,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    type: userType(user),
+    branch_id: user.branch_id,
+    client_id: user.client_id
+  }
+});
+
+// Client address as resolved by Express from the app's 'trust proxy' setting (config/proxy.js)
+const clientIp = (req) => req.ip || null;
+
+/**
+ * Start a session for a user who has just signed in. Returns the access
+ * token, the first refresh token and the user, as sent to the client.
+ */
+const createSession = async (user, req) => {
+  const result = await executeQuery(
+    'INSERT INTO auth_sessions (user_id, ip, user_agent, last_used_at) VALUES (?, ?, ?, NOW())',
+    [user.id, clientIp(req), req.headers['user-agent'] ? String(req.headers['user-agent']).slice(0, 255) : null]
+  );
+  await executeQuery('UPDATE users SET last_login_at = NOW() WHERE id = ?', [user.id]);
+  const refresh = await issueRefreshToken(result.insertId);
+  return tokenResponse(user, result.insertId, refresh.token);
+};
+
+const revokeSessions = async (where, params, reason) => {
+  const sessions = await executeQuery(`SELECT id FROM auth_sessions WHERE revoked_at IS NULL AND ${where}`, params);
+  if (sessions.length === 0) {
+    return 0;
+  }
+  const ids = sessions.map(session => session.id);
+  await executeQuery(
+    `UPDATE auth_sessions SET revoked_at = NOW(), revoked_reason = ?
+     WHERE id IN (${ids.map(() => '?').join(', ')}) AND revoked_at IS NULL`,
+    [reason, ...ids]
+  );
+  ids.forEach(id => sessionCache.delete(String(id)));
+  return ids.length;
+};
+
+const revokeSession = (sessionId, reason) => revokeSessions('id = ?', [sessionId], reason);
+// exceptSessionId keeps the caller signed in, e.g. after changing their own password
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => (exceptSessionId
+  ? revokeSessions('user_id = ? AND id <> ?', [userId, exceptSessionId], reason)
+  : revokeSessions('user_id = ?', [userId], reason));
+
+// Every user of the branch
+const revokeBranchSessions = (branchId, reason) => revokeSessions(
+  'user_id IN (SELECT id FROM users WHERE branch_id = ?)',
+  [branchId],
+  reason
+);
+
+/**
+ * Exchange a refresh token for a new access token and refresh token. Every
+ * refresh token works once: presenting one that was already used means it
+ * was copied, so the whole session is revoked.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const tokens = await executeQuery(
+    `SELECT rt.id, rt.session_id, rt.used_at, rt.expires_at < NOW() as expired,
+            s.revoked_at, s.user_id
+     FROM refresh_tokens rt
+     JOIN auth_sessions s ON rt.session_id = s.id
+     WHERE rt.token_hash = ?`,
+    [hashToken(refreshToken)]
+  );
+  if (tokens.length === 0) {
+    throw sessionError(401, 'Invalid refresh token');
+  }
+
+  const stored = tokens[0];
+  if (stored.revoked_at) {
+    throw sessionError(401, 'Session has been revoked');
+  }
+  if (stored.used_at) {
+    await revokeSession(stored.session_id, 'refresh_token_reused');
+    throw sessionError(401, 'Refresh token has already been used; the session has been revoked');
+  }
+  if (Number(stored.expired)) {
+    throw sessionError(401, 'Refresh token has expired');
+  }
+
+  // Two requests racing with the same token: only one may win
+  const claimed = await executeQuery(
+    'UPDATE refresh_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL',
+    [stored.id]
+  );
+  if (claimed.affectedRows === 0) {
+    await revokeSession(stored.session_id, 'refresh_token_reused');
+    throw sessionError(401, 'Refresh token has already been used; the session has been revoked');
+  }
+
+  // Re-read the user so role or branch changes reach the new token
+  const users = await executeQuery(
+    'SELECT id, username, name, email, role, branch_id, client_id, status FROM users WHERE id = ?',
+    [stored.user_id]
+  );
+  if (users.length === 0 || users[0].status !== 'active') {
+    await revokeSession(stored.session_id, 'account_disabled');
+    throw sessionError(401, 'Account is no longer active');
+  }
+
+  const refresh = await issueRefreshToken(stored.session_id);
+  await executeQuery('UPDATE refresh_tokens SET replaced_by_id = ? WHERE id = ?', [refresh.id, stored.id]);
+  await executeQuery('UPDATE auth_sessions SET last_used_at = NOW() WHERE id = ?', [stored.session_id]);
+
+  return tokenResponse(users[0], stored.session_id, refresh.token);
+};
+
+// Whether an access token's session is still live; cached briefly to spare a query per request
+const isSessionActive = async (sessionId) => {
+  const key = String(sessionId);
+  const cached = sessionCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.active;
+  }
+
+  const sessions = await executeQuery('SELECT revoked_at FROM auth_sessions WHERE id = ?', [sessionId]);
+  const active = sessions.length > 0 && !sessions[0].revoked_at;
+  sessionCache.set(key, { active, expiresAt: Date.now() + SESSION_CACHE_TTL });
+  return active;
+};
+
+const listSessions = (userId) => executeQuery(
+  `SELECT id, ip, user_agent, created_at, last_used_at
+   FROM auth_sessions
+   WHERE user_id = ? AND revoked_at IS NULL
+     AND EXISTS (
+       SELECT 1 FROM refresh_tokens rt
+       WHERE rt.session_id = auth_sessions.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+     )
+   ORDER BY last_used_at DESC`,
+  [userId]
+);
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_DAYS,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  revokeBranchSessions,
+  isSessionActive,
+  listSessions,
+  clientIp
+};
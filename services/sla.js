@@ -0,0 +1,204 @@
+const { executeQuery } = require('../database/query');
+const { addDays } = require('./roster');
+
+const BREACH_CAUSES = ['missed_pickup', 'late_pickup', 'late_delivery', 'overdue_delivery', 'failed'];
+const TREND_INTERVALS = ['day', 'week', 'month'];
+
+const MINUTE = 60 * 1000;
+
+/**
+ * Requests picked up in a date range that fall under an SLA, with the
+ * definition that applies: the client's definition for the request's service
+ * type, or else the client's default (service_type_id NULL). Requests
+ * without an SLA and cancelled requests are left out.
+ */
+const loadSlaRequests = async ({ from, to, clientId = null, branchId = null }) => {
+  const filters = ['DATE(r.pickup_date) BETWEEN ? AND ?', "r.status != 'cancelled'", '(sd.id IS NOT NULL OR cd.id IS NOT NULL)'];
+  const params = [from, to];
+
+  if (clientId) {
+    filters.push('b.client_id = ?');
+    params.push(clientId);
+  }
+  if (branchId) {
+    filters.push('r.branch_id = ?');
+    params.push(branchId);
+  }
+
+  return executeQuery(
+    `SELECT r.id, r.status, r.pickup_date, r.picked_up_at, r.delivered_at, r.failed_at,
+            DATE_FORMAT(r.pickup_date, '%Y-%m-%d') as pickup_day,
+            r.branch_id, b.name as branch_name, b.client_id, c.name as client_name,
+            r.service_type_id, st.name as service_type_name, r.team_id,
+            IF(sd.id IS NOT NULL, sd.pickup_window_minutes, cd.pickup_window_minutes) as pickup_window_minutes,
+            IF(sd.id IS NOT NULL, sd.max_transit_minutes, cd.max_transit_minutes) as max_transit_minutes
+     FROM requests r
+     JOIN branches b ON r.branch_id = b.id
+     LEFT JOIN clients c ON b.client_id = c.id
+     LEFT JOIN service_types st ON r.service_type_id = st.id
+     LEFT JOIN sla_definitions sd ON sd.client_id = b.client_id AND sd.service_type_id = r.service_type_id
+     LEFT JOIN sla_definitions cd ON cd.client_id = b.client_id AND cd.service_type_id IS NULL
+     WHERE ${filters.join(' AND ')}
+     ORDER BY r.pickup_date`,
+    params
+  );
+};
+
+const minutesLate = (actual, deadline) => Math.round((actual - deadline) / MINUTE);
+
+/**
+ * Measure one request against its SLA. The pickup must happen within the
+ * window after pickup_date and the delivery within the maximum transit time
+ * after the actual pickup. Open requests that have not yet missed a deadline
+ * are `pending`; everything else is `on_time` or `breached` with its causes.
+ */
+const evaluateRequest = (request, now = new Date()) => {
+  const breaches = [];
+  const pickupWindow = request.pickup_window_minutes;
+  const maxTransit = request.max_transit_minutes;
+  const pickedUpAt = request.picked_up_at ? new Date(request.picked_up_at) : null;
+  const deliveredAt = request.delivered_at ? new Date(request.delivered_at) : null;
+
+  const pickupDeadline = pickupWindow !== null && pickupWindow !== undefined
+    ? new Date(new Date(request.pickup_date).getTime() + Number(pickupWindow) * MINUTE)
+    : null;
+  const deliveryDeadline = pickedUpAt && maxTransit !== null && maxTransit !== undefined
+    ? new Date(pickedUpAt.getTime() + Number(maxTransit) * MINUTE)
+    : null;
+
+  if (pickupDeadline) {
+    if (pickedUpAt && pickedUpAt > pickupDeadline) {
+      breaches.push({ cause: 'late_pickup', minutes_late: minutesLate(pickedUpAt, pickupDeadline) });
+    } else if (!pickedUpAt && now > pickupDeadline) {
+      breaches.push({ cause: 'missed_pickup', minutes_late: minutesLate(now, pickupDeadline) });
+    }
+  }
+
+  if (deliveryDeadline) {
+    if (deliveredAt && deliveredAt > deliveryDeadline) {
+      breaches.push({ cause: 'late_delivery', minutes_late: minutesLate(deliveredAt, deliveryDeadline) });
+    } else if (!deliveredAt && request.status !== 'failed' && now > deliveryDeadline) {
+      breaches.push({ cause: 'overdue_delivery', minutes_late: minutesLate(now, deliveryDeadline) });
+    }
+  }
+
+  if (request.status === 'failed') {
+    breaches.push({ cause: 'failed', minutes_late: null });
+  }
+
+  let outcome = 'pending';
+  if (breaches.length > 0) {
+    outcome = 'breached';
+  } else if (request.status === 'delivered') {
+    outcome = 'on_time';
+  }
+
+  return {
+    ...request,
+    pickup_deadline: pickupDeadline,
+    delivery_deadline: deliveryDeadline,
+    outcome,
+    breaches
+  };
+};
+
+const summarize = (evaluated) => {
+  const settled = evaluated.filter(request => request.outcome !== 'pending');
+  const onTime = settled.filter(request => request.outcome === 'on_time').length;
+  const byCause = Object.fromEntries(BREACH_CAUSES.map(cause => [cause, 0]));
+  settled.forEach(request => request.breaches.forEach(breach => { byCause[breach.cause] += 1; }));
+
+  return {
+    total: evaluated.length,
+    settled: settled.length,
+    pending: evaluated.length - settled.length,
+    on_time: onTime,
+    breached: settled.length - onTime,
+    on_time_percentage: settled.length > 0 ? Math.round(onTime / settled.length * 1000) / 10 : null,
+    by_cause: byCause
+  };
+};
+
+const groupBy = (evaluated, key, name) => {
+  const groups = new Map();
+  evaluated.forEach(request => {
+    if (!groups.has(request[key])) {
+      groups.set(request[key], []);
+    }
+    groups.get(request[key]).push(request);
+  });
+  return [...groups.entries()].map(([id, requests]) => ({
+    [key]: id,
+    [name]: requests[0][name],
+    ...summarize(requests)
+  }));
+};
+
+// Period a day belongs to: the day itself, the Monday starting its week, or its month
+const periodOf = (day, interval) => {
+  if (interval === 'month') {
+    return day.slice(0, 7);
+  }
+  if (interval === 'week') {
+    const weekday = new Date(`${day}T00:00:00Z`).getUTCDay();
+    return addDays(day, -((weekday + 6) % 7));
+  }
+  return day;
+};
+
+const evaluateRange = async (filters, now = new Date()) =>
+  (await loadSlaRequests(filters)).map(request => evaluateRequest(request, now));
+
+/**
+ * On-time performance over a date range: overall, per client and per branch.
+ */
+const buildReport = async (filters) => {
+  const evaluated = await evaluateRange(filters);
+  return {
+    from: filters.from,
+    to: filters.to,
+    summary: summarize(evaluated),
+    by_client: groupBy(evaluated, 'client_id', 'client_name'),
+    by_branch: groupBy(evaluated, 'branch_id', 'branch_name')
+  };
+};
+
+const listBreaches = async (filters, cause = null) => {
+  const evaluated = await evaluateRange(filters);
+  return evaluated
+    .filter(request => request.outcome === 'breached')
+    .filter(request => !cause || request.breaches.some(breach => breach.cause === cause));
+};
+
+/**
+ * On-time percentage per day, week or month, optionally split by client or branch.
+ */
+const buildTrends = async (filters, interval = 'week', splitBy = null) => {
+  const evaluated = await evaluateRange(filters);
+  const periods = new Map();
+  evaluated.forEach(request => {
+    const period = periodOf(request.pickup_day, interval);
+    if (!periods.has(period)) {
+      periods.set(period, []);
+    }
+    periods.get(period).push(request);
+  });
+
+  return [...periods.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : 1))
+    .map(([period, requests]) => ({
+      period,
+      ...summarize(requests),
+      ...(splitBy === 'client' ? { by_client: groupBy(requests, 'client_id', 'client_name') } : {}),
+      ...(splitBy === 'branch' ? { by_branch: groupBy(requests, 'branch_id', 'branch_name') } : {})
+    }));
+};
+
+module.exports = {
+  BREACH_CAUSES,
+  TREND_INTERVALS,
+  evaluateRequest,
+  buildReport,
+  listBreaches,
+  buildTrends
+};
@@ -0,0 +1,87 @@
+const { executeQuery } = require('../database/query');
+const { actorId } = require('./users');
+const { publish } = require('./eventBus');
+
+// Minutes an SOS may stay unacknowledged before it escalates (and between re-escalations)
+const ACK_MINUTES = Number(process.env.SOS_ACK_MINUTES) || 5;
+
+// Staff role that receives escalations (active staff only)
+const SUPERVISOR_ROLE = process.env.SOS_SUPERVISOR_ROLE || 'Supervisor';
+
+// Append an entry to an incident's thread. `actor` is the JWT user (omitted for system entries).
+const addComment = (sosId, comment, actor = {}, kind = 'comment') => executeQuery(
+  `INSERT INTO sos_comments (sos_id, kind, actor_id, actor_name, actor_role, comment)
+   VALUES (?, ?, ?, ?, ?, ?)`,
+  [sosId, kind, actorId(actor), actor.name || 'system', actor.role || null, comment]
+);
+
+/**
+ * Escalate every unacknowledged SOS whose acknowledgement deadline has passed
+ * to a supervisor, and push its deadline out by another ACK_MINUTES.
+ * Safe to call repeatedly; returns the ids of the escalated incidents.
+ */
+const escalateOverdue = async () => {
+  const overdue = await executeQuery(
+    `SELECT s.id, s.escalation_level, r.branch_id
+     FROM sos s
+     LEFT JOIN requests r ON s.request_id = r.id
+     WHERE s.status = 'pending'
+       AND s.acknowledged_at IS NULL
+       AND COALESCE(s.ack_deadline, s.created_at + INTERVAL ? MINUTE) <= NOW()`,
+    [ACK_MINUTES]
+  );
+
+  if (overdue.length === 0) {
+    return [];
+  }
+
+  const supervisors = await executeQuery(
+    'SELECT id, name FROM staff WHERE role = ? AND status = 1 ORDER BY id',
+    [SUPERVISOR_ROLE]
+  );
+
+  const escalated = [];
+  for (const sos of overdue) {
+    const level = (Number(sos.escalation_level) || 0) + 1;
+    // Rotate through supervisors as the level rises so a silent supervisor is bypassed
+    const supervisor = supervisors.length > 0 ? supervisors[(level - 1) % supervisors.length] : null;
+
+    const result = await executeQuery(
+      `UPDATE sos
+       SET escalation_level = ?,
+           escalated_at = NOW(),
+           escalated_to = ?,
+           ack_deadline = NOW() + INTERVAL ? MINUTE
+       WHERE id = ? AND status = 'pending' AND acknowledged_at IS NULL`,
+      [level, supervisor ? supervisor.id : null, ACK_MINUTES, sos.id]
+    );
+
+    if (result.affectedRows === 0) {
+      continue;
+    }
+
+    await addComment(
+      sos.id,
+      supervisor
+        ? `Not acknowledged in time; escalated to ${supervisor.name} (level ${level})`
+        : `Not acknowledged in time; escalation level ${level} but no ${SUPERVISOR_ROLE} is on record`,
+      {},
+      'escalation'
+    );
+    await publish('sos.updated', {
+      id: sos.id,
+      status: 'pending',
+      escalation_level: level,
+      escalated_to: supervisor ? supervisor.id : null
+    }, { branchId: sos.branch_id });
+    escalated.push(sos.id);
+  }
+
+  return escalated;
+};
+
+module.exports = {
+  ACK_MINUTES,
+  addComment,
+  escalateOverdue
+};
@@ -0,0 +1,308 @@
+const { executeQuery } = require('../database/query');
+const { addDays } = require('./roster');
+const { recordHistory, toLegacyMyStatus, transitionRequest } = require('./requestLifecycle');
+const { publish } = require('./eventBus');
+
+const RECURRENCES = ['weekly', 'monthly'];
+const ORDER_STATUSES = ['active', 'paused', 'ended'];
+const EXCEPTION_ACTIONS = ['skip', 'move'];
+
+// How far ahead requests are generated, and the furthest a caller may ask for
+const HORIZON_DAYS = Number(process.env.STANDING_ORDER_HORIZON_DAYS) || 14;
+const MAX_HORIZON_DAYS = 90;
+
+// Generated requests that can still be withdrawn when the order changes
+const RELEASABLE_STATUSES = ['pending', 'assigned'];
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// weekdays and month_days are stored as comma separated numbers
+const parseDays = (value) => (value ? String(value).split(',').map(Number) : []);
+
+const matchesRule = (order, date) => {
+  const day = new Date(`${date}T00:00:00Z`);
+  if (order.recurrence === 'weekly') {
+    return parseDays(order.weekdays).includes(day.getUTCDay());
+  }
+  // Month days the month does not have (e.g. the 31st in April) are skipped
+  return parseDays(order.month_days).includes(day.getUTCDate());
+};
+
+const withTime = (date, time) => `${date} ${String(time).length === 5 ? `${time}:00` : time}`;
+
+/**
+ * Pickups due for a standing order between `from` and `to` (YYYY-MM-DD).
+ * Each occurrence keeps the date the rule produced, which identifies it even
+ * when an exception moves the pickup to another day. Skip exceptions and,
+ * when the order asks for it, public holidays drop the occurrence.
+ */
+const listOccurrences = (order, from, to, holidays, exceptions) => {
+  const holidaySet = new Set(holidays);
+  const exceptionsByDate = new Map(exceptions.map(exception => [exception.date, exception]));
+  const occurrences = [];
+
+  const first = order.start_date > from ? order.start_date : from;
+  const last = order.end_date && order.end_date < to ? order.end_date : to;
+
+  // Occurrences from before the window that were moved into it still count
+  const dates = new Set();
+  for (let date = first; date <= last; date = addDays(date, 1)) {
+    dates.add(date);
+  }
+  exceptions
+    .filter(exception => exception.action === 'move' && exception.moved_to >= from && exception.moved_to <= to &&
+      exception.date >= order.start_date && (!order.end_date || exception.date <= order.end_date))
+    .forEach(exception => dates.add(exception.date));
+
+  [...dates].sort().forEach(date => {
+    if (!matchesRule(order, date)) {
+      return;
+    }
+    const exception = exceptionsByDate.get(date);
+    if (exception && exception.action === 'skip') {
+      return;
+    }
+    if (exception && exception.action === 'move') {
+      if (exception.moved_to >= from && exception.moved_to <= to) {
+        occurrences.push({
+          occurrence_date: date,
+          pickup_date: withTime(exception.moved_to, exception.pickup_time || order.pickup_time),
+          exception_id: exception.id
+        });
+      }
+      return;
+    }
+    if (order.skip_holidays && holidaySet.has(date)) {
+      return;
+    }
+    occurrences.push({ occurrence_date: date, pickup_date: withTime(date, order.pickup_time), exception_id: null });
+  });
+
+  return occurrences;
+};
+
+const loadOrderContext = async (order, from, to) => {
+  const holidays = await executeQuery(
+    "SELECT DATE_FORMAT(date, '%Y-%m-%d') as date FROM public_holidays WHERE date BETWEEN ? AND ?",
+    [from, to]
+  );
+  const exceptions = await executeQuery(
+    `SELECT id, action, pickup_time,
+            DATE_FORMAT(date, '%Y-%m-%d') as date,
+            DATE_FORMAT(moved_to, '%Y-%m-%d') as moved_to
+     FROM standing_order_exceptions
+     WHERE standing_order_id = ?`,
+    [order.id]
+  );
+  return { holidays: holidays.map(holiday => holiday.date), exceptions };
+};
+
+// The aliases repeat columns of so.*, so these cannot be selected from a derived table
+const ORDER_COLUMNS = `
+  so.*,
+  DATE_FORMAT(so.start_date, '%Y-%m-%d') as start_date,
+  DATE_FORMAT(so.end_date, '%Y-%m-%d') as end_date,
+  TIME_FORMAT(so.pickup_time, '%H:%i') as pickup_time
+`;
+
+const ORDER_SELECT = `SELECT ${ORDER_COLUMNS} FROM standing_orders so`;
+
+// Generated requests are credited to whoever placed the standing order
+const createRequest = async (order, occurrence, actor) => {
+  const result = await executeQuery(
+    `INSERT INTO requests (
+      user_id, user_name, branch_id, service_type_id,
+      pickup_location, delivery_location, pickup_date,
+      description, priority, status, my_status, price,
+      latitude, longitude, delivery_latitude, delivery_longitude, declared_value,
+      standing_order_id
+    ) VALUES (?, (SELECT name FROM users WHERE id = ?), ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      order.created_by || null, order.created_by || null, order.branch_id, order.service_type_id,
+      order.pickup_location, order.delivery_location, occurrence.pickup_date,
+      order.description, order.priority, 'pending', toLegacyMyStatus('pending'), order.price,
+      order.latitude, order.longitude, order.delivery_latitude, order.delivery_longitude, order.declared_value,
+      order.id
+    ]
+  );
+
+  await recordHistory(result.insertId, null, 'pending', actor, `Generated from standing order #${order.id}`);
+
+  await publish('request.created', {
+    id: result.insertId,
+    branch_id: order.branch_id,
+    status: 'pending',
+    pickup_date: occurrence.pickup_date,
+    standing_order_id: order.id
+  }, { branchId: order.branch_id });
+
+  return result.insertId;
+};
+
+/**
+ * Create the requests due for active standing orders up to `through`
+ * (defaults to HORIZON_DAYS ahead). Each occurrence is claimed in
+ * standing_order_occurrences first, so running the generator again, or twice
+ * at once, never books the same occurrence twice. Pass `orderId` to generate
+ * for a single order.
+ */
+const generateRequests = async ({ orderId = null, through = null, actor = {} } = {}) => {
+  const from = today();
+  const to = through || addDays(from, HORIZON_DAYS);
+
+  const orders = await executeQuery(
+    `${ORDER_SELECT}
+     WHERE so.status = 'active' AND so.start_date <= ? AND (so.end_date IS NULL OR so.end_date >= ?)
+       ${orderId ? 'AND so.id = ?' : ''}`,
+    orderId ? [to, from, orderId] : [to, from]
+  );
+
+  const created = [];
+  let existing = 0;
+
+  for (const order of orders) {
+    const { holidays, exceptions } = await loadOrderContext(order, from, to);
+
+    for (const occurrence of listOccurrences(order, from, to, holidays, exceptions)) {
+      const claim = await executeQuery(
+        'INSERT IGNORE INTO standing_order_occurrences (standing_order_id, occurrence_date) VALUES (?, ?)',
+        [order.id, occurrence.occurrence_date]
+      );
+      if (claim.affectedRows === 0) {
+        existing += 1;
+        continue;
+      }
+
+      try {
+        const requestId = await createRequest(order, occurrence, actor);
+        await executeQuery(
+          'UPDATE standing_order_occurrences SET request_id = ? WHERE standing_order_id = ? AND occurrence_date = ?',
+          [requestId, order.id, occurrence.occurrence_date]
+        );
+        created.push({
+          standing_order_id: order.id,
+          occurrence_date: occurrence.occurrence_date,
+          pickup_date: occurrence.pickup_date,
+          request_id: requestId
+        });
+      } catch (error) {
+        // Give the occurrence back so the next run can retry it
+        await executeQuery(
+          'DELETE FROM standing_order_occurrences WHERE standing_order_id = ? AND occurrence_date = ?',
+          [order.id, occurrence.occurrence_date]
+        );
+        throw error;
+      }
+    }
+  }
+
+  return { from, through: to, orders: orders.length, created, existing };
+};
+
+/**
+ * Withdraw generated requests for an order that have not started yet, from
+ * `from` onwards or for the given occurrence dates, so the generator can
+ * book them again under the order's current schedule. Requests already under
+ * way are left alone and reported in `kept`.
+ */
+const releaseOccurrences = async (orderId, { from = today(), dates = null } = {}, actor = {}, reason = null) => {
+  const filter = dates
+    ? `soo.occurrence_date IN (${dates.map(() => '?').join(', ')})`
+    : 'soo.occurrence_date >= ?';
+
+  const occurrences = await executeQuery(
+    `SELECT soo.request_id, r.status,
+            DATE_FORMAT(soo.occurrence_date, '%Y-%m-%d') as occurrence_date
+     FROM standing_order_occurrences soo
+     LEFT JOIN requests r ON soo.request_id = r.id
+     WHERE soo.standing_order_id = ? AND ${filter}`,
+    [orderId, ...(dates || [from])]
+  );
+
+  const released = [];
+  const kept = [];
+
+  for (const occurrence of occurrences) {
+    if (occurrence.request_id && !RELEASABLE_STATUSES.includes(occurrence.status)) {
+      if (occurrence.status !== 'cancelled') {
+        kept.push({ occurrence_date: occurrence.occurrence_date, request_id: occurrence.request_id });
+      }
+      continue;
+    }
+
+    if (occurrence.request_id) {
+      await transitionRequest(occurrence.request_id, 'cancelled', actor, reason);
+    }
+    await executeQuery(
+      'DELETE FROM standing_order_occurrences WHERE standing_order_id = ? AND occurrence_date = ?',
+      [orderId, occurrence.occurrence_date]
+    );
+    released.push({ occurrence_date: occurrence.occurrence_date, request_id: occurrence.request_id });
+  }
+
+  return { released, kept };
+};
+
+/**
+ * Release the occurrences that fall on a newly added public holiday for
+ * orders that skip holidays. Occurrences an exception has placed on the day
+ * are kept. Returns the ids of the affected orders.
+ */
+const releaseHoliday = async (date, actor = {}, reason = null) => {
+  const orders = await executeQuery(
+    `SELECT DISTINCT soo.standing_order_id
+     FROM standing_order_occurrences soo
+     JOIN standing_orders so ON soo.standing_order_id = so.id
+     WHERE so.skip_holidays = 1 AND soo.occurrence_date = ?
+       AND NOT EXISTS (
+         SELECT 1 FROM standing_order_exceptions e
+         WHERE e.standing_order_id = so.id AND e.date = soo.occurrence_date
+       )`,
+    [date]
+  );
+
+  for (const order of orders) {
+    await releaseOccurrences(order.standing_order_id, { dates: [date] }, actor, reason);
+  }
+  return orders.map(order => order.standing_order_id);
+};
+
+/**
+ * Upcoming pickups for an order with the request booked for each, if any.
+ * Useful for previewing a schedule before the generator reaches it.
+ */
+const previewOccurrences = async (order, from, to) => {
+  const { holidays, exceptions } = await loadOrderContext(order, from, to);
+  const booked = await executeQuery(
+    `SELECT soo.request_id, r.status, DATE_FORMAT(soo.occurrence_date, '%Y-%m-%d') as occurrence_date
+     FROM standing_order_occurrences soo
+     LEFT JOIN requests r ON soo.request_id = r.id
+     WHERE soo.standing_order_id = ?`,
+    [order.id]
+  );
+
+  return listOccurrences(order, from, to, holidays, exceptions).map(occurrence => {
+    const request = booked.find(row => row.occurrence_date === occurrence.occurrence_date);
+    return {
+      ...occurrence,
+      request_id: request ? request.request_id : null,
+      request_status: request ? request.status : null
+    };
+  });
+};
+
+module.exports = {
+  RECURRENCES,
+  ORDER_STATUSES,
+  EXCEPTION_ACTIONS,
+  HORIZON_DAYS,
+  MAX_HORIZON_DAYS,
+  ORDER_COLUMNS,
+  ORDER_SELECT,
+  today,
+  matchesRule,
+  generateRequests,
+  releaseOccurrences,
+  releaseHoliday,
+  previewOccurrences
+};
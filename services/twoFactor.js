@@ -0,0 +1,417 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { executeQuery } = require('../database/query');
+const { createSession, revokeUserSessions, clientIp } = require('./sessions');
+const {
+  accountKey,
+  checkLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess
+} = require('./loginProtection');
+
+// RFC 6238 defaults, which every authenticator app supports
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+// Steps either side of now accepted, to allow for clock drift
+const TOTP_DRIFT_STEPS = 1;
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'BM Admin';
+const CHALLENGE_TTL = process.env.TWO_FACTOR_CHALLENGE_TTL || '5m';
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes one sign-in challenge accepts before the user must sign in again
+const MAX_CHALLENGE_FAILURES = 5;
+
+// Challenge purposes: verify an enrolled account, or enrol one whose role requires 2FA
+const CHALLENGE_VERIFY = '2fa';
+const CHALLENGE_SETUP = '2fa_setup';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const twoFactorError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  buffer.forEach(byte => { bits += byte.toString(2).padStart(8, '0'); });
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  const bits = String(text).toUpperCase().replace(/[\s=-]/g, '').split('')
+    .map(char => {
+      const value = BASE32_ALPHABET.indexOf(char);
+      if (value === -1) {
+        throw new Error('Invalid base32 secret');
+      }
+      return value.toString(2).padStart(5, '0');
+    })
+    .join('');
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+// HOTP (RFC 4226) value for one time step
+const totpAt = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * The time step a code matches, or null. Steps at or before lastUsedStep are
+ * refused so an intercepted code cannot be replayed.
+ */
+const matchTotp = (secret, code, lastUsedStep = null) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const now = currentStep();
+  for (let step = now - TOTP_DRIFT_STEPS; step <= now + TOTP_DRIFT_STEPS; step++) {
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) {
+      continue;
+    }
+    const expected = totpAt(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const provisioningUri = (secret, accountName) => {
+  const label = `${encodeURIComponent(TOTP_ISSUER)}:${encodeURIComponent(accountName)}`;
+  // Authenticator apps expect %20 rather than URLSearchParams' + for spaces
+  const params = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(TOTP_ISSUER)}`,
+    'algorithm=SHA1',
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD_SECONDS}`
+  ];
+  return `otpauth://totp/${label}?${params.join('&')}`;
+};
+
+const loadAccount = async (userId) => {
+  const users = await executeQuery(
+    `SELECT id, username, name, email, role, branch_id, client_id, status,
+            totp_secret, totp_enabled_at, totp_last_used_step
+     FROM users WHERE id = ?`,
+    [userId]
+  );
+  if (users.length === 0) {
+    throw twoFactorError(404, 'Account not found');
+  }
+  return users[0];
+};
+
+const isRequiredForRole = async (role) => {
+  const policies = await executeQuery('SELECT required FROM two_factor_policies WHERE role = ?', [role]);
+  return policies.length > 0 && Boolean(policies[0].required);
+};
+
+const signChallenge = (userId, purpose, jwtid = undefined) => jwt.sign(
+  { userId, purpose },
+  process.env.JWT_SECRET || 'your-secret-key',
+  { expiresIn: CHALLENGE_TTL, jwtid }
+);
+
+/**
+ * Verify challenges are single use and count wrong codes, so they are
+ * tracked by their jti in two_factor_challenges. Setup challenges are not:
+ * enrolment takes two calls, and a fresh secret cannot be guessed at.
+ */
+const issueVerifyChallenge = async (userId) => {
+  const jti = crypto.randomUUID();
+  const token = signChallenge(userId, CHALLENGE_VERIFY, jti);
+  await executeQuery('DELETE FROM two_factor_challenges WHERE user_id = ? AND expires_at < NOW()', [userId]);
+  await executeQuery(
+    'INSERT INTO two_factor_challenges (jti, user_id, expires_at) VALUES (?, ?, FROM_UNIXTIME(?))',
+    [jti, userId, jwt.decode(token).exp]
+  );
+  return token;
+};
+
+/**
+ * Decode a login challenge token. Throws 401 unless it is valid and issued
+ * for one of the allowed purposes.
+ */
+const readChallenge = (token, purposes) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+  } catch (error) {
+    throw twoFactorError(401, 'Challenge has expired; sign in again');
+  }
+  if (!purposes.includes(payload.purpose)) {
+    throw twoFactorError(401, 'Invalid challenge token');
+  }
+  return payload;
+};
+
+/**
+ * Second half of sign-in once the password has been checked. Accounts with
+ * 2FA get a challenge token to exchange at /api/auth/2fa/verify; accounts
+ * whose role requires 2FA but have not enrolled get a setup challenge;
+ * everyone else gets a session straight away.
+ */
+const startSignIn = async (user, req) => {
+  if (user.totp_enabled_at) {
+    return {
+      two_factor_required: true,
+      challenge_token: await issueVerifyChallenge(user.id)
+    };
+  }
+  if (await isRequiredForRole(user.role)) {
+    return {
+      two_factor_setup_required: true,
+      challenge_token: signChallenge(user.id, CHALLENGE_SETUP)
+    };
+  }
+  return createSession(user, req);
+};
+
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await executeQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+  await executeQuery(
+    `INSERT INTO two_factor_recovery_codes (user_id, code_hash)
+     VALUES ${codes.map(() => '(?, ?)').join(', ')}`,
+    codes.flatMap(code => [userId, hashCode(code)])
+  );
+  return codes;
+};
+
+// Accept a TOTP code and record its step so it cannot be used again
+const consumeTotp = async (account, code) => {
+  const step = matchTotp(account.totp_secret, code, account.totp_last_used_step);
+  if (step === null) {
+    return false;
+  }
+  const claimed = await executeQuery(
+    `UPDATE users SET totp_last_used_step = ?
+     WHERE id = ? AND (totp_last_used_step IS NULL OR totp_last_used_step < ?)`,
+    [step, account.id, step]
+  );
+  return claimed.affectedRows > 0;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const result = await executeQuery(
+    `UPDATE two_factor_recovery_codes SET used_at = NOW()
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+    [userId, hashCode(String(code).trim().toLowerCase())]
+  );
+  return result.affectedRows > 0;
+};
+
+// Check a TOTP code or, failing that, a recovery code
+const verifySecondFactor = async (account, { code, recovery_code: recoveryCode }) => {
+  if (code && await consumeTotp(account, code)) {
+    return true;
+  }
+  if (recoveryCode && await consumeRecoveryCode(account.id, recoveryCode)) {
+    return true;
+  }
+  return false;
+};
+
+const getStatus = async (userId) => {
+  const account = await loadAccount(userId);
+  const remaining = await executeQuery(
+    'SELECT COUNT(*) as count FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+  return {
+    enabled: Boolean(account.totp_enabled_at),
+    enabled_at: account.totp_enabled_at,
+    required: await isRequiredForRole(account.role),
+    recovery_codes_remaining: Number(remaining[0].count)
+  };
+};
+
+/**
+ * Start enrolment with a fresh secret. It is not enforced until confirmed
+ * with a code from the authenticator app.
+ */
+const beginEnrolment = async (userId) => {
+  const account = await loadAccount(userId);
+  if (account.totp_enabled_at) {
+    throw twoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await executeQuery(
+    'UPDATE users SET totp_secret = ?, totp_last_used_step = NULL WHERE id = ?',
+    [secret, userId]
+  );
+  return {
+    secret,
+    provisioning_uri: provisioningUri(secret, account.username || account.email || account.name)
+  };
+};
+
+// Confirm enrolment; returns the recovery codes, which are only shown once
+const confirmEnrolment = async (userId, code) => {
+  const account = await loadAccount(userId);
+  if (account.totp_enabled_at) {
+    throw twoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+  if (!account.totp_secret) {
+    throw twoFactorError(400, 'Start enrolment before confirming it');
+  }
+  if (!(await consumeTotp(account, code))) {
+    throw twoFactorError(400, 'Invalid authentication code');
+  }
+
+  await executeQuery('UPDATE users SET totp_enabled_at = NOW() WHERE id = ?', [userId]);
+  return generateRecoveryCodes(userId);
+};
+
+const clearSecondFactor = async (userId) => {
+  await executeQuery(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_used_step = NULL WHERE id = ?',
+    [userId]
+  );
+  await executeQuery('DELETE FROM two_factor_recovery_codes WHERE user_id = ?', [userId]);
+};
+
+const disable = async (userId, credentials) => {
+  const account = await loadAccount(userId);
+  if (!account.totp_enabled_at) {
+    throw twoFactorError(400, 'Two-factor authentication is not enabled');
+  }
+  if (await isRequiredForRole(account.role)) {
+    throw twoFactorError(403, `Two-factor authentication is required for the ${account.role} role`);
+  }
+  if (!(await verifySecondFactor(account, credentials))) {
+    throw twoFactorError(401, 'Invalid authentication code');
+  }
+
+  await clearSecondFactor(userId);
+};
+
+// Administrator reset; the user is signed out and enrols again if its role requires it
+const reset = async (userId) => {
+  await loadAccount(userId);
+  await clearSecondFactor(userId);
+  await revokeUserSessions(userId, 'two_factor_reset');
+};
+
+const regenerateRecoveryCodes = async (userId, code) => {
+  const account = await loadAccount(userId);
+  if (!account.totp_enabled_at) {
+    throw twoFactorError(400, 'Two-factor authentication is not enabled');
+  }
+  if (!(await consumeTotp(account, code))) {
+    throw twoFactorError(401, 'Invalid authentication code');
+  }
+  return generateRecoveryCodes(userId);
+};
+
+/**
+ * Exchange a login challenge and a second factor for a session. Wrong codes
+ * count towards the sign-in lockout in services/loginProtection.js, and the
+ * challenge stops working after MAX_CHALLENGE_FAILURES of them or once used.
+ */
+const completeSignIn = async (challengeToken, credentials, req) => {
+  const { userId, jti } = readChallenge(challengeToken, [CHALLENGE_VERIFY]);
+  const challenges = await executeQuery(
+    `SELECT jti FROM two_factor_challenges
+     WHERE jti = ? AND user_id = ? AND used_at IS NULL AND failures < ? AND expires_at > NOW()`,
+    [jti || null, userId, MAX_CHALLENGE_FAILURES]
+  );
+  if (challenges.length === 0) {
+    throw twoFactorError(401, 'Challenge has expired; sign in again');
+  }
+
+  const account = await loadAccount(userId);
+  if (!account.totp_enabled_at || account.status !== 'active') {
+    throw twoFactorError(401, 'Invalid challenge token');
+  }
+
+  const ip = clientIp(req);
+  const attempt = await checkLoginAllowed(accountKey(account), ip);
+  if (!attempt.allowed) {
+    const error = twoFactorError(429, attempt.message);
+    error.retryAfter = attempt.retryAfter;
+    throw error;
+  }
+
+  if (!(await verifySecondFactor(account, credentials))) {
+    await recordLoginFailure(accountKey(account), ip);
+    // failures is already incremented when the IF() reads it
+    await executeQuery(
+      `UPDATE two_factor_challenges
+       SET failures = failures + 1, used_at = IF(failures >= ?, NOW(), used_at)
+       WHERE jti = ?`,
+      [MAX_CHALLENGE_FAILURES, jti]
+    );
+    throw twoFactorError(401, 'Invalid authentication code');
+  }
+
+  // Claim the challenge so a replay of the same token cannot start a second session
+  const claimed = await executeQuery(
+    'UPDATE two_factor_challenges SET used_at = NOW() WHERE jti = ? AND used_at IS NULL',
+    [jti]
+  );
+  if (claimed.affectedRows === 0) {
+    throw twoFactorError(401, 'Challenge has expired; sign in again');
+  }
+  await recordLoginSuccess(accountKey(account));
+  return createSession(account, req);
+};
+
+const listPolicies = () => executeQuery('SELECT role, required, updated_at FROM two_factor_policies ORDER BY role');
+
+const setPolicy = async (role, required) => {
+  await executeQuery(
+    `INSERT INTO two_factor_policies (role, required) VALUES (?, ?)
+     ON DUPLICATE KEY UPDATE required = VALUES(required)`,
+    [role, required ? 1 : 0]
+  );
+};
+
+module.exports = {
+  CHALLENGE_VERIFY,
+  CHALLENGE_SETUP,
+  base32Encode,
+  base32Decode,
+  totpAt,
+  matchTotp,
+  provisioningUri,
+  readChallenge,
+  getAccount: loadAccount,
+  startSignIn,
+  getStatus,
+  beginEnrolment,
+  confirmEnrolment,
+  disable,
+  reset,
+  regenerateRecoveryCodes,
+  completeSignIn,
+  listPolicies,
+  setPolicy
+};
@@ -0,0 +1,297 @@
+const bcrypt = require('bcryptjs');
+const { executeQuery } = require('../database/query');
+
+const USER_STATUSES = ['active', 'disabled'];
+
+// Who a user works for: the operator itself, a client's head office, or one branch
+const USER_TYPES = ['operator', 'client', 'branch'];
+
+// Roles that only make sense inside a branch or a client's head office, and the id each needs
+const ROLE_AFFILIATIONS = {
+  branch: 'branchId',
+  client: 'clientId'
+};
+
+// The generic role of accounts from before individual users. It carries no branch or
+// client, so its holders see nothing until given a current role.
+const LEGACY_ROLES = ['user'];
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const USER_SELECT = `
+  SELECT u.id, u.username, u.name, u.email, u.role, u.branch_id, u.client_id, u.status,
+         u.totp_enabled_at IS NOT NULL as two_factor_enabled, u.last_login_at,
+         u.created_at, u.updated_at, b.name as branch_name, c.name as client_name
+  FROM users u
+  LEFT JOIN branches b ON u.branch_id = b.id
+  LEFT JOIN clients c ON u.client_id = c.id
+`;
+
+const userError = (statusCode, message) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const userType = (user) => {
+  if (user.branch_id || user.branchId) {
+    return 'branch';
+  }
+  return user.client_id || user.clientId ? 'client' : 'operator';
+};
+
+// The id recorded against changes a signed-in user makes
+const actorId = (user = {}) => user.userId || user.id || null;
+
+// Returns an error message, or null when the password is acceptable
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    return 'Password must contain letters and numbers';
+  }
+  return null;
+};
+
+// Full row including credentials; never send it to a client as is
+const loadUser = async (userId) => {
+  const users = await executeQuery('SELECT * FROM users WHERE id = ?', [userId]);
+  if (users.length === 0) {
+    throw userError(404, 'User not found');
+  }
+  return users[0];
+};
+
+// The account a username or email signs in as
+const findLoginUser = async (identifier) => {
+  const users = await executeQuery(
+    'SELECT * FROM users WHERE username = ? OR email = ? ORDER BY username = ? DESC LIMIT 1',
+    [identifier, identifier, identifier]
+  );
+  return users[0] || null;
+};
+
+// Whether a user row falls within a caller's branch scope
+const isUserInScope = (scope, user) => {
+  if (!scope) {
+    return true;
+  }
+  if (!scope.branchId && !scope.clientId) {
+    return false;
+  }
+  return scope.branchId
+    ? String(user.branch_id) === String(scope.branchId)
+    : String(user.client_id) === String(scope.clientId);
+};
+
+// The full user row when it falls within the scope, otherwise null
+const findUserInScope = async (scope, userId) => {
+  const users = await executeQuery('SELECT * FROM users WHERE id = ?', [userId]);
+  return users.length > 0 && isUserInScope(scope, users[0]) ? users[0] : null;
+};
+
+const getUser = async (userId) => {
+  const users = await executeQuery(`${USER_SELECT} WHERE u.id = ?`, [userId]);
+  if (users.length === 0) {
+    throw userError(404, 'User not found');
+  }
+  return users[0];
+};
+
+/**
+ * Users filtered by branch, client, role, status and type. `scope` is the caller's
+ * branch scope (see middleware/auth.js); scoped callers only see users of
+ * their own client or branch.
+ */
+const listUsers = ({ branchId, clientId, role, status, type } = {}, scope = null) => {
+  if (type && !USER_TYPES.includes(type)) {
+    throw userError(400, `Type must be one of ${USER_TYPES.join(', ')}`);
+  }
+
+  const filters = [];
+  const params = [];
+
+  if (scope) {
+    filters.push(scope.branchId ? 'u.branch_id = ?' : 'u.client_id = ?');
+    params.push(scope.branchId || scope.clientId);
+  }
+  if (branchId) {
+    filters.push('u.branch_id = ?');
+    params.push(branchId);
+  }
+  if (clientId) {
+    filters.push('u.client_id = ?');
+    params.push(clientId);
+  }
+  if (role) {
+    filters.push('u.role = ?');
+    params.push(role);
+  }
+  if (status) {
+    filters.push('u.status = ?');
+    params.push(status);
+  }
+  if (type === 'operator') {
+    filters.push('u.branch_id IS NULL AND u.client_id IS NULL');
+  } else if (type === 'client') {
+    filters.push('u.branch_id IS NULL AND u.client_id IS NOT NULL');
+  } else if (type === 'branch') {
+    filters.push('u.branch_id IS NOT NULL');
+  }
+
+  const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+  return executeQuery(`${USER_SELECT} ${where} ORDER BY c.name, b.name, u.name`, params);
+};
+
+/**
+ * Work out a user's branch and client. A branch user's client is always the
+ * branch's client; operator users have neither.
+ */
+const resolveAffiliation = async (branchId, clientId) => {
+  if (!branchId) {
+    if (clientId) {
+      const clients = await executeQuery('SELECT id FROM clients WHERE id = ?', [clientId]);
+      if (clients.length === 0) {
+        throw userError(400, 'Client not found');
+      }
+    }
+    return { branchId: null, clientId: clientId || null };
+  }
+
+  const branches = await executeQuery('SELECT id, client_id FROM branches WHERE id = ?', [branchId]);
+  if (branches.length === 0) {
+    throw userError(400, 'Branch not found');
+  }
+  if (clientId && String(clientId) !== String(branches[0].client_id)) {
+    throw userError(400, 'Branch does not belong to that client');
+  }
+  return { branchId: branches[0].id, clientId: branches[0].client_id };
+};
+
+const assertRoleAffiliation = (role, affiliation) => {
+  if (LEGACY_ROLES.includes(role)) {
+    throw userError(400, `The ${role} role can no longer be assigned`);
+  }
+  const required = ROLE_AFFILIATIONS[role];
+  if (required === 'branchId' && !affiliation.branchId) {
+    throw userError(400, 'Users with the branch role need a branch_id');
+  }
+  if (required === 'clientId' && !affiliation.clientId) {
+    throw userError(400, 'Users with the client role need a client_id');
+  }
+};
+
+const assertUsernameFree = async (username, exceptUserId = null) => {
+  const taken = await executeQuery(
+    'SELECT id FROM users WHERE username = ? AND id <> ?',
+    [username, exceptUserId || 0]
+  );
+  if (taken.length > 0) {
+    throw userError(409, 'Username is already in use');
+  }
+};
+
+const assertEmailFree = async (email, exceptUserId = null) => {
+  if (!email) {
+    return;
+  }
+  const taken = await executeQuery(
+    'SELECT id FROM users WHERE email = ? AND id <> ?',
+    [email, exceptUserId || 0]
+  );
+  if (taken.length > 0) {
+    throw userError(409, 'Email is already in use');
+  }
+};
+
+/**
+ * Create a user. The password is optional so an administrator can create the
+ * account and send a reset link instead.
+ */
+const createUser = async ({ username, name, email, password, role, branch_id, client_id }) => {
+  if (!username || !String(username).trim() || !name || !role) {
+    throw userError(400, 'Username, name and role are required');
+  }
+  if (password !== undefined && password !== null) {
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+      throw userError(400, passwordError);
+    }
+  }
+
+  const trimmed = String(username).trim();
+  await assertUsernameFree(trimmed);
+  await assertEmailFree(email);
+  const affiliation = await resolveAffiliation(branch_id, client_id);
+  assertRoleAffiliation(role, affiliation);
+
+  const hashedPassword = password ? await bcrypt.hash(password, 12) : null;
+  const result = await executeQuery(
+    `INSERT INTO users (username, name, email, password, password_changed_at, role, branch_id, client_id)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      trimmed, name, email || null, hashedPassword, hashedPassword ? new Date() : null,
+      role, affiliation.branchId, affiliation.clientId
+    ]
+  );
+  return getUser(result.insertId);
+};
+
+// Profile, role, affiliation and status; credentials change through services/credentials.js
+const updateUser = async (userId, { name, email, role, branch_id, client_id, status }) => {
+  const user = await loadUser(userId);
+  if (status !== undefined && !USER_STATUSES.includes(status)) {
+    throw userError(400, `Status must be one of ${USER_STATUSES.join(', ')}`);
+  }
+  if (email !== undefined) {
+    await assertEmailFree(email, userId);
+  }
+
+  // A new branch brings its own client unless one is given to check it against
+  const affiliation = branch_id !== undefined || client_id !== undefined
+    ? await resolveAffiliation(
+      branch_id !== undefined ? branch_id : user.branch_id,
+      client_id !== undefined ? client_id : (branch_id ? null : user.client_id)
+    )
+    : { branchId: user.branch_id, clientId: user.client_id };
+  // Disabling an account never needs its role sorted out first
+  if (role !== undefined || branch_id !== undefined || client_id !== undefined || status === 'active') {
+    assertRoleAffiliation(role !== undefined ? role : user.role, affiliation);
+  }
+
+  await executeQuery(
+    `UPDATE users SET name = ?, email = ?, role = ?, branch_id = ?, client_id = ?, status = ?
+     WHERE id = ?`,
+    [
+      name !== undefined ? name : user.name,
+      email !== undefined ? email || null : user.email,
+      role !== undefined ? role : user.role,
+      affiliation.branchId,
+      affiliation.clientId,
+      status !== undefined ? status : user.status,
+      userId
+    ]
+  );
+  return getUser(userId);
+};
+
+module.exports = {
+  USER_STATUSES,
+  USER_TYPES,
+  ROLE_AFFILIATIONS,
+  LEGACY_ROLES,
+  MIN_PASSWORD_LENGTH,
+  USER_SELECT,
+  userType,
+  actorId,
+  validatePassword,
+  loadUser,
+  findLoginUser,
+  isUserInScope,
+  findUserInScope,
+  getUser,
+  listUsers,
+  createUser,
+  updateUser
+};
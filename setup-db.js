@@ -1,7 +1,8 @@
 const mysql = require('mysql2/promise');
 const fs = require('fs').promises;
 const path = require('path');
-const bcrypt = require('bcryptjs');
+const { splitStatements } = require('./database/sqlScript');
+const { runMigrations } = require('./database/migrations');
 require('dotenv').config();
 
 async function setupDatabase() {
@@ -31,10 +32,7 @@ async function setupDatabase() {
     const sql = await fs.readFile(sqlFile, 'utf8');
     
     // Split the SQL file into individual statements
-    const statements = sql
-      .split(';')
-      .filter(statement => statement.trim())
-      .map(statement => statement + ';');
+    const statements = splitStatements(sql);
 
     // Execute each statement
     for (const statement of statements) {
@@ -51,14 +49,11 @@ async function setupDatabase() {
       }
     }
 
-    // Create test user with hashed password
-    const hashedPassword = await bcrypt.hash('test123', 10);
-    await connection.query(
-      'INSERT INTO users (username, email, password, role) VALUES (?, ?, ?, ?) ON DUPLICATE KEY UPDATE password = ?',
-      ['test', 'test@example.com', hashedPassword, 'admin', hashedPassword]
-    );
+    // Bring existing tables up to date
+    await runMigrations(async (statement, params) => (await connection.query(statement, params))[0]);
 
     console.log('Database setup completed successfully');
+    console.log('Create the first administrator with: node scripts/createAdmin.js <username> [email]');
   } catch (error) {
     console.error('Error setting up database:', error);
     throw error;